@@ -3,15 +3,18 @@
 class AdminDashboard {
     constructor() {
         this.adminToken = null;
+        this.sessionTimer = null; // Logs out when the token expires
+        this.indicators = []; // Refreshable indicators from the catalog
+        this.events = []; // Chart events shown in the events table
+        this.editingEventId = null; // Event being edited in the form, if any
         this.init();
     }
 
-    init() {
-        // Check if already logged in (session storage)
+    async init() {
+        // Check if already logged in (session storage) and the token is still valid
         const storedToken = sessionStorage.getItem('adminToken');
         if (storedToken) {
-            this.adminToken = storedToken;
-            this.showAdminContent();
+            await this.restoreSession(storedToken);
         }
 
         // Login button
@@ -26,19 +29,52 @@ class AdminDashboard {
         // Refresh all data
         document.getElementById('refresh-all-btn').addEventListener('click', () => this.refreshAllData());
 
-        // Individual refresh buttons
-        document.querySelectorAll('.refresh-individual-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const indicator = e.target.getAttribute('data-indicator');
-                this.refreshIndicator(indicator);
-            });
-        });
+        // Data health report
+        document.getElementById('reload-health-btn').addEventListener('click', () => this.loadHealth());
+
+        // Git sync status
+        document.getElementById('reload-git-sync-btn').addEventListener('click', () => this.loadGitSync());
+        document.getElementById('flush-git-sync-btn').addEventListener('click', () => this.flushGitSync());
 
         // News collection
         document.getElementById('collect-news-btn').addEventListener('click', () => this.collectNews());
 
         // View estimates
         document.getElementById('view-estimates-btn').addEventListener('click', () => this.loadEstimates());
+        document.getElementById('estimates-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('.delete-estimate-btn');
+            if (btn) {
+                this.deleteEstimate(Number(btn.dataset.id), btn.dataset.name);
+            }
+        });
+
+        // Chart events and recession periods
+        document.getElementById('save-event-btn').addEventListener('click', () => this.saveEvent());
+        document.getElementById('cancel-event-btn').addEventListener('click', () => this.resetEventForm());
+        document.getElementById('refresh-recessions-btn').addEventListener('click', () => this.refreshRecessions());
+
+        // Individual refresh buttons, one per catalog indicator
+        try {
+            const catalog = await IndicatorCatalog.load();
+            this.indicators = catalog.filter(ind => IndicatorCatalog.isFetched(ind));
+            this.renderRefreshButtons();
+        } catch (error) {
+            console.error('Error loading indicator catalog:', error);
+        }
+    }
+
+    renderRefreshButtons() {
+        const container = document.getElementById('refresh-buttons');
+        container.innerHTML = '';
+
+        this.indicators.forEach(ind => {
+            const btn = document.createElement('button');
+            btn.className = 'refresh-individual-btn';
+            btn.setAttribute('data-indicator', ind.id);
+            btn.textContent = `Refresh ${ind.shortName}`;
+            btn.addEventListener('click', (e) => this.refreshIndicator(ind.id, e.target));
+            container.appendChild(btn);
+        });
     }
 
     async login() {
@@ -63,8 +99,7 @@ class AdminDashboard {
             const result = await response.json();
 
             if (result.success) {
-                this.adminToken = result.token;
-                sessionStorage.setItem('adminToken', result.token);
+                this.startSession(result.token, result.expiresAt);
                 this.showAdminContent();
             } else {
                 errorEl.textContent = 'Invalid password';
@@ -77,17 +112,102 @@ class AdminDashboard {
         }
     }
 
-    logout() {
+    /**
+     * Check a stored token with the server and resume the session if it is still valid
+     */
+    async restoreSession(token) {
+        try {
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/auth/session`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const result = await response.json();
+
+            if (result.success && result.data.authenticated) {
+                this.startSession(token, result.data.expiresAt);
+                this.showAdminContent();
+            } else {
+                this.endSession('Your session has expired. Please log in again.');
+            }
+        } catch (error) {
+            console.error('Error checking session:', error);
+            this.endSession('Could not verify your session. Please log in again.');
+        }
+    }
+
+    startSession(token, expiresAt) {
+        this.adminToken = token;
+        sessionStorage.setItem('adminToken', token);
+
+        clearTimeout(this.sessionTimer);
+        const remaining = new Date(expiresAt).getTime() - Date.now();
+        if (remaining > 0) {
+            this.sessionTimer = setTimeout(() => this.endSession('Your session has expired. Please log in again.'), remaining);
+        }
+    }
+
+    /**
+     * Drop the local session and return to the login form, optionally explaining why
+     */
+    endSession(message = '') {
+        clearTimeout(this.sessionTimer);
+        this.sessionTimer = null;
         this.adminToken = null;
         sessionStorage.removeItem('adminToken');
         document.getElementById('login-section').style.display = 'block';
         document.getElementById('admin-content').style.display = 'none';
         document.getElementById('admin-password').value = '';
+
+        const errorEl = document.getElementById('login-error');
+        errorEl.textContent = message;
+        errorEl.style.display = message ? 'block' : 'none';
+    }
+
+    async logout() {
+        // Revoke the token on the server; the local session ends either way
+        if (this.adminToken) {
+            try {
+                await fetch(`${CONFIG.SERVER_URL}/api/auth/logout`, {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${this.adminToken}`
+                    }
+                });
+            } catch (error) {
+                console.error('Logout error:', error);
+            }
+        }
+        this.endSession();
+    }
+
+    /**
+     * Fetch an admin-only endpoint; a 401 means the session expired or was revoked
+     */
+    async adminFetch(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                'Authorization': `Bearer ${this.adminToken}`
+            }
+        });
+
+        if (response.status === 401) {
+            this.endSession('Your session has expired. Please log in again.');
+            throw new Error('Session expired');
+        }
+
+        return response;
     }
 
     showAdminContent() {
         document.getElementById('login-section').style.display = 'none';
         document.getElementById('admin-content').style.display = 'block';
+        this.loadEvents();
+        this.loadQuarantine();
+        this.loadHealth();
+        this.loadGitSync();
     }
 
     async refreshAllData() {
@@ -100,7 +220,7 @@ class AdminDashboard {
         statusEl.style.color = '#1976D2';
         statusEl.textContent = 'Refreshing all indicators...';
 
-        const indicators = ['sp500', 'treasury', 'oil', 'gold', 'dollar'];
+        const indicators = this.indicators.map(ind => ind.id);
         let successCount = 0;
         let failCount = 0;
         const errors = [];
@@ -150,11 +270,14 @@ class AdminDashboard {
             }
             statusEl.textContent = errorMsg;
         }
+
+        this.loadQuarantine();
+        this.loadHealth();
+        this.loadGitSync();
     }
 
-    async refreshIndicator(indicator) {
+    async refreshIndicator(indicator, btn) {
         const statusEl = document.getElementById('refresh-status');
-        const btn = event.target;
 
         btn.disabled = true;
         statusEl.style.display = 'block';
@@ -186,6 +309,236 @@ class AdminDashboard {
             statusEl.style.color = '#C62828';
             statusEl.textContent = `✗ Error refreshing ${indicator}: ${error.message}`;
         }
+
+        this.loadQuarantine();
+        this.loadHealth();
+        this.loadGitSync();
+    }
+
+    /**
+     * Show refreshes rejected by the server's validation gate
+     */
+    async loadQuarantine() {
+        const list = document.getElementById('quarantine-list');
+
+        try {
+            const response = await this.adminFetch(`${CONFIG.SERVER_URL}/api/quarantine`);
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            if (result.data.length === 0) {
+                list.innerHTML = '<p>No quarantined data.</p>';
+                return;
+            }
+
+            list.innerHTML = `
+                <table class="events-table">
+                    <thead>
+                        <tr><th>Indicator</th><th>Rejected</th><th>Data</th><th>Reasons</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${result.data.map(entry => `
+                            <tr>
+                                <td>${entry.name}</td>
+                                <td>${new Date(entry.quarantinedAt).toLocaleString()}</td>
+                                <td>${entry.points} points, ${entry.firstDate} to ${entry.lastDate}</td>
+                                <td>${entry.errors.concat(entry.warnings).join('<br>')}</td>
+                                <td>
+                                    <button onclick="admin.acceptQuarantine('${entry.indicator}')">Accept</button>
+                                    <button class="delete-estimate-btn" style="position: static;" onclick="admin.discardQuarantine('${entry.indicator}')">Discard</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Error loading quarantine:', error);
+            list.innerHTML = '<p style="color: red;">Error loading quarantined data</p>';
+        }
+    }
+
+    async acceptQuarantine(indicator) {
+        if (!confirm(`Overwrite the stored ${indicator} data with the quarantined refresh?`)) {
+            return;
+        }
+        await this.resolveQuarantine(`${CONFIG.SERVER_URL}/api/quarantine/${indicator}/accept`, 'POST');
+    }
+
+    async discardQuarantine(indicator) {
+        if (!confirm(`Discard the quarantined ${indicator} refresh?`)) {
+            return;
+        }
+        await this.resolveQuarantine(`${CONFIG.SERVER_URL}/api/quarantine/${indicator}`, 'DELETE');
+    }
+
+    async resolveQuarantine(url, method) {
+        const statusEl = document.getElementById('refresh-status');
+        statusEl.style.display = 'block';
+
+        try {
+            const response = await this.adminFetch(url, { method });
+            const result = await response.json();
+            statusEl.style.background = result.success ? '#E8F5E9' : '#FFEBEE';
+            statusEl.style.color = result.success ? '#2E7D32' : '#C62828';
+            statusEl.textContent = `${result.success ? '✓' : '✗'} ${result.message}`;
+        } catch (error) {
+            console.error('Error resolving quarantined data:', error);
+            statusEl.style.background = '#FFEBEE';
+            statusEl.style.color = '#C62828';
+            statusEl.textContent = `✗ Error: ${error.message}`;
+        }
+
+        this.loadQuarantine();
+        this.loadGitSync();
+    }
+
+    /**
+     * Server uptime, configured API keys and the freshness of every data file (GET /api/health)
+     */
+    async loadHealth() {
+        const summary = document.getElementById('health-summary');
+        const list = document.getElementById('health-list');
+
+        try {
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/health`);
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            const health = result.data;
+            const hours = (health.uptimeSeconds / 3600).toFixed(1);
+            const keys = Object.entries(health.apiKeys)
+                .map(([name, isSet]) => `${name} ${isSet ? '✓' : '✗'}`)
+                .join(', ');
+            summary.innerHTML = `
+                <p><strong>Status:</strong> ${health.status} &nbsp; <strong>Uptime:</strong> ${hours} h (since ${new Date(health.startedAt).toLocaleString()})</p>
+                <p><strong>Configured:</strong> ${keys}</p>
+            `;
+
+            list.innerHTML = `
+                <table class="events-table">
+                    <thead>
+                        <tr><th>File</th><th>Status</th><th>Last observation</th><th>Points</th><th>Frequency</th><th>Updated</th></tr>
+                    </thead>
+                    <tbody>
+                        ${health.files.map(file => `
+                            <tr>
+                                <td>${file.name}</td>
+                                <td><span class="freshness-badge freshness-${file.status}">${file.status}${file.quarantined ? ' (quarantined refresh)' : ''}</span></td>
+                                <td>${file.lastDate ? `${file.lastDate} (${file.ageDays} days ago)` : ''}</td>
+                                <td>${file.points !== undefined && file.points !== null ? file.points : ''}</td>
+                                <td>${file.frequency || ''}</td>
+                                <td>${file.lastUpdated ? new Date(file.lastUpdated).toLocaleString() : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Error loading health report:', error);
+            list.innerHTML = '<p style="color: red;">Error loading health report</p>';
+        }
+    }
+
+    /**
+     * Data changes waiting for the next commit and the last commits pushed (GET /api/git-sync)
+     */
+    async loadGitSync() {
+        const summary = document.getElementById('git-sync-summary');
+        const list = document.getElementById('git-sync-list');
+
+        try {
+            const response = await this.adminFetch(`${CONFIG.SERVER_URL}/api/git-sync`);
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+            this.renderGitSync(result.data);
+        } catch (error) {
+            console.error('Error loading git sync status:', error);
+            summary.innerHTML = '';
+            list.innerHTML = '<p style="color: red;">Error loading git sync status</p>';
+        }
+    }
+
+    renderGitSync(sync) {
+        const summary = document.getElementById('git-sync-summary');
+        const list = document.getElementById('git-sync-list');
+        document.getElementById('flush-git-sync-btn').disabled = !sync.enabled || sync.pending.length === 0;
+
+        if (!sync.enabled) {
+            summary.innerHTML = '<p>Git sync is off. Set <code>GIT_SYNC_REMOTE</code> on the server to commit data changes automatically.</p>';
+            list.innerHTML = '';
+            return;
+        }
+
+        let state = sync.syncing ? 'committing...' : 'idle';
+        if (sync.nextSyncAt) {
+            state = `next commit at ${new Date(sync.nextSyncAt).toLocaleTimeString()}`;
+        }
+        summary.innerHTML = `
+            <p><strong>Remote:</strong> ${sync.remote} (${sync.branch}) &nbsp; <strong>Status:</strong> ${state} &nbsp; <strong>Delay:</strong> ${sync.debounceSeconds} s</p>
+            ${sync.remoteBranch === 'missing' ? `<p style="color: #E65100;"><strong>Branch ${sync.branch} does not exist on the remote yet.</strong> The next commit creates it with only the changed data files.</p>` : ''}
+            ${sync.lastError ? `<p style="color: #C62828;"><strong>Last error</strong> (${new Date(sync.lastError.at).toLocaleString()}): ${sync.lastError.message}</p>` : ''}
+        `;
+
+        const pendingRows = sync.pending.flatMap(entry => entry.changes.map(change => `
+            <tr>
+                <td>${entry.file}</td>
+                <td>${change.message}</td>
+                <td>${new Date(change.at).toLocaleString()}</td>
+            </tr>
+        `));
+        const historyRows = sync.history.map(entry => `
+            <tr>
+                <td>${entry.commit ? entry.commit.substring(0, 7) : ''}</td>
+                <td>${entry.createdBranch ? `${entry.status} (created branch ${sync.branch})` : entry.status}</td>
+                <td>${entry.message}</td>
+                <td>${entry.files.join(', ')}</td>
+                <td>${new Date(entry.syncedAt).toLocaleString()}</td>
+            </tr>
+        `);
+
+        list.innerHTML = `
+            <h3>Pending</h3>
+            ${pendingRows.length === 0 ? '<p>No pending changes.</p>' : `
+                <table class="events-table">
+                    <thead><tr><th>File</th><th>Change</th><th>Saved</th></tr></thead>
+                    <tbody>${pendingRows.join('')}</tbody>
+                </table>
+            `}
+            <h3>Pushed</h3>
+            ${historyRows.length === 0 ? '<p>Nothing pushed since the server started.</p>' : `
+                <table class="events-table">
+                    <thead><tr><th>Commit</th><th>Status</th><th>Message</th><th>Files</th><th>Time</th></tr></thead>
+                    <tbody>${historyRows.join('')}</tbody>
+                </table>
+            `}
+        `;
+    }
+
+    async flushGitSync() {
+        const btn = document.getElementById('flush-git-sync-btn');
+        const summary = document.getElementById('git-sync-summary');
+        btn.disabled = true;
+
+        try {
+            const response = await this.adminFetch(`${CONFIG.SERVER_URL}/api/git-sync/flush`, { method: 'POST' });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+            this.renderGitSync(result.data);
+            summary.insertAdjacentHTML('beforeend', `<p style="color: #2E7D32;">✓ ${result.message}</p>`);
+        } catch (error) {
+            console.error('Error committing data changes:', error);
+            await this.loadGitSync();
+            summary.insertAdjacentHTML('beforeend', `<p style="color: #C62828;">✗ ${error.message}</p>`);
+        }
     }
 
     async collectNews() {
@@ -199,11 +552,10 @@ class AdminDashboard {
         statusEl.textContent = 'Collecting news articles...';
 
         try {
-            const response = await fetch(`${CONFIG.SERVER_URL}/api/news/collect`, {
+            const response = await this.adminFetch(`${CONFIG.SERVER_URL}/api/news/collect`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.adminToken}`
+                    'Content-Type': 'application/json'
                 }
             });
 
@@ -246,14 +598,21 @@ class AdminDashboard {
                     const div = document.createElement('div');
                     div.className = 'estimate-item';
                     div.innerHTML = `
-                        <button class="delete-estimate-btn" onclick="admin.deleteEstimate(${estimate.id}, '${estimate.name}')">Delete</button>
-                        <strong>${estimate.name}</strong> - ${new Date(estimate.timestamp).toLocaleString()}
-                        <div style="margin-top: 10px;">
-                            ${Object.entries(estimate.estimates).map(([key, value]) =>
-                                `<div>${key}: ${value}%</div>`
-                            ).join('')}
-                        </div>
+                        <button class="delete-estimate-btn">Delete</button>
+                        <strong class="estimate-name"></strong> - ${new Date(estimate.timestamp).toLocaleString()}
+                        <div class="estimate-calls" style="margin-top: 10px;"></div>
                     `;
+                    // Names (and calls in old submissions) are free text from participants,
+                    // so they are set as text and data attributes, never parsed as HTML
+                    const btn = div.querySelector('.delete-estimate-btn');
+                    btn.dataset.id = estimate.id;
+                    btn.dataset.name = estimate.name;
+                    div.querySelector('.estimate-name').textContent = estimate.name;
+                    Object.entries(estimate.estimates || {}).forEach(([key, value]) => {
+                        const call = document.createElement('div');
+                        call.textContent = `${key}: ${value}`;
+                        div.querySelector('.estimate-calls').appendChild(call);
+                    });
                     list.appendChild(div);
                 });
             } else {
@@ -271,11 +630,8 @@ class AdminDashboard {
         }
 
         try {
-            const response = await fetch(`${CONFIG.SERVER_URL}/api/estimates/${id}`, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${this.adminToken}`
-                }
+            const response = await this.adminFetch(`${CONFIG.SERVER_URL}/api/estimates/${id}`, {
+                method: 'DELETE'
             });
 
             const result = await response.json();
@@ -291,6 +647,173 @@ class AdminDashboard {
             alert('Error deleting estimate: ' + error.message);
         }
     }
+
+    showEventStatus(message, isError = false) {
+        const statusEl = document.getElementById('events-status');
+        statusEl.style.display = 'block';
+        statusEl.style.background = isError ? '#FFEBEE' : '#E8F5E9';
+        statusEl.style.color = isError ? '#C62828' : '#2E7D32';
+        statusEl.textContent = message;
+    }
+
+    async loadEvents() {
+        const list = document.getElementById('events-list');
+
+        try {
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/events`);
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            this.events = result.data.events;
+            const recessions = result.data.recessions;
+            document.getElementById('recessions-info').textContent =
+                `${recessions.us.length} US and ${recessions.japan.length} Japan recession periods` +
+                (result.data.recessionsUpdated ? ` (US updated ${new Date(result.data.recessionsUpdated).toLocaleString()})` : '');
+
+            if (this.events.length === 0) {
+                list.innerHTML = '<p>No events yet.</p>';
+                return;
+            }
+
+            list.innerHTML = `
+                <table class="events-table">
+                    <thead>
+                        <tr><th>Date</th><th>End</th><th>Label</th><th>Category</th><th>Region</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${this.events.map(event => `
+                            <tr>
+                                <td>${event.date}</td>
+                                <td>${event.endDate || ''}</td>
+                                <td>${event.label}</td>
+                                <td>${event.category}</td>
+                                <td>${event.region}</td>
+                                <td>
+                                    <button onclick="admin.editEvent(${event.id})">Edit</button>
+                                    <button class="delete-estimate-btn" style="position: static;" onclick="admin.deleteEvent(${event.id})">Delete</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Error loading events:', error);
+            list.innerHTML = '<p style="color: red;">Error loading events</p>';
+        }
+    }
+
+    /**
+     * Add a new event, or update the one being edited
+     */
+    async saveEvent() {
+        const event = {
+            date: document.getElementById('event-date').value,
+            endDate: document.getElementById('event-end-date').value,
+            label: document.getElementById('event-label').value,
+            category: document.getElementById('event-category').value,
+            region: document.getElementById('event-region').value
+        };
+
+        const url = this.editingEventId
+            ? `${CONFIG.SERVER_URL}/api/events/${this.editingEventId}`
+            : `${CONFIG.SERVER_URL}/api/events`;
+
+        try {
+            const response = await this.adminFetch(url, {
+                method: this.editingEventId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(event)
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.showEventStatus(`✓ ${result.message}`);
+                this.resetEventForm();
+                this.loadEvents();
+            } else {
+                this.showEventStatus(`✗ ${result.message}`, true);
+            }
+        } catch (error) {
+            console.error('Error saving event:', error);
+            this.showEventStatus(`✗ Error: ${error.message}`, true);
+        }
+    }
+
+    editEvent(id) {
+        const event = this.events.find(e => e.id === id);
+        if (!event) return;
+
+        this.editingEventId = id;
+        document.getElementById('event-date').value = event.date;
+        document.getElementById('event-end-date').value = event.endDate || '';
+        document.getElementById('event-label').value = event.label;
+        document.getElementById('event-category').value = event.category;
+        document.getElementById('event-region').value = event.region;
+        document.getElementById('save-event-btn').textContent = 'Update Event';
+        document.getElementById('cancel-event-btn').style.display = 'inline-block';
+    }
+
+    resetEventForm() {
+        this.editingEventId = null;
+        ['event-date', 'event-end-date', 'event-label'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('save-event-btn').textContent = 'Add Event';
+        document.getElementById('cancel-event-btn').style.display = 'none';
+    }
+
+    async deleteEvent(id) {
+        const event = this.events.find(e => e.id === id);
+        if (!event || !confirm(`Delete event "${event.label}" (${event.date})?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.adminFetch(`${CONFIG.SERVER_URL}/api/events/${id}`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.showEventStatus(`✓ ${result.message}`);
+                this.loadEvents();
+            } else {
+                this.showEventStatus(`✗ ${result.message}`, true);
+            }
+        } catch (error) {
+            console.error('Error deleting event:', error);
+            this.showEventStatus(`✗ Error: ${error.message}`, true);
+        }
+    }
+
+    async refreshRecessions() {
+        const btn = document.getElementById('refresh-recessions-btn');
+        btn.disabled = true;
+
+        try {
+            const response = await this.adminFetch(`${CONFIG.SERVER_URL}/api/events/recessions/refresh`, {
+                method: 'POST'
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.showEventStatus(`✓ ${result.message}`);
+                this.loadEvents();
+            } else {
+                this.showEventStatus(`✗ ${result.message}`, true);
+            }
+        } catch (error) {
+            console.error('Error refreshing recessions:', error);
+            this.showEventStatus(`✗ Error: ${error.message}`, true);
+        }
+
+        btn.disabled = false;
+    }
 }
 
 // Initialize admin dashboard
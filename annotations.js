@@ -0,0 +1,125 @@
+// Recession shading and market event markers shared by the US and Japan dashboards
+// Events and recession periods come from data/events.json (edited on the admin page).
+
+class ChartAnnotations {
+    /**
+     * Load events and recession periods - directly from GitHub first, falling back to the server.
+     * Charts simply go without annotations if neither is reachable.
+     */
+    static async load() {
+        try {
+            const ghResponse = await fetch('data/events.json');
+            if (!ghResponse.ok) {
+                throw new Error('GitHub file not found');
+            }
+            ChartAnnotations.data = await ghResponse.json();
+            console.log('Chart events loaded directly from GitHub');
+        } catch (ghError) {
+            try {
+                console.log('Chart events loading from server (GitHub failed)');
+                const response = await fetch(`${CONFIG.SERVER_URL}/api/events`);
+                const result = await response.json();
+                if (result.success) {
+                    ChartAnnotations.data = result.data;
+                }
+            } catch (error) {
+                console.error('Error loading chart events:', error);
+            }
+        }
+        return ChartAnnotations.data;
+    }
+
+    /**
+     * Plotly shapes and hover labels for one chart.
+     * `region` picks the recession periods (us or japan) and the events shown with the
+     * events of region "all"; only periods overlapping startDate..endDate are returned.
+     */
+    static build(region, { recessions = false, events = false } = {}, startDate, endDate) {
+        const shapes = [];
+        const annotations = [];
+        const data = ChartAnnotations.data;
+        const overlaps = (from, to) => from <= endDate && to >= startDate;
+
+        if (recessions) {
+            (data.recessions[region] || []).filter(period => overlaps(period.start, period.end)).forEach(period => {
+                shapes.push(ChartAnnotations.band(period.start, period.end, 'rgba(120, 120, 120, 0.18)'));
+                annotations.push(ChartAnnotations.label(
+                    period.start < startDate ? startDate : period.start,
+                    'Recession',
+                    `${region === 'japan' ? 'Japan' : 'US'} recession<br>${period.start} to ${period.end}`,
+                    '#777',
+                    'left'
+                ));
+            });
+        }
+
+        if (events) {
+            data.events
+                .filter(event => event.region === region || event.region === 'all')
+                .filter(event => overlaps(event.date, event.endDate || event.date))
+                .forEach(event => {
+                    const color = ChartAnnotations.COLORS[event.category] || ChartAnnotations.COLORS.other;
+                    if (event.endDate) {
+                        shapes.push(ChartAnnotations.band(event.date, event.endDate, color.replace('1)', '0.12)')));
+                    } else {
+                        shapes.push({
+                            type: 'line',
+                            xref: 'x',
+                            yref: 'paper',
+                            x0: event.date,
+                            x1: event.date,
+                            y0: 0,
+                            y1: 1,
+                            layer: 'below',
+                            line: { color: color, width: 1, dash: 'dot' }
+                        });
+                    }
+                    const when = event.endDate ? `${event.date} to ${event.endDate}` : event.date;
+                    annotations.push(ChartAnnotations.label(event.date, '▾', `${event.label}<br>${when}`, color, 'center'));
+                });
+        }
+
+        return { shapes, annotations };
+    }
+
+    static band(from, to, fillcolor) {
+        return {
+            type: 'rect',
+            xref: 'x',
+            yref: 'paper',
+            x0: from,
+            x1: to,
+            y0: 0,
+            y1: 1,
+            layer: 'below',
+            fillcolor: fillcolor,
+            line: { width: 0 }
+        };
+    }
+
+    // Small marker above the plot area; the details show on hover
+    static label(x, text, hovertext, color, xanchor) {
+        return {
+            x: x,
+            xref: 'x',
+            y: 1,
+            yref: 'paper',
+            yanchor: 'bottom',
+            xanchor: xanchor,
+            text: text,
+            hovertext: hovertext,
+            showarrow: false,
+            font: { size: 10, color: color }
+        };
+    }
+}
+
+ChartAnnotations.data = { events: [], recessions: { us: [], japan: [] } };
+
+// Marker colors per event category (rgba so bands can reuse them with less opacity)
+ChartAnnotations.COLORS = {
+    fomc: 'rgba(21, 101, 192, 1)',
+    boj: 'rgba(198, 40, 40, 1)',
+    election: 'rgba(106, 27, 154, 1)',
+    other: 'rgba(239, 108, 0, 1)'
+};
@@ -2,61 +2,195 @@
 
 class EconomicDashboard {
     constructor() {
-        this.indicators = ['sp500', 'treasury', 'oil', 'gold', 'dollar'];
+        this.region = 'us'; // Catalog region shown on this page
+        this.catalog = []; // Indicator catalog entries for this page
+        this.derivedCatalog = []; // Derived series for this page (e.g. gold/oil), charted after the indicators
+        this.momentumCatalog = []; // Every fetched or derived catalog entry, offered in the momentum comparison
+        this.indicators = []; // Indicator ids, in catalog order
         this.allData = {}; // Store all indicator data
         this.momentumData = null; // Store raw momentum data
         this.growthData = null; // Store raw growth data
         this.isAdmin = false; // Track admin status
         this.adminToken = null; // Store authentication token
-        this.chartColors = {
-            sp500: '#2E7D32',
-            treasury: '#1976D2',
-            oil: '#D84315',
-            gold: '#F9A825',
-            dollar: '#6A1B9A'
-        };
-        this.compactNames = {
-            sp500: 'S&P 500',
-            treasury: 'Treasury 7-10Y',
-            oil: 'Oil (WTI)',
-            gold: 'Gold',
-            dollar: 'Dollar Index'
-        };
+        this.sessionTimer = null; // Ends admin mode when the token expires
+        this.chartColors = {}; // Filled from the catalog
+        this.compactNames = {}; // Filled from the catalog
+        this.growthFreq = 'monthly'; // Frequency of the loaded growth data
+        this.correlationData = null; // Correlation matrix and rolling series from the server
         this.init();
     }
 
-    init() {
+    async init() {
+        // Build the page from the indicator catalog
+        try {
+            await this.loadCatalog();
+        } catch (error) {
+            console.error('Error loading indicator catalog:', error);
+            return;
+        }
+        this.renderIndicators();
+
         // Momentum chart controls
-        document.getElementById('momentum-baseline').addEventListener('change', () => this.loadMomentumChart());
+        document.getElementById('momentum-baseline').addEventListener('change', (e) => {
+            const dateInput = document.getElementById('momentum-baseline-date');
+            dateInput.style.display = e.target.value === 'custom' ? '' : 'none';
+            if (e.target.value !== 'custom' || dateInput.value) {
+                this.loadMomentumChart();
+            }
+        });
+        document.getElementById('momentum-baseline-date').addEventListener('change', () => this.loadMomentumChart());
+        document.getElementById('momentum-basis').addEventListener('change', () => this.loadMomentumChart());
+        document.getElementById('momentum-terms').addEventListener('change', () => this.loadMomentumChart());
+        document.getElementById('momentum-align').addEventListener('change', () => this.loadMomentumChart());
+        document.getElementById('momentum-indicator-list').addEventListener('change', () => this.loadMomentumChart());
 
-        // Growth chart time control
+        // Growth chart frequency, comparison, time and basis controls
         document.getElementById('growth-months').addEventListener('change', () => this.filterAndPlotGrowth());
+        document.getElementById('growth-basis').addEventListener('change', () => this.loadGrowthChart());
+        document.getElementById('growth-terms').addEventListener('change', () => this.loadGrowthChart());
+        document.getElementById('growth-freq').addEventListener('change', () => this.loadGrowthChart());
+        document.getElementById('growth-mode').addEventListener('change', () => this.loadGrowthChart());
+
+        // Correlation return frequency, lookback window and rolling pair
+        ['correlation-freq', 'correlation-window', 'correlation-pair-a', 'correlation-pair-b'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.loadCorrelation());
+        });
 
-        // Estimate submission
+        // Estimate submission, target month and input mode (direction, probabilities, point forecast)
         document.getElementById('submit-estimate').addEventListener('click', () => this.submitEstimate());
+        document.getElementById('estimate-month').addEventListener('change', () => this.loadFlatBands());
+        document.getElementById('estimate-mode').addEventListener('change', (e) => this.setEstimateMode(e.target.value));
 
-        // Individual indicator time range controls
-        document.querySelectorAll('.indicator-range').forEach(select => {
+        // Individual indicator time range, view, chart type, price/total-return, scale and real-terms controls
+        document.querySelectorAll('.indicator-range, .indicator-view, .indicator-chart-type, .indicator-basis, .indicator-scale, .indicator-terms').forEach(select => {
             select.addEventListener('change', (e) => {
                 const indicator = e.target.getAttribute('data-indicator');
                 this.filterAndPlotChart(indicator);
             });
         });
 
+        // Per-card technical overlays, remembered between visits
+        document.querySelectorAll('.indicator-overlay').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const indicator = e.target.getAttribute('data-indicator');
+                IndicatorOverlays.save(indicator, IndicatorOverlays.readControls(indicator));
+                this.filterAndPlotChart(indicator);
+            });
+        });
+
+        // Recession periods and events are needed before the first chart is drawn
+        await ChartAnnotations.load();
+
         // Load initial data for all indicators
         this.loadAllData();
 
+        // Freshness badges on the chart cards
+        this.updateFreshness();
+
         // Load momentum chart
         this.loadMomentumChart();
 
         // Load growth rate chart
         this.loadGrowthChart();
 
+        // Load correlation heatmap and rolling correlation
+        this.loadCorrelation();
+
         // Load existing estimates
         this.loadEstimates();
 
+        // Rounds the estimate form can target, and the selected round's flat bands
+        this.buildEstimateMonths();
+        this.loadFlatBands();
+
         // Load news articles
         this.loadNews();
+
+        // Resume admin mode if a still-valid token is stored
+        this.restoreAdminSession();
+    }
+
+    /**
+     * Load the indicator catalog and keep the entries for this page
+     */
+    async loadCatalog() {
+        const indicators = await IndicatorCatalog.load();
+        this.catalog = indicators.filter(ind => ind.region === this.region && IndicatorCatalog.isFetched(ind));
+        this.indicators = this.catalog.map(ind => ind.id);
+        this.derivedCatalog = indicators.filter(ind => ind.region === this.region && ind.derive);
+        this.momentumCatalog = indicators.filter(ind => IndicatorCatalog.isFetched(ind) || ind.derive);
+
+        this.momentumCatalog.forEach(ind => {
+            this.chartColors[ind.id] = ind.color;
+            this.compactNames[ind.id] = ind.shortName;
+        });
+    }
+
+    /**
+     * Build chart cards and growth summary rows for every catalog indicator
+     */
+    renderIndicators() {
+        const grid = document.getElementById('charts-grid');
+        const momentumCard = document.getElementById('momentum-card');
+
+        // The momentum chart sits next to the first indicator card
+        this.catalog.forEach((ind, index) => {
+            const card = IndicatorCatalog.createChartCard(ind);
+            if (index === 0) {
+                grid.insertBefore(card, momentumCard);
+            } else {
+                grid.appendChild(card);
+            }
+        });
+        this.derivedCatalog.forEach(ind => grid.appendChild(IndicatorCatalog.createChartCard(ind)));
+
+        // Momentum indicator picker: any fetched series, this page's region checked by default
+        document.getElementById('momentum-indicator-list').innerHTML = this.momentumCatalog.map(ind => `
+            <label>
+                <input type="checkbox" value="${ind.id}" ${ind.region === this.region ? 'checked' : ''}>
+                ${ind.shortName}
+            </label>
+        `).join('');
+        document.getElementById('momentum-baseline-date').max = new Date().toISOString().split('T')[0];
+
+        const prevColumn = document.getElementById('prev-growth-column');
+        const estimateColumn = document.getElementById('estimate-input-column');
+        const estimateSubmitRow = estimateColumn.querySelector('.submit-row');
+        const currentColumn = document.getElementById('current-growth-column');
+        const currentSubmitRow = currentColumn.querySelector('.submit-row');
+
+        this.catalog.forEach(ind => {
+            const prevItem = document.createElement('div');
+            prevItem.className = 'growth-item';
+            prevItem.innerHTML = `
+                <span class="indicator-label">${ind.shortName}:</span>
+                <span id="prev-growth-${ind.id}" class="growth-value">--</span>
+            `;
+            prevColumn.appendChild(prevItem);
+
+            const estimateItem = document.createElement('div');
+            estimateItem.className = 'growth-item';
+            estimateItem.innerHTML = `
+                <select id="estimate-${ind.id}" class="estimate-select estimate-input-direction">
+                    <option value="">--</option>
+                    <option value="up">↑ Up</option>
+                    <option value="flat">→ Flat</option>
+                    <option value="down">↓ Down</option>
+                </select>
+                <span class="estimate-input-probability" style="display: none;">
+                    <input type="number" id="estimate-${ind.id}-up" class="estimate-prob" min="0" max="100" step="5" placeholder="↑%" title="Probability of Up (%)">
+                    <input type="number" id="estimate-${ind.id}-flat" class="estimate-prob" min="0" max="100" step="5" placeholder="→%" title="Probability of Flat (%)">
+                    <input type="number" id="estimate-${ind.id}-down" class="estimate-prob" min="0" max="100" step="5" placeholder="↓%" title="Probability of Down (%)">
+                </span>
+                <input type="number" id="estimate-${ind.id}-point" class="estimate-point estimate-input-point" step="0.1" placeholder="±%" title="Expected month-over-month change (%)" style="display: none;">
+            `;
+            estimateColumn.insertBefore(estimateItem, estimateSubmitRow);
+
+            const currentItem = document.createElement('div');
+            currentItem.className = 'growth-item';
+            currentItem.innerHTML = `<span id="current-growth-${ind.id}" class="growth-value">--</span>`;
+            currentColumn.insertBefore(currentItem, currentSubmitRow);
+        });
     }
 
     /**
@@ -129,11 +263,7 @@ class EconomicDashboard {
 
             if (result.success && result.data) {
                 // Data found in local file
-                this.allData[indicator] = {
-                    dates: result.data.dates,
-                    values: result.data.values,
-                    name: result.data.name
-                };
+                this.allData[indicator] = IndicatorChart.toSeries(result.data);
 
                 console.log(`${indicator} loaded from local file (last updated: ${result.data.lastUpdated})`);
 
@@ -172,6 +302,65 @@ class EconomicDashboard {
         for (const indicator of this.indicators) {
             await this.loadFromLocalFile(indicator);
         }
+
+        // Derived series are calculated on the server once their inputs are loaded
+        for (const ind of this.derivedCatalog) {
+            await this.loadDerivedSeries(ind.id);
+        }
+    }
+
+    /**
+     * Load a derived series (ratio, product, spread... of two other series) from the server
+     */
+    async loadDerivedSeries(indicator) {
+        const loadingEl = document.getElementById(`${indicator}-loading`);
+        const errorEl = document.getElementById(`${indicator}-error`);
+        const chartEl = document.getElementById(`${indicator}-chart`);
+
+        try {
+            loadingEl.style.display = 'block';
+            loadingEl.textContent = 'Calculating...';
+            errorEl.style.display = 'none';
+            chartEl.style.display = 'none';
+
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/data/${indicator}`);
+            const result = await response.json();
+            if (!result.success || !result.data) {
+                throw new Error(result.message || 'Failed to calculate series');
+            }
+
+            this.allData[indicator] = IndicatorChart.toSeries(result.data);
+            IndicatorChart.clearRealSeries(indicator);
+            console.log(`${indicator} calculated (${result.data.dates.length} data points)`);
+
+            this.filterAndPlotChart(indicator);
+
+            loadingEl.style.display = 'none';
+            chartEl.style.display = 'block';
+        } catch (error) {
+            console.error(`Error calculating ${indicator}:`, error);
+            loadingEl.style.display = 'none';
+            errorEl.textContent = `Error calculating series: ${error.message}`;
+            errorEl.style.display = 'block';
+        }
+    }
+
+    /**
+     * Reload the derived series on this page that use `indicator` as an input
+     */
+    async reloadDependents(indicator) {
+        for (const ind of this.derivedCatalog) {
+            if (ind.derive.left === indicator || ind.derive.right === indicator) {
+                await this.loadDerivedSeries(ind.id);
+            }
+        }
+    }
+
+    /**
+     * Show how fresh each card's data file is (from the server's health report)
+     */
+    async updateFreshness() {
+        IndicatorCatalog.showFreshness(this.catalog.concat(this.derivedCatalog), await IndicatorCatalog.loadHealth());
     }
 
     /**
@@ -198,13 +387,11 @@ class EconomicDashboard {
 
             if (result.success && result.data) {
                 // Store data
-                this.allData[indicator] = {
-                    dates: result.data.dates,
-                    values: result.data.values,
-                    name: result.data.name
-                };
+                this.allData[indicator] = IndicatorChart.toSeries(result.data);
+                IndicatorChart.clearRealSeries(indicator);
 
                 console.log(`${indicator} refreshed from API and saved locally`);
+                this.updateFreshness();
 
                 // Plot data based on current time range selection
                 this.filterAndPlotChart(indicator);
@@ -220,6 +407,9 @@ class EconomicDashboard {
 
                 // Reload momentum chart after each refresh
                 this.loadMomentumChart();
+
+                // Derived series such as gold/oil follow their refreshed inputs
+                await this.reloadDependents(indicator);
             } else {
                 throw new Error(result.message || 'Failed to fetch data from API');
             }
@@ -246,8 +436,9 @@ class EconomicDashboard {
 
     /**
      * Filter stored data based on time range and plot for a specific indicator
+     * (nominal, or deflated by CPI on the server in real terms)
      */
-    filterAndPlotChart(indicator) {
+    async filterAndPlotChart(indicator) {
         if (!this.allData[indicator]) {
             console.warn(`No data available for ${indicator}`);
             return;
@@ -263,119 +454,90 @@ class EconomicDashboard {
         const timeRange = timeRangeElement.value;
         const startDate = this.getStartDate(timeRange);
 
-        // Filter data based on selected time range
-        const filteredIndices = [];
-        for (let i = 0; i < this.allData[indicator].dates.length; i++) {
-            if (this.allData[indicator].dates[i] >= startDate) {
-                filteredIndices.push(i);
+        // Real terms are deflated on the server and cached per indicator
+        const termsElement = document.getElementById(`${indicator}-terms`);
+        const real = termsElement ? termsElement.value === 'real' : false;
+        let source = this.allData[indicator];
+        if (real) {
+            const errorEl = document.getElementById(`${indicator}-error`);
+            try {
+                source = await IndicatorChart.loadRealSeries(indicator);
+                errorEl.style.display = 'none';
+            } catch (error) {
+                console.error(`Error loading real terms for ${indicator}:`, error);
+                errorEl.textContent = `Error loading real terms: ${error.message}`;
+                errorEl.style.display = 'block';
+                return;
             }
         }
 
-        const filteredDates = filteredIndices.map(i => this.allData[indicator].dates[i]);
-        const filteredValues = filteredIndices.map(i => this.allData[indicator].values[i]);
+        // Filter data based on selected time range
+        const filtered = IndicatorChart.filterFrom(source, startDate);
 
         // Log date range for debugging
-        if (filteredDates.length > 0) {
+        if (filtered.dates.length > 0) {
             console.log(`${indicator} - Time range: ${timeRange}`);
-            console.log(`${indicator} - Showing ${filteredDates.length} data points`);
-            console.log(`${indicator} - Date range: ${filteredDates[0]} to ${filteredDates[filteredDates.length - 1]}`);
+            console.log(`${indicator} - Showing ${filtered.dates.length} data points`);
+            console.log(`${indicator} - Date range: ${filtered.dates[0]} to ${filtered.dates[filtered.dates.length - 1]}`);
         }
 
         // Plot the filtered data
-        this.plotChart(indicator, filteredDates, filteredValues);
+        this.plotChart(indicator, filtered, source);
+
+        // Risk and return stats for the same range
+        const basisElement = document.getElementById(`${indicator}-basis`);
+        IndicatorStats.load(indicator, startDate, basisElement ? basisElement.value : 'price', real);
     }
 
     /**
-     * Plot chart using Plotly
+     * Plot chart using Plotly (line, OHLC or candlestick view, price or total return,
+     * technical overlays and event shading, linear or log scale, or the underwater drawdown view).
+     * `fullSeries` is the whole history the range was cut from, used for the overlays.
      */
-    plotChart(indicator, dates, values) {
-        // Main line trace
-        const lineTrace = {
-            x: dates,
-            y: values,
-            type: 'scatter',
-            mode: 'lines',
-            name: this.allData[indicator].name || indicator,
-            line: {
-                color: this.chartColors[indicator] || '#666',
-                width: 2
-            },
-            hovertemplate: '<b>Date:</b> %{x}<br>' +
-                          '<b>Value:</b> %{y:.2f}<br>' +
-                          '<extra></extra>'
-        };
-
-        // Most recent data point marker
-        const lastPointTrace = {
-            x: [dates[dates.length - 1]],
-            y: [values[values.length - 1]],
-            type: 'scatter',
-            mode: 'markers',
-            name: 'Latest',
-            marker: {
-                color: this.chartColors[indicator] || '#666',
-                size: 10,
-                symbol: 'circle',
-                line: {
-                    color: 'white',
-                    width: 2
-                }
-            },
-            hovertemplate: '<b>Latest</b><br>' +
-                          '<b>Date:</b> %{x}<br>' +
-                          '<b>Value:</b> %{y:.2f}<br>' +
-                          '<extra></extra>',
-            showlegend: false,
-            hoverinfo: 'all'
-        };
-
-        // Calculate date range with padding
-        const firstDate = new Date(dates[0]);
-        const lastDate = new Date(dates[dates.length - 1]);
-        const dateRange = lastDate - firstDate;
-        const padding = dateRange * 0.05; // 5% padding on each side
-
-        const layout = {
-            title: {
-                text: '',
-                font: { size: 18 }
-            },
-            xaxis: {
-                title: 'Date',
-                showgrid: true,
-                gridcolor: '#e0e0e0',
-                rangeslider: { visible: false },
-                type: 'date',
-                range: [new Date(firstDate.getTime() - padding), new Date(lastDate.getTime() + padding)]
-            },
-            yaxis: {
-                title: 'Value',
-                showgrid: true,
-                gridcolor: '#e0e0e0',
-                autorange: true
-            },
-            hovermode: 'closest',
-            plot_bgcolor: '#fafafa',
-            paper_bgcolor: 'white',
-            margin: { t: 30, r: 30, b: 60, l: 60 },
-            showlegend: false
-        };
+    plotChart(indicator, series, fullSeries = this.allData[indicator]) {
+        const chartTypeElement = document.getElementById(`${indicator}-chart-type`);
+        const basisElement = document.getElementById(`${indicator}-basis`);
+        const viewElement = document.getElementById(`${indicator}-view`);
+        const scaleElement = document.getElementById(`${indicator}-scale`);
+        const termsElement = document.getElementById(`${indicator}-terms`);
+        let chartType = chartTypeElement ? chartTypeElement.value : 'line';
+        const settings = IndicatorOverlays.load(indicator);
+
+        // Recession shading and event markers for the plotted range
+        const annotations = series.dates.length > 0
+            ? ChartAnnotations.build(this.region, settings, series.dates[0], series.dates[series.dates.length - 1])
+            : null;
+
+        // Drawdown from the running peak is calculated on the server
+        if (viewElement && viewElement.value === 'drawdown' && series.dates.length > 0) {
+            IndicatorStats.loadDrawdown(indicator, series.dates[0], basisElement ? basisElement.value : 'price', {
+                annotations,
+                real: termsElement ? termsElement.value === 'real' : false
+            });
+            return;
+        }
+        IndicatorStats.hideDrawdowns(indicator);
 
-        const config = {
-            responsive: true,
-            displayModeBar: true,
-            modeBarButtonsToRemove: ['lasso2d', 'select2d'],
-            displaylogo: false,
-            toImageButtonOptions: {
-                format: 'png',
-                filename: `${indicator}_chart`,
-                height: 600,
-                width: 1000,
-                scale: 2
-            }
-        };
+        // Total return is a single index, so it is always drawn as a line
+        if (basisElement && basisElement.value === 'total' && IndicatorChart.hasTotalReturn(series)) {
+            series = IndicatorChart.toTotalReturn(series);
+            fullSeries = IndicatorChart.toTotalReturn(fullSeries);
+            chartType = 'line';
+        }
 
-        Plotly.newPlot(`${indicator}-chart`, [lineTrace, lastPointTrace], layout, config);
+        // Overlays run over the full history so long averages start on the first plotted day
+        const overlays = series.dates.length > 0
+            ? IndicatorOverlays.build(fullSeries, settings, series.dates[0])
+            : null;
+
+        IndicatorChart.plot(`${indicator}-chart`, series, {
+            color: this.chartColors[indicator] || '#666',
+            chartType: chartType,
+            filename: `${indicator}_chart`,
+            overlays: overlays,
+            annotations: annotations,
+            logScale: scaleElement ? scaleElement.value === 'log' : false
+        });
     }
 
     /**
@@ -393,15 +555,36 @@ class EconomicDashboard {
             errorEl.style.display = 'none';
             chartEl.style.display = 'none';
 
-            // Get selected baseline period
+            // Get selected baseline period (or date), indicators, price/total-return basis and terms
             const period = document.getElementById('momentum-baseline').value;
+            const baselineDate = document.getElementById('momentum-baseline-date').value;
+            const basis = document.getElementById('momentum-basis').value;
+            const align = document.getElementById('momentum-align').value;
+            const selected = this.getMomentumIndicators();
+
+            if (selected.length === 0) {
+                throw new Error('Select at least one indicator');
+            }
 
-            // Fetch momentum data from server with period parameter
-            const response = await fetch(`${CONFIG.SERVER_URL}/api/data/momentum?period=${period}`);
+            // Fetch momentum data from server with period or baseline date parameter
+            const params = new URLSearchParams({ basis, align, indicators: selected.join(',') });
+            if (document.getElementById('momentum-terms').value === 'real') {
+                params.set('real', 'true');
+            }
+            if (period === 'custom' && baselineDate) {
+                params.set('baseline', baselineDate);
+            } else {
+                params.set('period', period === 'custom' ? '1m' : period);
+            }
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/data/momentum?${params}`);
             const result = await response.json();
 
             console.log('Momentum API response:', result);
 
+            if (!result.success && result.message) {
+                throw new Error(result.message);
+            }
+
             if (result.success && result.data) {
                 // Check if we have any data
                 const hasData = Object.keys(result.data).length > 0;
@@ -417,7 +600,7 @@ class EconomicDashboard {
 
                 // Set baseline date from first indicator's baseline date
                 let baselineDateStr = '';
-                for (const indicator of this.indicators) {
+                for (const indicator of this.getMomentumOrder()) {
                     if (this.momentumData[indicator] && this.momentumData[indicator].baselineDate) {
                         const baselineDate = new Date(this.momentumData[indicator].baselineDate);
                         baselineDateStr = baselineDate.toLocaleDateString('en-US', {
@@ -450,6 +633,20 @@ class EconomicDashboard {
         }
     }
 
+    /**
+     * Indicator ids ticked in the momentum picker
+     */
+    getMomentumIndicators() {
+        return Array.from(document.querySelectorAll('#momentum-indicator-list input:checked')).map(input => input.value);
+    }
+
+    /**
+     * Indicators in the loaded momentum data, in catalog order
+     */
+    getMomentumOrder() {
+        return this.momentumCatalog.map(ind => ind.id).filter(id => this.momentumData[id]);
+    }
+
     /**
      * Plot momentum chart showing all data from baseline
      */
@@ -460,7 +657,7 @@ class EconomicDashboard {
         let latestDate = null;
 
         // Plot all data from baseline onwards
-        for (const indicator of this.indicators) {
+        for (const indicator of this.getMomentumOrder()) {
             if (this.momentumData[indicator]) {
                 const dates = this.momentumData[indicator].dates;
                 const values = this.momentumData[indicator].values;
@@ -485,9 +682,33 @@ class EconomicDashboard {
                                   'Date: %{x}<br>' +
                                   'Value: %{y:.2f}<br>' +
                                   '<extra></extra>',
-                    legendgroup: indicator
+                    legendgroup: indicator,
+                    connectgaps: false
                 });
 
+                // Points carried forward by the date alignment (no observation of their own)
+                const filled = this.momentumData[indicator].filled || [];
+                if (filled.length > 0) {
+                    traces.push({
+                        x: filled.map(index => dates[index]),
+                        y: filled.map(index => values[index]),
+                        type: 'scatter',
+                        mode: 'markers',
+                        name: this.compactNames[indicator] || this.momentumData[indicator].name,
+                        marker: {
+                            color: this.chartColors[indicator],
+                            size: 5,
+                            symbol: 'circle-open'
+                        },
+                        hovertemplate: '<b>%{fullData.name}</b> (carried forward)<br>' +
+                                      'Date: %{x}<br>' +
+                                      'Value: %{y:.2f}<br>' +
+                                      '<extra></extra>',
+                        showlegend: false,
+                        legendgroup: indicator
+                    });
+                }
+
                 // Most recent point marker
                 traces.push({
                     x: [dates[dates.length - 1]],
@@ -578,7 +799,29 @@ class EconomicDashboard {
     }
 
     /**
-     * Load and plot month-over-month growth rate chart
+     * Name of one growth period ("Week", "Month", ...) for a frequency
+     */
+    getGrowthPeriodName(freq) {
+        return { weekly: 'Week', monthly: 'Month', quarterly: 'Quarter', yearly: 'Year' }[freq];
+    }
+
+    /**
+     * Update the growth title and "Show last" options for a frequency and comparison mode
+     */
+    updateGrowthLabels(freq, mode) {
+        const period = this.getGrowthPeriodName(freq);
+        const comparison = mode === 'yoy' ? 'Year-over-Year' : `${period}-over-${period}`;
+        document.getElementById('growth-title').textContent = `${comparison} Growth Rate (%)`;
+
+        document.querySelectorAll('#growth-months option').forEach(option => {
+            if (option.value !== 'all') {
+                option.textContent = `${option.value} ${period.toLowerCase()}s`;
+            }
+        });
+    }
+
+    /**
+     * Load and plot the growth rate chart for the selected frequency and comparison
      */
     async loadGrowthChart() {
         const loadingEl = document.getElementById('growth-loading');
@@ -591,12 +834,20 @@ class EconomicDashboard {
             errorEl.style.display = 'none';
             chartEl.style.display = 'none';
 
-            // Fetch growth data from server
-            const response = await fetch(`${CONFIG.SERVER_URL}/api/data/growth`);
+            // Fetch growth data from server with the selected frequency, comparison, basis and terms
+            const basis = document.getElementById('growth-basis').value;
+            const freq = document.getElementById('growth-freq').value;
+            const mode = document.getElementById('growth-mode').value;
+            const real = document.getElementById('growth-terms').value === 'real';
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/data/growth?basis=${basis}&freq=${freq}&mode=${mode}&real=${real}`);
             const result = await response.json();
 
             console.log('Growth API response:', result);
 
+            if (!result.success && result.message) {
+                throw new Error(result.message);
+            }
+
             if (result.success && result.data) {
                 // Check if we have any data
                 const hasData = Object.keys(result.data).length > 0;
@@ -609,6 +860,8 @@ class EconomicDashboard {
 
                 // Store raw growth data
                 this.growthData = result.data;
+                this.growthFreq = freq;
+                this.updateGrowthLabels(freq, mode);
 
                 // Update previous month growth rates
                 this.updatePreviousMonthGrowth();
@@ -768,16 +1021,17 @@ class EconomicDashboard {
     }
 
     /**
-     * Filter and plot growth chart based on selected months
+     * Filter and plot growth chart based on the selected number of periods
      */
     filterAndPlotGrowth() {
         if (!this.growthData) return;
 
         const monthsFilter = document.getElementById('growth-months').value;
+        const periodName = this.getGrowthPeriodName(this.growthFreq);
         const traces = [];
         let latestMonth = null;
 
-        // Filter data based on selected months
+        // Filter data based on selected number of periods
         for (const indicator of this.indicators) {
             if (this.growthData[indicator]) {
                 let dates = this.growthData[indicator].dates;
@@ -812,7 +1066,7 @@ class EconomicDashboard {
                         size: 4
                     },
                     hovertemplate: '<b>%{fullData.name}</b><br>' +
-                                  'Month: %{x}<br>' +
+                                  `${periodName}: %{x}<br>` +
                                   'Growth: %{y:.2f}%<br>' +
                                   '<extra></extra>',
                     legendgroup: indicator
@@ -835,7 +1089,7 @@ class EconomicDashboard {
                         }
                     },
                     hovertemplate: '<b>%{fullData.name} Latest:</b> %{y:.2f}%<br>' +
-                                  'Month: %{x}<br>' +
+                                  `${periodName}: %{x}<br>` +
                                   '<extra></extra>',
                     showlegend: false,
                     legendgroup: indicator
@@ -849,7 +1103,8 @@ class EconomicDashboard {
                         font: { size: 18 }
                     },
                     xaxis: {
-                        title: 'Month',
+                        title: periodName,
+                        type: 'category',
                         showgrid: true,
                         gridcolor: '#e0e0e0'
                     },
@@ -908,7 +1163,7 @@ class EconomicDashboard {
     }
 
     /**
-     * Update growth table with last 6 months
+     * Update growth table with the last 6 periods
      */
     updateGrowthTable() {
         if (!this.growthData) return;
@@ -920,19 +1175,19 @@ class EconomicDashboard {
         tableHeader.innerHTML = '<th>Indicator</th>';
         tableBody.innerHTML = '';
 
-        // Get the last 6 months of data from the first indicator
+        // Get the last 6 periods of data from the first indicator
         const firstIndicator = this.indicators.find(ind => this.growthData[ind]);
         if (!firstIndicator) return;
 
         const allDates = this.growthData[firstIndicator].dates;
-        const last6Months = allDates.slice(-6);
+        const last6Periods = allDates.slice(-6);
 
-        // Add month headers
-        last6Months.forEach(dateStr => {
-            const date = new Date(dateStr);
-            const monthName = date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+        // Add period headers ("Aug 25" for months, the server's label otherwise)
+        last6Periods.forEach(label => {
             const th = document.createElement('th');
-            th.textContent = monthName;
+            th.textContent = this.growthFreq === 'monthly'
+                ? new Date(label).toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
+                : label;
             tableHeader.appendChild(th);
         });
 
@@ -947,7 +1202,7 @@ class EconomicDashboard {
                 nameCell.className = 'indicator-name-cell';
                 row.appendChild(nameCell);
 
-                // Get last 6 months of growth data
+                // Get last 6 periods of growth data
                 const dates = this.growthData[indicator].dates;
                 const values = this.growthData[indicator].values;
                 const last6Values = values.slice(-6);
@@ -972,6 +1227,147 @@ class EconomicDashboard {
         });
     }
 
+    /**
+     * Load the correlation matrix and the selected rolling pair from the server
+     */
+    async loadCorrelation() {
+        const loadingEl = document.getElementById('correlation-loading');
+        const errorEl = document.getElementById('correlation-error');
+        const pairA = document.getElementById('correlation-pair-a');
+        const pairB = document.getElementById('correlation-pair-b');
+
+        try {
+            loadingEl.style.display = 'block';
+            errorEl.style.display = 'none';
+
+            // Stock/bond correlation until the pair selects are filled
+            const pair = pairA.value && pairB.value ? `${pairA.value}:${pairB.value}` : 'sp500:treasury';
+            const params = new URLSearchParams({
+                freq: document.getElementById('correlation-freq').value,
+                window: document.getElementById('correlation-window').value,
+                pairs: pair
+            });
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/correlation?${params}`);
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.message || 'No correlation data available');
+            }
+
+            this.correlationData = result;
+
+            // Fill the pair selects once, from the indicators the server has data for
+            if (pairA.options.length === 0) {
+                const [first, second] = pair.split(':');
+                const options = result.data.indicators.map((id, i) => `<option value="${id}">${result.data.names[i]}</option>`).join('');
+                pairA.innerHTML = options;
+                pairB.innerHTML = options;
+                pairA.value = first;
+                pairB.value = second;
+            }
+
+            this.plotCorrelationHeatmap();
+            this.plotRollingCorrelation(pair);
+            loadingEl.style.display = 'none';
+        } catch (error) {
+            console.error('Error loading correlations:', error);
+            loadingEl.style.display = 'none';
+            errorEl.textContent = `Error loading correlations: ${error.message}`;
+            errorEl.style.display = 'block';
+        }
+    }
+
+    /**
+     * Plot the correlation matrix as a heatmap; clicking a cell shows that pair's rolling correlation
+     */
+    plotCorrelationHeatmap() {
+        const { names, matrix, observations } = this.correlationData.data;
+
+        const trace = {
+            z: matrix,
+            x: names,
+            y: names,
+            customdata: observations,
+            type: 'heatmap',
+            zmin: -1,
+            zmax: 1,
+            colorscale: 'RdBu',
+            reversescale: true,
+            texttemplate: '%{z:.2f}',
+            textfont: { size: 10 },
+            hoverongaps: false,
+            hovertemplate: '<b>%{y} / %{x}</b><br>' +
+                          'Correlation: %{z:.2f}<br>' +
+                          'Returns: %{customdata}<br>' +
+                          '<extra></extra>'
+        };
+
+        const layout = {
+            title: {
+                text: `${this.correlationData.start} to ${this.correlationData.end}`,
+                font: { size: 12 }
+            },
+            xaxis: { tickangle: -45, automargin: true },
+            yaxis: { autorange: 'reversed', automargin: true },
+            plot_bgcolor: '#fafafa',
+            paper_bgcolor: 'white',
+            margin: { t: 30, r: 10, b: 60, l: 60 },
+            autosize: true
+        };
+
+        Plotly.newPlot('correlation-heatmap', [trace], layout, { responsive: true, displaylogo: false });
+
+        const heatmapEl = document.getElementById('correlation-heatmap');
+        if (heatmapEl.on && !heatmapEl.dataset.clickBound) {
+            heatmapEl.dataset.clickBound = 'true';
+            heatmapEl.on('plotly_click', (event) => {
+                const point = event.points[0];
+                const ids = this.correlationData.data.indicators;
+                document.getElementById('correlation-pair-a').value = ids[point.pointIndex[0]];
+                document.getElementById('correlation-pair-b').value = ids[point.pointIndex[1]];
+                this.loadCorrelation();
+            });
+        }
+    }
+
+    /**
+     * Plot the rolling correlation of one pair ("a:b")
+     */
+    plotRollingCorrelation(pair) {
+        const series = this.correlationData.data.rolling[pair];
+        const { indicators, names } = this.correlationData.data;
+        const [a, b] = pair.split(':');
+        const label = `${names[indicators.indexOf(a)]} / ${names[indicators.indexOf(b)]}`;
+
+        const trace = {
+            x: series ? series.dates : [],
+            y: series ? series.values : [],
+            type: 'scatter',
+            mode: 'lines',
+            name: label,
+            line: { color: '#1976D2', width: 2 },
+            hovertemplate: '<b>%{x}</b><br>' +
+                          'Correlation: %{y:.2f}<br>' +
+                          '<extra></extra>'
+        };
+
+        const layout = {
+            title: {
+                text: `${label} (rolling ${this.correlationData.rollingWindow} ${this.correlationData.freq} returns)`,
+                font: { size: 12 }
+            },
+            xaxis: { type: 'date', showgrid: true, gridcolor: '#e0e0e0' },
+            yaxis: { title: 'Correlation', range: [-1, 1], showgrid: true, gridcolor: '#e0e0e0', zeroline: true, zerolinecolor: '#999', zerolinewidth: 2 },
+            plot_bgcolor: '#fafafa',
+            paper_bgcolor: 'white',
+            margin: { t: 30, r: 30, b: 50, l: 60 },
+            autosize: true,
+            showlegend: false
+        };
+
+        Plotly.newPlot('correlation-rolling-chart', [trace], layout, { responsive: true, displaylogo: false });
+    }
+
     /**
      * Submit user's estimate
      */
@@ -983,15 +1379,11 @@ class EconomicDashboard {
             return;
         }
 
-        // Collect estimates
-        const estimates = {};
-        for (const indicator of this.indicators) {
-            const value = document.getElementById(`estimate-${indicator}`).value;
-            if (!value) {
-                alert(`Please select an estimate for ${indicator}`);
-                return;
-            }
-            estimates[indicator] = value;
+        // Collect estimates in the selected input mode
+        const forecast = this.collectForecast(document.getElementById('estimate-mode').value);
+        if (forecast.error) {
+            alert(forecast.error);
+            return;
         }
 
         try {
@@ -1000,17 +1392,30 @@ class EconomicDashboard {
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ name, estimates })
+                body: JSON.stringify({
+                    name,
+                    targetMonth: document.getElementById('estimate-month').value,
+                    ...forecast,
+                    ...this.getParticipant()
+                })
             });
 
             const result = await response.json();
 
             if (result.success) {
+                // Keep the edit token so this browser can delete its own submission later
+                this.saveEditToken(result.data.id, result.editToken);
+                // Remember who we are, so later rounds count towards the same leaderboard entry
+                if (result.participantToken) {
+                    this.saveParticipant(result.participant.id, result.participantToken);
+                }
                 alert('Estimate submitted successfully!');
                 // Clear form
                 document.getElementById('user-name').value = '';
                 this.indicators.forEach(indicator => {
-                    document.getElementById(`estimate-${indicator}`).value = '';
+                    ['', '-up', '-flat', '-down', '-point'].forEach(suffix => {
+                        document.getElementById(`estimate-${indicator}${suffix}`).value = '';
+                    });
                 });
                 // Reload estimates
                 this.loadEstimates();
@@ -1023,100 +1428,264 @@ class EconomicDashboard {
         }
     }
 
+    /**
+     * Edit tokens for submissions made from this browser, keyed by estimate id
+     */
+    getEditTokens() {
+        try {
+            return JSON.parse(localStorage.getItem('estimateEditTokens')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveEditToken(id, token) {
+        if (!token) {
+            return;
+        }
+        const tokens = this.getEditTokens();
+        tokens[id] = token;
+        localStorage.setItem('estimateEditTokens', JSON.stringify(tokens));
+    }
+
+    removeEditToken(id) {
+        const tokens = this.getEditTokens();
+        delete tokens[id];
+        localStorage.setItem('estimateEditTokens', JSON.stringify(tokens));
+    }
+
+    /**
+     * Show the estimate inputs for one mode: direction, probability, point or both
+     */
+    setEstimateMode(mode) {
+        const show = {
+            direction: mode === 'direction',
+            probability: mode === 'probability' || mode === 'both',
+            point: mode === 'point' || mode === 'both'
+        };
+        Object.entries(show).forEach(([kind, visible]) => {
+            document.querySelectorAll(`.estimate-input-${kind}`).forEach(el => {
+                el.style.display = visible ? '' : 'none';
+            });
+        });
+    }
+
+    /**
+     * Read the estimate form. Returns { estimates, probabilities?, points? } or { error }.
+     * Probabilities are entered in percent and sent as fractions; the direction of a
+     * rich forecast is its most likely outcome, or where the point falls in the band.
+     */
+    collectForecast(mode) {
+        const useProbabilities = mode === 'probability' || mode === 'both';
+        const usePoints = mode === 'point' || mode === 'both';
+        const estimates = {};
+        const probabilities = {};
+        const points = {};
+
+        for (const indicator of this.indicators) {
+            if (mode === 'direction') {
+                const value = document.getElementById(`estimate-${indicator}`).value;
+                if (!value) {
+                    return { error: `Please select an estimate for ${indicator}` };
+                }
+                estimates[indicator] = value;
+                continue;
+            }
+
+            if (useProbabilities) {
+                const split = {};
+                for (const outcome of ['up', 'flat', 'down']) {
+                    const value = parseFloat(document.getElementById(`estimate-${indicator}-${outcome}`).value);
+                    if (isNaN(value) || value < 0 || value > 100) {
+                        return { error: `Please enter probabilities (0-100%) for ${indicator}` };
+                    }
+                    split[outcome] = value / 100;
+                }
+                if (Math.abs(split.up + split.flat + split.down - 1) > 0.01) {
+                    return { error: `Probabilities for ${indicator} must add up to 100%` };
+                }
+                probabilities[indicator] = split;
+                estimates[indicator] = ['up', 'flat', 'down'].reduce((best, outcome) => (split[outcome] > split[best] ? outcome : best), 'up');
+            }
+
+            if (usePoints) {
+                const value = parseFloat(document.getElementById(`estimate-${indicator}-point`).value);
+                if (isNaN(value)) {
+                    return { error: `Please enter an expected % change for ${indicator}` };
+                }
+                points[indicator] = value;
+                // Without probabilities the server derives the direction from the round's band
+            }
+        }
+
+        const forecast = { estimates };
+        if (useProbabilities) forecast.probabilities = probabilities;
+        if (usePoints) forecast.points = points;
+        return forecast;
+    }
+
+    /**
+     * Fill the target month selector with the rounds taking forecasts: the next
+     * two months (UTC, like the server), next month selected. A round stops taking
+     * submissions once its month has started.
+     */
+    buildEstimateMonths() {
+        const select = document.getElementById('estimate-month');
+        const now = new Date();
+        select.innerHTML = '';
+        [1, 2].forEach(offset => {
+            const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1));
+            const option = document.createElement('option');
+            option.value = date.toISOString().substring(0, 7);
+            option.textContent = date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Load the selected round's per-indicator flat bands and show them next to the estimate form
+     */
+    async loadFlatBands() {
+        try {
+            const month = document.getElementById('estimate-month').value;
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/estimates/bands?month=${month}`);
+            const result = await response.json();
+
+            if (!result.success) {
+                return;
+            }
+
+            const bands = result.data.flatBands;
+            const parts = [];
+            this.catalog.forEach(ind => {
+                const band = bands[ind.id];
+                if (band === undefined) {
+                    return;
+                }
+                parts.push(`${ind.shortName} ±${band.toFixed(2)}%`);
+
+                const select = document.getElementById(`estimate-${ind.id}`);
+                if (select) {
+                    select.title = `Up > +${band.toFixed(2)}%, Flat within ±${band.toFixed(2)}%, Down < -${band.toFixed(2)}%`;
+                }
+            });
+
+            const bandsElement = document.getElementById('estimate-bands');
+            if (bandsElement && parts.length > 0) {
+                bandsElement.textContent = ` (this round: ${parts.join(', ')})`;
+            }
+        } catch (error) {
+            console.error('Error loading flat bands:', error);
+        }
+    }
+
+    /**
+     * Participant identity of this browser ({ participantId, participantToken }, or empty)
+     */
+    getParticipant() {
+        try {
+            return JSON.parse(localStorage.getItem('estimateParticipant')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveParticipant(participantId, participantToken) {
+        localStorage.setItem('estimateParticipant', JSON.stringify({ participantId, participantToken }));
+    }
+
     /**
      * Load and display all estimates
      */
     async loadEstimates() {
         try {
-            const response = await fetch(`${CONFIG.SERVER_URL}/api/estimates`);
+            const [response, scoresResponse] = await Promise.all([
+                fetch(`${CONFIG.SERVER_URL}/api/estimates`),
+                fetch(`${CONFIG.SERVER_URL}/api/estimates/scores`)
+            ]);
             const result = await response.json();
+            const scores = await scoresResponse.json();
 
             if (result.success) {
-                this.displayEstimates(result.data);
+                this.displayEstimates(result.data, scores.success ? scores.data : []);
             }
         } catch (error) {
             console.error('Error loading estimates:', error);
         }
+
+        this.loadLeaderboard();
     }
 
     /**
-     * Display estimates in the scrollable area
+     * Load the all-time leaderboard and show the top 5
      */
-    displayEstimates(estimates) {
-        const container = document.getElementById('submissions-container');
-        container.innerHTML = '';
+    async loadLeaderboard() {
+        try {
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/estimates/leaderboard`);
+            const result = await response.json();
 
-        // Get current growth values for comparison
-        const currentGrowth = {};
-        this.indicators.forEach(indicator => {
-            const element = document.getElementById(`current-growth-${indicator}`);
-            if (element && element.textContent !== '--') {
-                currentGrowth[indicator] = parseFloat(element.textContent);
+            if (result.success) {
+                this.displayLeaderboard(result.data.entries);
             }
-        });
+        } catch (error) {
+            console.error('Error loading leaderboard:', error);
+        }
+    }
 
-        // Calculate correct count for each submission
-        const leaderboard = [];
+    displayLeaderboard(entries) {
+        const leaderElement = document.getElementById('estimate-leader');
+        if (!leaderElement) {
+            return;
+        }
 
-        estimates.forEach(submission => {
-            let correctCount = 0;
+        const top5 = entries.slice(0, 5);
+        if (top5.length === 0 || top5[0].correct === 0) {
+            leaderElement.style.display = 'none';
+            return;
+        }
 
-            this.indicators.forEach(indicator => {
-                if (currentGrowth[indicator] !== undefined) {
-                    const growth = currentGrowth[indicator];
-                    const estimate = submission.estimates[indicator];
-                    let isCorrect = false;
-
-                    if (estimate === 'up' && growth > 1) {
-                        isCorrect = true;
-                    } else if (estimate === 'flat' && growth >= -1 && growth <= 1) {
-                        isCorrect = true;
-                    } else if (estimate === 'down' && growth < -1) {
-                        isCorrect = true;
-                    }
+        leaderElement.innerHTML = '<h3 style="margin: 0 0 10px 0; font-size: 1.1em;">🏆 Top 5 Leaders <a href="leaderboard.html" class="leader-more">Full leaderboard →</a></h3>';
+        const leaderList = document.createElement('div');
+        leaderList.className = 'leader-list';
+
+        top5.forEach(entry => {
+            const leaderItem = document.createElement('a');
+            leaderItem.className = `leader-item rank-${entry.rank}`;
+            leaderItem.href = `leaderboard.html?participant=${encodeURIComponent(entry.key)}`;
+            leaderItem.innerHTML = `
+                <span class="leader-rank">#${entry.rank}</span>
+                <span class="leader-name"></span>
+                <span class="leader-streak" title="Current streak">🔥 ${entry.currentStreak}</span>
+                <span class="leader-score">${(entry.hitRate * 100).toFixed(0)}% (${entry.correct}/${entry.total})</span>
+            `;
+            // Names are free text from participants, so never parsed as HTML
+            leaderItem.querySelector('.leader-name').textContent = entry.name;
+            leaderList.appendChild(leaderItem);
+        });
 
-                    if (isCorrect) {
-                        correctCount++;
-                    }
-                }
-            });
+        leaderElement.appendChild(leaderList);
+        leaderElement.style.display = 'block';
+    }
+
+    /**
+     * Display estimates in the scrollable area.
+     * Results come from the server, scored per target-month round: closed rounds
+     * are final, the open round is scored provisionally on month-to-date growth.
+     * The leaderboard is loaded separately (see loadLeaderboard).
+     */
+    displayEstimates(estimates, rounds = []) {
+        const container = document.getElementById('submissions-container');
+        container.innerHTML = '';
 
-            leaderboard.push({
-                name: submission.name,
-                correctCount: correctCount
+        // Score of each submission, and the status of its round
+        const scoresById = {};
+        rounds.forEach(round => {
+            round.scores.forEach(score => {
+                scoresById[score.id] = { ...score, status: round.status };
             });
         });
 
-        // Sort by correct count (descending) and get top 5
-        leaderboard.sort((a, b) => b.correctCount - a.correctCount);
-        const top5 = leaderboard.slice(0, 5);
-
-        // Update leader display
-        const leaderElement = document.getElementById('estimate-leader');
-        if (leaderElement) {
-            if (top5.length > 0 && top5[0].correctCount > 0) {
-                leaderElement.innerHTML = '<h3 style="margin: 0 0 10px 0; font-size: 1.1em;">🏆 Top 5 Leaders</h3>';
-                const leaderList = document.createElement('div');
-                leaderList.className = 'leader-list';
-
-                top5.forEach((entry, index) => {
-                    const rank = index + 1;
-                    const leaderItem = document.createElement('div');
-                    leaderItem.className = `leader-item rank-${rank}`;
-                    leaderItem.innerHTML = `
-                        <span class="leader-rank">#${rank}</span>
-                        <span class="leader-name">${entry.name}</span>
-                        <span class="leader-score">${entry.correctCount}/${this.indicators.length}</span>
-                    `;
-                    leaderList.appendChild(leaderItem);
-                });
-
-                leaderElement.appendChild(leaderList);
-                leaderElement.style.display = 'block';
-            } else {
-                leaderElement.style.display = 'none';
-            }
-        }
+        const editTokens = this.getEditTokens();
 
         estimates.forEach(submission => {
             const column = document.createElement('div');
@@ -1126,24 +1695,31 @@ class EconomicDashboard {
             const headerContainer = document.createElement('div');
             headerContainer.className = 'submission-header';
 
-            // Get submission month
-            const submissionDate = new Date(submission.timestamp);
-            const monthName = submissionDate.toLocaleDateString('en-US', { month: 'short' });
+            // Get target month (older submissions target the month they were made in)
+            const targetMonth = submission.targetMonth || submission.timestamp.substring(0, 7);
+            const targetDate = new Date(`${targetMonth}-01T00:00:00Z`);
+            const monthName = targetDate.toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' });
 
+            // Names are free text from participants, so never parsed as HTML
             const header = document.createElement('h3');
-            header.innerHTML = `${submission.name}<br><span class="submission-month">${monthName}</span>`;
-            header.title = `${submission.name} - ${submissionDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`; // Tooltip with full info
+            const month = document.createElement('span');
+            month.className = 'submission-month';
+            month.textContent = monthName;
+            header.append(String(submission.name), document.createElement('br'), month);
+            header.title = `${submission.name} - ${targetDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })}`; // Tooltip with full info
             header.style.borderBottom = 'none';
             header.style.paddingBottom = '0';
             headerContainer.appendChild(header);
 
-            // Add delete button for all users
-            const deleteBtn = document.createElement('button');
-            deleteBtn.className = 'delete-btn';
-            deleteBtn.innerHTML = '×';
-            deleteBtn.title = 'Delete this submission';
-            deleteBtn.onclick = () => this.deleteSubmission(submission.id, submission.name);
-            headerContainer.appendChild(deleteBtn);
+            // Add delete button on your own submissions until their round starts, or on all of them in admin mode
+            if (this.isAdmin || (editTokens[submission.id] && targetMonth > new Date().toISOString().substring(0, 7))) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'delete-btn';
+                deleteBtn.innerHTML = '×';
+                deleteBtn.title = 'Delete this submission';
+                deleteBtn.addEventListener('click', () => this.deleteSubmission(submission.id, submission.name));
+                headerContainer.appendChild(deleteBtn);
+            }
 
             column.appendChild(headerContainer);
 
@@ -1169,23 +1745,29 @@ class EconomicDashboard {
                     arrow = '--';
                 }
 
-                // Check if estimate is correct based on current growth
-                if (currentGrowth[indicator] !== undefined) {
-                    const growth = currentGrowth[indicator];
-                    let isCorrect = false;
-
-                    if (estimate === 'up' && growth > 1) {
-                        isCorrect = true;
-                    } else if (estimate === 'flat' && growth >= -1 && growth <= 1) {
-                        isCorrect = true;
-                    } else if (estimate === 'down' && growth < -1) {
-                        isCorrect = true;
-                    }
+                // Probability split and point forecast, when given, in the tooltip
+                const details = [];
+                const split = submission.probabilities && submission.probabilities[indicator];
+                if (split) {
+                    details.push(`↑${Math.round(split.up * 100)}% →${Math.round(split.flat * 100)}% ↓${Math.round(split.down * 100)}%`);
+                }
+                const point = submission.points && submission.points[indicator];
+                if (typeof point === 'number') {
+                    details.push(`Point: ${point > 0 ? '+' : ''}${point.toFixed(1)}%`);
+                }
 
-                    if (isCorrect) {
-                        item.classList.add('estimate-correct');
+                // Highlight correct estimates using the server-side score for its round
+                const score = scoresById[submission.id];
+                const result = score && score.results[indicator];
+                if (result && result.correct) {
+                    item.classList.add('estimate-correct');
+                    if (score.status !== 'closed') {
+                        details.push('Provisional - the round is still open');
                     }
                 }
+                if (details.length > 0) {
+                    item.title = details.join('\n');
+                }
 
                 item.innerHTML = `<span class="estimate-arrow ${cssClass}">${arrow}</span>`;
                 column.appendChild(item);
@@ -1223,27 +1805,7 @@ class EconomicDashboard {
             const result = await response.json();
 
             if (result.success) {
-                this.isAdmin = true;
-                this.adminToken = result.token;
-
-                // Store token in sessionStorage
-                sessionStorage.setItem('adminToken', result.token);
-
-                document.getElementById('adminLoginBtn').style.display = 'none';
-                document.getElementById('adminStatus').style.display = 'inline';
-
-                // Show all admin-only elements
-                document.querySelectorAll('.admin-only').forEach(el => {
-                    if (el.tagName === 'BUTTON') {
-                        el.style.display = 'inline-block';
-                    } else {
-                        el.style.display = '';
-                    }
-                });
-
-                // Reload estimates to show delete buttons
-                this.loadEstimates();
-
+                this.startAdminSession(result.token, result.expiresAt);
                 alert('Admin mode activated');
             } else {
                 alert('Incorrect password');
@@ -1255,41 +1817,150 @@ class EconomicDashboard {
     }
 
     /**
-     * Admin logout
+     * Check a token stored by an earlier login (here or on the admin page)
      */
-    adminLogout() {
+    async restoreAdminSession() {
+        const storedToken = sessionStorage.getItem('adminToken');
+        if (!storedToken) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/auth/session`, {
+                headers: {
+                    'Authorization': `Bearer ${storedToken}`
+                }
+            });
+            const result = await response.json();
+
+            if (result.success && result.data.authenticated) {
+                this.startAdminSession(storedToken, result.data.expiresAt);
+            } else {
+                sessionStorage.removeItem('adminToken');
+            }
+        } catch (error) {
+            console.error('Error checking admin session:', error);
+        }
+    }
+
+    /**
+     * Enter admin mode with a token and schedule its expiry
+     */
+    startAdminSession(token, expiresAt) {
+        this.isAdmin = true;
+        this.adminToken = token;
+
+        // Store token in sessionStorage
+        sessionStorage.setItem('adminToken', token);
+
+        clearTimeout(this.sessionTimer);
+        const remaining = new Date(expiresAt).getTime() - Date.now();
+        if (remaining > 0) {
+            this.sessionTimer = setTimeout(() => this.handleSessionExpired(), remaining);
+        }
+
+        this.setAdminMode(true);
+    }
+
+    /**
+     * Leave admin mode locally (the token is already invalid or revoked)
+     */
+    endAdminSession() {
+        clearTimeout(this.sessionTimer);
+        this.sessionTimer = null;
         this.isAdmin = false;
         this.adminToken = null;
         sessionStorage.removeItem('adminToken');
 
-        document.getElementById('adminLoginBtn').style.display = '';
-        document.getElementById('adminStatus').style.display = 'none';
+        this.setAdminMode(false);
+    }
+
+    /**
+     * Called when the server rejects the token or it runs out
+     */
+    handleSessionExpired() {
+        if (!this.isAdmin) {
+            return;
+        }
+        this.endAdminSession();
+        alert('Your admin session has expired. Please log in again.');
+    }
 
-        // Hide all admin-only elements
+    /**
+     * Show or hide the admin controls
+     */
+    setAdminMode(enabled) {
+        const loginBtn = document.getElementById('adminLoginBtn');
+        const status = document.getElementById('adminStatus');
+        if (loginBtn) loginBtn.style.display = enabled ? 'none' : '';
+        if (status) status.style.display = enabled ? 'inline' : 'none';
+
+        // Show or hide all admin-only elements
         document.querySelectorAll('.admin-only').forEach(el => {
-            el.style.display = 'none';
+            if (!enabled) {
+                el.style.display = 'none';
+            } else if (el.tagName === 'BUTTON') {
+                el.style.display = 'inline-block';
+            } else {
+                el.style.display = '';
+            }
         });
 
-        // Reload estimates to hide delete buttons
+        // Reload estimates to show or hide delete buttons
         this.loadEstimates();
     }
 
     /**
-     * Delete a submission (public - anyone can delete)
+     * Admin logout - revokes the token on the server
+     */
+    async adminLogout() {
+        if (this.adminToken) {
+            try {
+                await fetch(`${CONFIG.SERVER_URL}/api/auth/logout`, {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${this.adminToken}`
+                    }
+                });
+            } catch (error) {
+                console.error('Logout error:', error);
+            }
+        }
+        this.endAdminSession();
+    }
+
+    /**
+     * Delete a submission (its author via the stored edit token, or an admin)
      */
     async deleteSubmission(id, name) {
         if (!confirm(`Delete submission by ${name}?`)) {
             return;
         }
 
+        // Admins delete as admin, which also works once the round has started
+        const headers = {};
+        const editToken = this.getEditTokens()[id];
+        if (this.isAdmin) {
+            headers['Authorization'] = `Bearer ${this.adminToken}`;
+        } else if (editToken) {
+            headers['X-Edit-Token'] = editToken;
+        }
+
         try {
             const response = await fetch(`${CONFIG.SERVER_URL}/api/estimates/${id}`, {
-                method: 'DELETE'
+                method: 'DELETE',
+                headers: headers
             });
 
+            if (response.status === 401 && this.isAdmin) {
+                this.handleSessionExpired();
+                return;
+            }
+
             const result = await response.json();
 
             if (result.success) {
+                this.removeEditToken(id);
                 alert('Estimate deleted successfully');
                 this.loadEstimates();
             } else {
@@ -1327,13 +1998,7 @@ class EconomicDashboard {
                     const result = await response.json();
                     if (result.success && result.data) {
                         // Server returns old format with articles array
-                        newsData = {
-                            sp500: result.data.articles || [],
-                            treasury: [],
-                            oil: [],
-                            gold: [],
-                            dollar: []
-                        };
+                        newsData = { sp500: result.data.articles || [] };
                     }
                 } catch (serverError) {
                     console.log('Server also failed, will show empty news');
@@ -1343,21 +2008,11 @@ class EconomicDashboard {
             console.error('Error loading news:', error);
         }
 
-        // Always display news sections for all indicators
-        if (newsData) {
-            // Display news for each indicator (new format: newsData.sp500, newsData.treasury, etc.)
-            this.displayCompactNews('sp500', newsData.sp500 || []);
-            this.displayCompactNews('treasury', newsData.treasury || []);
-            this.displayCompactNews('oil', newsData.oil || []);
-            this.displayCompactNews('gold', newsData.gold || []);
-            this.displayCompactNews('dollar', newsData.dollar || []);
-        } else {
-            // Show empty state for all indicators
-            this.displayCompactNews('sp500', []);
-            this.displayCompactNews('treasury', []);
-            this.displayCompactNews('oil', []);
-            this.displayCompactNews('gold', []);
-            this.displayCompactNews('dollar', []);
+        // Always display news sections for all indicators (empty state if nothing loaded)
+        for (const ind of this.catalog) {
+            if (ind.newsQuery) {
+                this.displayCompactNews(ind.id, (newsData && newsData[ind.id]) || []);
+            }
         }
     }
 
@@ -1422,6 +2077,11 @@ class EconomicDashboard {
                 }
             });
 
+            if (response.status === 401) {
+                this.handleSessionExpired();
+                return;
+            }
+
             const result = await response.json();
 
             if (result.success && result.data && result.data.articles) {
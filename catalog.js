@@ -0,0 +1,193 @@
+// Indicator catalog loader shared by the dashboards and the admin page
+
+class IndicatorCatalog {
+    /**
+     * Load the catalog - directly from GitHub first, falling back to the server
+     */
+    static async load() {
+        try {
+            const ghResponse = await fetch('indicators.json');
+            if (ghResponse.ok) {
+                const catalog = await ghResponse.json();
+                console.log('Indicator catalog loaded directly from GitHub');
+                return catalog.indicators;
+            }
+            throw new Error('GitHub file not found');
+        } catch (ghError) {
+            console.log('Indicator catalog loading from server (GitHub failed)');
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/indicators`);
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to load indicator catalog');
+            }
+            return result.data;
+        }
+    }
+
+    /**
+     * Whether an indicator is downloaded from a provider (rather than calculated)
+     */
+    static isFetched(indicator) {
+        return indicator.provider === 'yahoo' || indicator.provider === 'fred';
+    }
+
+    /**
+     * Human-readable data source line shown under each chart
+     */
+    static describeSource(indicator) {
+        if (indicator.provider === 'yahoo') {
+            return `Source: Yahoo Finance | Symbol: ${indicator.symbol}`;
+        }
+        if (indicator.provider === 'fred') {
+            return `Source: FRED | Series: ${indicator.symbol}`;
+        }
+        return indicator.description || '';
+    }
+
+    /**
+     * Server health report (GET /api/health), or null when the server is not reachable
+     */
+    static async loadHealth() {
+        try {
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/health`);
+            const result = await response.json();
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.log('Health report not available:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Freshness of one catalog entry from the health report: `{ status, title }`.
+     * A derived series is as fresh as the worst of its inputs.
+     */
+    static freshness(indicator, health) {
+        const file = health.files.find(f => f.indicator === indicator.id);
+        if (file) {
+            return {
+                status: file.status,
+                title: file.lastDate
+                    ? `Last observation ${file.lastDate} (${file.ageDays} days ago), file updated ${new Date(file.lastUpdated).toLocaleString()}`
+                    : 'No data file'
+            };
+        }
+        if (indicator.derive) {
+            const inputs = [indicator.derive.left, indicator.derive.right]
+                .map(id => IndicatorCatalog.freshness({ id }, health));
+            const rank = ['ok', 'stale', 'error', 'missing'];
+            const worst = inputs.reduce((a, b) => (rank.indexOf(b.status) > rank.indexOf(a.status) ? b : a));
+            return { status: worst.status, title: `Calculated from ${indicator.derive.left} and ${indicator.derive.right}: ${worst.title}` };
+        }
+        return { status: 'missing', title: 'No data file' };
+    }
+
+    /**
+     * Fill the freshness badge in each chart card header
+     */
+    static showFreshness(indicators, health) {
+        if (!health) {
+            return;
+        }
+        const labels = { ok: 'Up to date', stale: 'Stale', missing: 'No data', error: 'Unreadable' };
+        indicators.forEach(ind => {
+            const badge = document.getElementById(`${ind.id}-freshness`);
+            if (!badge) {
+                return;
+            }
+            const { status, title } = IndicatorCatalog.freshness(ind, health);
+            badge.className = `freshness-badge freshness-${status}`;
+            badge.textContent = labels[status] || status;
+            badge.title = title;
+            badge.style.display = 'inline-block';
+        });
+    }
+
+    /**
+     * Build the chart card for one indicator
+     */
+    static createChartCard(indicator) {
+        const section = document.createElement('section');
+        section.className = 'chart-section-compact';
+        section.id = `${indicator.id}-card`;
+
+        section.innerHTML = `
+            <div class="chart-header">
+                <h2>${indicator.name} <span id="${indicator.id}-freshness" class="freshness-badge" style="display: none;"></span></h2>
+                <div class="chart-controls">
+                    <div class="control-group">
+                        <label for="${indicator.id}-range">Time Range:</label>
+                        <select id="${indicator.id}-range" class="indicator-range" data-indicator="${indicator.id}">
+                            <option value="3m">3 Months</option>
+                            <option value="6m">6 Months</option>
+                            <option value="1y" selected>1 Year</option>
+                            <option value="5y">5 Years</option>
+                            <option value="10y">10 Years</option>
+                            <option value="max">All Time</option>
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label for="${indicator.id}-view">View:</label>
+                        <select id="${indicator.id}-view" class="indicator-view" data-indicator="${indicator.id}">
+                            <option value="price" selected>Price</option>
+                            <option value="drawdown">Drawdown</option>
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label for="${indicator.id}-scale">Scale:</label>
+                        <select id="${indicator.id}-scale" class="indicator-scale" data-indicator="${indicator.id}">
+                            <option value="linear" selected>Linear</option>
+                            <option value="log">Log</option>
+                        </select>
+                    </div>
+                    ${indicator.deflator ? `
+                    <div class="control-group">
+                        <label for="${indicator.id}-terms">Terms:</label>
+                        <select id="${indicator.id}-terms" class="indicator-terms" data-indicator="${indicator.id}">
+                            <option value="nominal" selected>Nominal</option>
+                            <option value="real">Real (CPI)</option>
+                        </select>
+                    </div>` : ''}
+                    ${indicator.provider === 'yahoo' ? `
+                    <div class="control-group">
+                        <label for="${indicator.id}-chart-type">Chart:</label>
+                        <select id="${indicator.id}-chart-type" class="indicator-chart-type" data-indicator="${indicator.id}">
+                            <option value="line" selected>Line</option>
+                            <option value="ohlc">OHLC</option>
+                            <option value="candlestick">Candlestick</option>
+                        </select>
+                    </div>` : ''}
+                    ${indicator.totalReturn ? `
+                    <div class="control-group">
+                        <label for="${indicator.id}-basis">Basis:</label>
+                        <select id="${indicator.id}-basis" class="indicator-basis" data-indicator="${indicator.id}">
+                            <option value="price" selected>Price</option>
+                            <option value="total">Total Return</option>
+                        </select>
+                    </div>` : ''}
+                    <div class="control-group">
+                        ${IndicatorOverlays.renderControls(indicator.id)}
+                    </div>
+                </div>
+            </div>
+            <div id="${indicator.id}-chart" class="chart-container-small"></div>
+            <div id="${indicator.id}-loading" class="loading">Loading data...</div>
+            <div id="${indicator.id}-error" class="error" style="display: none;"></div>
+            <div id="${indicator.id}-stats" class="indicator-stats" style="display: none;"></div>
+            <div id="${indicator.id}-drawdowns" class="drawdown-table-container" style="display: none;"></div>
+            <div class="data-source">${IndicatorCatalog.describeSource(indicator)}</div>
+        `;
+
+        if (indicator.newsQuery) {
+            const news = document.createElement('div');
+            news.className = 'chart-news';
+            news.innerHTML = `
+                <h4>Recent News</h4>
+                <div id="${indicator.id}-news" class="news-compact-list"></div>
+            `;
+            section.appendChild(news);
+        }
+
+        return section;
+    }
+}
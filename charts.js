@@ -0,0 +1,354 @@
+// Indicator chart helpers shared by the US and Japan dashboards
+
+class IndicatorChart {
+    /**
+     * Build the in-memory series for one indicator from a data file.
+     * Bar fields (open/high/low/adjClose/volume) are only present for Yahoo series,
+     * totalReturn only for ETFs flagged with `totalReturn` in the catalog.
+     */
+    static toSeries(data) {
+        const series = {
+            dates: data.dates,
+            values: data.values,
+            name: data.name
+        };
+        IndicatorChart.EXTRA_FIELDS.forEach(field => {
+            if (Array.isArray(data[field])) {
+                series[field] = data[field];
+            }
+        });
+        return series;
+    }
+
+    /**
+     * Whether the series carries open/high/low bars
+     */
+    static hasBars(series) {
+        return ['open', 'high', 'low'].every(field => Array.isArray(series[field])) &&
+            series.open.some(value => value !== null);
+    }
+
+    /**
+     * Whether the series carries a meaningful volume (FX and futures often report 0)
+     */
+    static hasVolume(series) {
+        return Array.isArray(series.volume) && series.volume.some(value => value > 0);
+    }
+
+    /**
+     * Whether the series carries a total-return index
+     */
+    static hasTotalReturn(series) {
+        return Array.isArray(series.totalReturn) && series.totalReturn.length === series.dates.length;
+    }
+
+    /**
+     * The total-return index of a series, shaped like a plain close series
+     */
+    static toTotalReturn(series) {
+        return {
+            name: `${series.name} (Total Return)`,
+            dates: series.dates,
+            values: series.totalReturn
+        };
+    }
+
+    /**
+     * Load an indicator deflated by CPI from the server (`?real=true`).
+     * The request is shared and cached per indicator until clearRealSeries is called.
+     */
+    static loadRealSeries(indicator) {
+        if (!IndicatorChart.realSeries[indicator]) {
+            IndicatorChart.realSeries[indicator] = fetch(`${CONFIG.SERVER_URL}/api/data/${indicator}?real=true`)
+                .then(response => response.json())
+                .then(result => {
+                    if (!result.success) {
+                        throw new Error(result.message || 'No real data available');
+                    }
+                    const series = IndicatorChart.toSeries(result.data);
+                    series.name = `${series.name} (${result.data.priceLevel} prices)`;
+                    return series;
+                });
+            // A failed request is retried next time
+            IndicatorChart.realSeries[indicator].catch(() => IndicatorChart.clearRealSeries(indicator));
+        }
+        return IndicatorChart.realSeries[indicator];
+    }
+
+    static clearRealSeries(indicator) {
+        delete IndicatorChart.realSeries[indicator];
+    }
+
+    /**
+     * Keep only the points on or after startDate, across all parallel arrays
+     */
+    static filterFrom(series, startDate) {
+        const firstIndex = series.dates.findIndex(date => date >= startDate);
+        const start = firstIndex === -1 ? series.dates.length : firstIndex;
+
+        const filtered = { name: series.name, dates: series.dates.slice(start), values: series.values.slice(start) };
+        IndicatorChart.EXTRA_FIELDS.forEach(field => {
+            if (Array.isArray(series[field])) {
+                filtered[field] = series[field].slice(start);
+            }
+        });
+        return filtered;
+    }
+
+    /**
+     * Plot an indicator as a line, OHLC or candlestick chart using Plotly.
+     * OHLC and candlestick views add a volume subplot when volume is available.
+     * `overlays` is the result of IndicatorOverlays.build: extra traces on the price axis
+     * and an optional RSI/MACD subplot sharing the date axis.
+     * `annotations` is the result of ChartAnnotations.build: recession bands and event markers.
+     * `logScale` draws the price axis on a log scale, where equal moves in percent look the same.
+     */
+    static plot(elementId, series, { color = '#666', chartType = 'line', filename = 'chart', overlays = null, annotations = null, logScale = false } = {}) {
+        const dates = series.dates;
+        const values = series.values;
+        const useBars = chartType !== 'line' && IndicatorChart.hasBars(series);
+        const showVolume = useBars && IndicatorChart.hasVolume(series);
+
+        const traces = [];
+
+        if (useBars) {
+            // OHLC / candlestick trace
+            traces.push({
+                x: dates,
+                open: series.open,
+                high: series.high,
+                low: series.low,
+                close: values,
+                type: chartType === 'ohlc' ? 'ohlc' : 'candlestick',
+                name: series.name || elementId,
+                increasing: { line: { color: '#2E7D32' } },
+                decreasing: { line: { color: '#C62828' } }
+            });
+        } else {
+            // Main line trace
+            traces.push({
+                x: dates,
+                y: values,
+                type: 'scatter',
+                mode: 'lines',
+                name: series.name || elementId,
+                line: {
+                    color: color,
+                    width: 2
+                },
+                hovertemplate: '<b>Date:</b> %{x}<br>' +
+                              '<b>Value:</b> %{y:.2f}<br>' +
+                              '<extra></extra>'
+            });
+        }
+
+        // Most recent data point marker
+        traces.push({
+            x: [dates[dates.length - 1]],
+            y: [values[values.length - 1]],
+            type: 'scatter',
+            mode: 'markers',
+            name: 'Latest',
+            marker: {
+                color: color,
+                size: 10,
+                symbol: 'circle',
+                line: {
+                    color: 'white',
+                    width: 2
+                }
+            },
+            hovertemplate: '<b>Latest</b><br>' +
+                          '<b>Date:</b> %{x}<br>' +
+                          '<b>Value:</b> %{y:.2f}<br>' +
+                          '<extra></extra>',
+            showlegend: false,
+            hoverinfo: 'all'
+        });
+
+        if (overlays) {
+            traces.push(...overlays.traces);
+        }
+
+        if (showVolume) {
+            traces.push({
+                x: dates,
+                y: series.volume,
+                type: 'bar',
+                name: 'Volume',
+                yaxis: 'y2',
+                marker: { color: 'rgba(120, 120, 120, 0.5)' },
+                hovertemplate: '<b>Date:</b> %{x}<br>' +
+                              '<b>Volume:</b> %{y:,.0f}<br>' +
+                              '<extra></extra>'
+            });
+        }
+
+        // Calculate date range with padding
+        const firstDate = new Date(dates[0]);
+        const lastDate = new Date(dates[dates.length - 1]);
+        const dateRange = lastDate - firstDate;
+        const padding = dateRange * 0.05; // 5% padding on each side
+
+        const layout = {
+            title: {
+                text: '',
+                font: { size: 18 }
+            },
+            xaxis: {
+                title: 'Date',
+                showgrid: true,
+                gridcolor: '#e0e0e0',
+                rangeslider: { visible: false },
+                type: 'date',
+                range: [new Date(firstDate.getTime() - padding), new Date(lastDate.getTime() + padding)]
+            },
+            yaxis: {
+                title: 'Value',
+                showgrid: true,
+                gridcolor: '#e0e0e0',
+                autorange: true,
+                type: logScale ? 'log' : 'linear'
+            },
+            hovermode: 'closest',
+            plot_bgcolor: '#fafafa',
+            paper_bgcolor: 'white',
+            margin: { t: 30, r: 30, b: 60, l: 60 },
+            showlegend: false
+        };
+
+        // Price on top, volume and the RSI/MACD pane in strips below sharing the date axis
+        const lower = overlays && overlays.lower;
+        const strips = (showVolume ? 1 : 0) + (lower ? 1 : 0);
+        if (strips > 0) {
+            layout.yaxis.domain = [strips * 0.26 + 0.02, 1];
+        }
+
+        if (showVolume) {
+            layout.yaxis2 = {
+                title: 'Volume',
+                domain: lower ? [0.26, 0.46] : [0, 0.2],
+                showgrid: true,
+                gridcolor: '#e0e0e0'
+            };
+        }
+
+        if (lower) {
+            lower.traces.forEach(trace => traces.push({ ...trace, yaxis: 'y3' }));
+            layout.yaxis3 = {
+                title: lower.title,
+                domain: [0, 0.2],
+                showgrid: true,
+                gridcolor: '#e0e0e0',
+                range: lower.range || undefined,
+                autorange: !lower.range,
+                zeroline: false
+            };
+            layout.shapes = lower.levels.map(level => ({
+                type: 'line',
+                xref: 'paper',
+                x0: 0,
+                x1: 1,
+                yref: 'y3',
+                y0: level,
+                y1: level,
+                line: { color: '#999', width: 1, dash: 'dot' }
+            }));
+        }
+
+        IndicatorChart.addAnnotations(layout, annotations);
+
+        const config = {
+            responsive: true,
+            displayModeBar: true,
+            modeBarButtonsToRemove: ['lasso2d', 'select2d'],
+            displaylogo: false,
+            toImageButtonOptions: {
+                format: 'png',
+                filename: filename,
+                height: 600,
+                width: 1000,
+                scale: 2
+            }
+        };
+
+        Plotly.newPlot(elementId, traces, layout, config);
+    }
+
+    /**
+     * Add recession bands and event markers (see ChartAnnotations.build) to a layout
+     */
+    static addAnnotations(layout, annotations) {
+        if (!annotations) {
+            return;
+        }
+        layout.shapes = (layout.shapes || []).concat(annotations.shapes);
+        layout.annotations = (layout.annotations || []).concat(annotations.annotations);
+    }
+
+    /**
+     * Plot drawdown from the running peak as an underwater area chart.
+     * `drawdown` is the /api/drawdown response: parallel `dates` and `values` (percent, <= 0).
+     */
+    static plotDrawdown(elementId, drawdown, { filename = 'drawdown', annotations = null } = {}) {
+        const traces = [{
+            x: drawdown.dates,
+            y: drawdown.values,
+            type: 'scatter',
+            mode: 'lines',
+            fill: 'tozeroy',
+            name: 'Drawdown',
+            line: {
+                color: '#C62828',
+                width: 1
+            },
+            fillcolor: 'rgba(198, 40, 40, 0.25)',
+            hovertemplate: '<b>Date:</b> %{x}<br>' +
+                          '<b>Drawdown:</b> %{y:.2f}%<br>' +
+                          '<extra></extra>'
+        }];
+
+        const layout = {
+            xaxis: {
+                title: 'Date',
+                showgrid: true,
+                gridcolor: '#e0e0e0',
+                type: 'date'
+            },
+            yaxis: {
+                title: 'Drawdown (%)',
+                showgrid: true,
+                gridcolor: '#e0e0e0',
+                rangemode: 'nonpositive',
+                ticksuffix: '%'
+            },
+            hovermode: 'closest',
+            plot_bgcolor: '#fafafa',
+            paper_bgcolor: 'white',
+            margin: { t: 30, r: 30, b: 60, l: 60 },
+            showlegend: false
+        };
+        IndicatorChart.addAnnotations(layout, annotations);
+
+        const config = {
+            responsive: true,
+            displayModeBar: true,
+            modeBarButtonsToRemove: ['lasso2d', 'select2d'],
+            displaylogo: false,
+            toImageButtonOptions: {
+                format: 'png',
+                filename: filename,
+                height: 600,
+                width: 1000,
+                scale: 2
+            }
+        };
+
+        Plotly.newPlot(elementId, traces, layout, config);
+    }
+}
+
+IndicatorChart.EXTRA_FIELDS = ['open', 'high', 'low', 'adjClose', 'volume', 'totalReturn'];
+
+// Pending or loaded real-terms series by indicator id
+IndicatorChart.realSeries = {};
@@ -2,29 +2,70 @@
 
 class JapanDashboard {
     constructor() {
-        this.indicators = ['nikkei', 'nikkei-usd', 'topix', 'usdjpy', 'jgb'];
+        this.region = 'japan'; // Catalog region shown on this page
+        this.catalog = []; // Indicator catalog entries for this page
+        this.indicators = []; // Indicator ids, in catalog order
         this.allData = {}; // Store all indicator data
-        this.chartColors = {
-            nikkei: '#DC143C',    // Crimson (Japan red)
-            'nikkei-usd': '#8B0000', // Dark red
-            topix: '#FF6B6B',     // Light red
-            usdjpy: '#4ECDC4',    // Turquoise
-            jgb: '#95E1D3'        // Mint green
-        };
+        this.chartColors = {}; // Filled from the catalog
         this.init();
     }
 
-    init() {
-        // Individual indicator time range controls
-        document.querySelectorAll('.indicator-range').forEach(select => {
+    async init() {
+        // Build the page from the indicator catalog
+        try {
+            await this.loadCatalog();
+        } catch (error) {
+            console.error('Error loading indicator catalog:', error);
+            return;
+        }
+        this.renderIndicators();
+
+        // Individual indicator time range, view, chart type, price/total-return, scale and real-terms controls
+        document.querySelectorAll('.indicator-range, .indicator-view, .indicator-chart-type, .indicator-basis, .indicator-scale, .indicator-terms').forEach(select => {
             select.addEventListener('change', (e) => {
                 const indicator = e.target.getAttribute('data-indicator');
                 this.filterAndPlotChart(indicator);
             });
         });
 
+        // Per-card technical overlays, remembered between visits
+        document.querySelectorAll('.indicator-overlay').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const indicator = e.target.getAttribute('data-indicator');
+                IndicatorOverlays.save(indicator, IndicatorOverlays.readControls(indicator));
+                this.filterAndPlotChart(indicator);
+            });
+        });
+
+        // Recession periods and events are needed before the first chart is drawn
+        await ChartAnnotations.load();
+
         // Load initial data for all indicators
         this.loadAllData();
+
+        // Freshness badges on the chart cards
+        this.updateFreshness();
+    }
+
+    /**
+     * Load the indicator catalog and keep the entries for this page
+     */
+    async loadCatalog() {
+        const indicators = await IndicatorCatalog.load();
+        this.catalog = indicators.filter(ind => ind.region === this.region);
+        this.indicators = this.catalog.map(ind => ind.id);
+
+        this.catalog.forEach(ind => {
+            this.chartColors[ind.id] = ind.color;
+        });
+    }
+
+    /**
+     * Build a chart card for every catalog indicator
+     */
+    renderIndicators() {
+        const grid = document.getElementById('charts-grid');
+        this.catalog.forEach(ind => grid.appendChild(IndicatorCatalog.createChartCard(ind)));
     }
 
     /**
@@ -97,11 +138,7 @@ class JapanDashboard {
 
             if (result.success && result.data) {
                 // Data found in local file
-                this.allData[indicator] = {
-                    dates: result.data.dates,
-                    values: result.data.values,
-                    name: result.data.name
-                };
+                this.allData[indicator] = IndicatorChart.toSeries(result.data);
 
                 console.log(`${indicator} loaded from local file (last updated: ${result.data.lastUpdated})`);
 
@@ -129,79 +166,72 @@ class JapanDashboard {
      * Load all indicators from local files
      */
     async loadAllData() {
-        for (const indicator of this.indicators) {
-            // Skip nikkei-usd as it's calculated, not loaded
-            if (indicator === 'nikkei-usd') continue;
-            await this.loadFromLocalFile(indicator);
+        for (const ind of this.catalog) {
+            // Derived series (e.g. nikkei-usd) are calculated on the server once their inputs are loaded
+            if (!IndicatorCatalog.isFetched(ind)) continue;
+            await this.loadFromLocalFile(ind.id);
         }
 
-        // After loading nikkei and usdjpy, calculate dollarized nikkei
-        this.calculateDollarizedNikkei();
+        for (const ind of this.catalog) {
+            if (ind.derive) {
+                await this.loadDerivedSeries(ind.id);
+            }
+        }
     }
 
     /**
-     * Calculate dollarized Nikkei (Nikkei / USD/JPY)
+     * Load a derived series (ratio, product, spread... of two other series) from the server
      */
-    calculateDollarizedNikkei() {
-        if (!this.allData['nikkei'] || !this.allData['usdjpy']) {
-            console.warn('Cannot calculate dollarized Nikkei: missing nikkei or usdjpy data');
-            return;
-        }
-
-        const loadingEl = document.getElementById('nikkei-usd-loading');
-        const errorEl = document.getElementById('nikkei-usd-error');
-        const chartEl = document.getElementById('nikkei-usd-chart');
+    async loadDerivedSeries(indicator) {
+        const loadingEl = document.getElementById(`${indicator}-loading`);
+        const errorEl = document.getElementById(`${indicator}-error`);
+        const chartEl = document.getElementById(`${indicator}-chart`);
 
         try {
             loadingEl.style.display = 'block';
-            loadingEl.textContent = 'Calculating dollarized Nikkei...';
+            loadingEl.textContent = 'Calculating...';
             errorEl.style.display = 'none';
 
-            // Create a map of dates to exchange rates for quick lookup
-            const exchangeRateMap = {};
-            for (let i = 0; i < this.allData['usdjpy'].dates.length; i++) {
-                exchangeRateMap[this.allData['usdjpy'].dates[i]] = this.allData['usdjpy'].values[i];
-            }
-
-            // Calculate dollarized values for dates where we have both nikkei and exchange rate
-            const dollarizedDates = [];
-            const dollarizedValues = [];
-
-            for (let i = 0; i < this.allData['nikkei'].dates.length; i++) {
-                const date = this.allData['nikkei'].dates[i];
-                const nikkeiValue = this.allData['nikkei'].values[i];
-                const exchangeRate = exchangeRateMap[date];
-
-                if (exchangeRate && exchangeRate > 0) {
-                    dollarizedDates.push(date);
-                    dollarizedValues.push(nikkeiValue / exchangeRate);
-                }
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/data/${indicator}`);
+            const result = await response.json();
+            if (!result.success || !result.data) {
+                throw new Error(result.message || 'Failed to calculate series');
             }
 
-            // Store calculated data
-            this.allData['nikkei-usd'] = {
-                dates: dollarizedDates,
-                values: dollarizedValues,
-                name: 'Nikkei 225 Index (USD)'
-            };
-
-            console.log(`nikkei-usd calculated (${dollarizedDates.length} data points)`);
+            this.allData[indicator] = IndicatorChart.toSeries(result.data);
+            IndicatorChart.clearRealSeries(indicator);
+            console.log(`${indicator} calculated (${result.data.dates.length} data points)`);
 
-            // Plot the data
-            this.filterAndPlotChart('nikkei-usd');
+            this.filterAndPlotChart(indicator);
 
-            // Hide loading, show chart
             loadingEl.style.display = 'none';
             chartEl.style.display = 'block';
-
         } catch (error) {
-            console.error('Error calculating dollarized Nikkei:', error);
+            console.error(`Error calculating ${indicator}:`, error);
             loadingEl.style.display = 'none';
-            errorEl.textContent = `Error calculating dollarized Nikkei: ${error.message}`;
+            errorEl.textContent = `Error calculating series: ${error.message}`;
             errorEl.style.display = 'block';
         }
     }
 
+    /**
+     * Reload the derived series on this page that use `indicator` as an input
+     */
+    async reloadDependents(indicator) {
+        for (const ind of this.catalog) {
+            if (ind.derive && (ind.derive.left === indicator || ind.derive.right === indicator)) {
+                await this.loadDerivedSeries(ind.id);
+            }
+        }
+    }
+
+    /**
+     * Show how fresh each card's data file is (from the server's health report)
+     */
+    async updateFreshness() {
+        IndicatorCatalog.showFreshness(this.catalog, await IndicatorCatalog.loadHealth());
+    }
+
     /**
      * Refresh data from API for a specific indicator
      */
@@ -226,13 +256,11 @@ class JapanDashboard {
 
             if (result.success && result.data) {
                 // Store data
-                this.allData[indicator] = {
-                    dates: result.data.dates,
-                    values: result.data.values,
-                    name: result.data.name
-                };
+                this.allData[indicator] = IndicatorChart.toSeries(result.data);
+                IndicatorChart.clearRealSeries(indicator);
 
                 console.log(`${indicator} refreshed from API and saved locally`);
+                this.updateFreshness();
 
                 // Plot data based on current time range selection
                 this.filterAndPlotChart(indicator);
@@ -240,6 +268,9 @@ class JapanDashboard {
                 // Hide loading, show chart
                 loadingEl.style.display = 'none';
                 chartEl.style.display = 'block';
+
+                // Derived series such as nikkei-usd follow their refreshed inputs
+                await this.reloadDependents(indicator);
             } else {
                 throw new Error(result.message || 'Failed to fetch data from API');
             }
@@ -254,8 +285,9 @@ class JapanDashboard {
 
     /**
      * Filter stored data based on time range and plot for a specific indicator
+     * (nominal, or deflated by CPI on the server in real terms)
      */
-    filterAndPlotChart(indicator) {
+    async filterAndPlotChart(indicator) {
         if (!this.allData[indicator]) {
             console.warn(`No data available for ${indicator}`);
             return;
@@ -271,119 +303,90 @@ class JapanDashboard {
         const timeRange = timeRangeElement.value;
         const startDate = this.getStartDate(timeRange);
 
-        // Filter data based on selected time range
-        const filteredIndices = [];
-        for (let i = 0; i < this.allData[indicator].dates.length; i++) {
-            if (this.allData[indicator].dates[i] >= startDate) {
-                filteredIndices.push(i);
+        // Real terms are deflated on the server and cached per indicator
+        const termsElement = document.getElementById(`${indicator}-terms`);
+        const real = termsElement ? termsElement.value === 'real' : false;
+        let source = this.allData[indicator];
+        if (real) {
+            const errorEl = document.getElementById(`${indicator}-error`);
+            try {
+                source = await IndicatorChart.loadRealSeries(indicator);
+                errorEl.style.display = 'none';
+            } catch (error) {
+                console.error(`Error loading real terms for ${indicator}:`, error);
+                errorEl.textContent = `Error loading real terms: ${error.message}`;
+                errorEl.style.display = 'block';
+                return;
             }
         }
 
-        const filteredDates = filteredIndices.map(i => this.allData[indicator].dates[i]);
-        const filteredValues = filteredIndices.map(i => this.allData[indicator].values[i]);
+        // Filter data based on selected time range
+        const filtered = IndicatorChart.filterFrom(source, startDate);
 
         // Log date range for debugging
-        if (filteredDates.length > 0) {
+        if (filtered.dates.length > 0) {
             console.log(`${indicator} - Time range: ${timeRange}`);
-            console.log(`${indicator} - Showing ${filteredDates.length} data points`);
-            console.log(`${indicator} - Date range: ${filteredDates[0]} to ${filteredDates[filteredDates.length - 1]}`);
+            console.log(`${indicator} - Showing ${filtered.dates.length} data points`);
+            console.log(`${indicator} - Date range: ${filtered.dates[0]} to ${filtered.dates[filtered.dates.length - 1]}`);
         }
 
         // Plot the filtered data
-        this.plotChart(indicator, filteredDates, filteredValues);
+        this.plotChart(indicator, filtered, source);
+
+        // Risk and return stats for the same range
+        const basisElement = document.getElementById(`${indicator}-basis`);
+        IndicatorStats.load(indicator, startDate, basisElement ? basisElement.value : 'price', real);
     }
 
     /**
-     * Plot chart using Plotly
+     * Plot chart using Plotly (line, OHLC or candlestick view, price or total return,
+     * technical overlays and event shading, linear or log scale, or the underwater drawdown view).
+     * `fullSeries` is the whole history the range was cut from, used for the overlays.
      */
-    plotChart(indicator, dates, values) {
-        // Main line trace
-        const lineTrace = {
-            x: dates,
-            y: values,
-            type: 'scatter',
-            mode: 'lines',
-            name: this.allData[indicator].name || indicator,
-            line: {
-                color: this.chartColors[indicator] || '#666',
-                width: 2
-            },
-            hovertemplate: '<b>Date:</b> %{x}<br>' +
-                          '<b>Value:</b> %{y:.2f}<br>' +
-                          '<extra></extra>'
-        };
-
-        // Most recent data point marker
-        const lastPointTrace = {
-            x: [dates[dates.length - 1]],
-            y: [values[values.length - 1]],
-            type: 'scatter',
-            mode: 'markers',
-            name: 'Latest',
-            marker: {
-                color: this.chartColors[indicator] || '#666',
-                size: 10,
-                symbol: 'circle',
-                line: {
-                    color: 'white',
-                    width: 2
-                }
-            },
-            hovertemplate: '<b>Latest</b><br>' +
-                          '<b>Date:</b> %{x}<br>' +
-                          '<b>Value:</b> %{y:.2f}<br>' +
-                          '<extra></extra>',
-            showlegend: false,
-            hoverinfo: 'all'
-        };
-
-        // Calculate date range with padding
-        const firstDate = new Date(dates[0]);
-        const lastDate = new Date(dates[dates.length - 1]);
-        const dateRange = lastDate - firstDate;
-        const padding = dateRange * 0.05; // 5% padding on each side
-
-        const layout = {
-            title: {
-                text: '',
-                font: { size: 18 }
-            },
-            xaxis: {
-                title: 'Date',
-                showgrid: true,
-                gridcolor: '#e0e0e0',
-                rangeslider: { visible: false },
-                type: 'date',
-                range: [new Date(firstDate.getTime() - padding), new Date(lastDate.getTime() + padding)]
-            },
-            yaxis: {
-                title: 'Value',
-                showgrid: true,
-                gridcolor: '#e0e0e0',
-                autorange: true
-            },
-            hovermode: 'closest',
-            plot_bgcolor: '#fafafa',
-            paper_bgcolor: 'white',
-            margin: { t: 30, r: 30, b: 60, l: 60 },
-            showlegend: false
-        };
-
-        const config = {
-            responsive: true,
-            displayModeBar: true,
-            modeBarButtonsToRemove: ['lasso2d', 'select2d'],
-            displaylogo: false,
-            toImageButtonOptions: {
-                format: 'png',
-                filename: `${indicator}_chart`,
-                height: 600,
-                width: 1000,
-                scale: 2
-            }
-        };
+    plotChart(indicator, series, fullSeries = this.allData[indicator]) {
+        const chartTypeElement = document.getElementById(`${indicator}-chart-type`);
+        const basisElement = document.getElementById(`${indicator}-basis`);
+        const viewElement = document.getElementById(`${indicator}-view`);
+        const scaleElement = document.getElementById(`${indicator}-scale`);
+        const termsElement = document.getElementById(`${indicator}-terms`);
+        let chartType = chartTypeElement ? chartTypeElement.value : 'line';
+        const settings = IndicatorOverlays.load(indicator);
+
+        // Recession shading and event markers for the plotted range
+        const annotations = series.dates.length > 0
+            ? ChartAnnotations.build(this.region, settings, series.dates[0], series.dates[series.dates.length - 1])
+            : null;
+
+        // Drawdown from the running peak is calculated on the server
+        if (viewElement && viewElement.value === 'drawdown' && series.dates.length > 0) {
+            IndicatorStats.loadDrawdown(indicator, series.dates[0], basisElement ? basisElement.value : 'price', {
+                annotations,
+                real: termsElement ? termsElement.value === 'real' : false
+            });
+            return;
+        }
+        IndicatorStats.hideDrawdowns(indicator);
 
-        Plotly.newPlot(`${indicator}-chart`, [lineTrace, lastPointTrace], layout, config);
+        // Total return is a single index, so it is always drawn as a line
+        if (basisElement && basisElement.value === 'total' && IndicatorChart.hasTotalReturn(series)) {
+            series = IndicatorChart.toTotalReturn(series);
+            fullSeries = IndicatorChart.toTotalReturn(fullSeries);
+            chartType = 'line';
+        }
+
+        // Overlays run over the full history so long averages start on the first plotted day
+        const overlays = series.dates.length > 0
+            ? IndicatorOverlays.build(fullSeries, settings, series.dates[0])
+            : null;
+
+        IndicatorChart.plot(`${indicator}-chart`, series, {
+            color: this.chartColors[indicator] || '#666',
+            chartType: chartType,
+            filename: `${indicator}_chart`,
+            overlays: overlays,
+            annotations: annotations,
+            logScale: scaleElement ? scaleElement.value === 'log' : false
+        });
     }
 }
 
@@ -0,0 +1,256 @@
+// Estimate leaderboard and per-participant drill-down
+
+class LeaderboardPage {
+    constructor() {
+        this.indicators = []; // US catalog entries, in catalog order
+        this.metric = 'hitRate'; // Leaderboard ranking metric
+        this.init();
+    }
+
+    async init() {
+        try {
+            const catalog = await IndicatorCatalog.load();
+            this.indicators = catalog.filter(ind => ind.region === 'us' && IndicatorCatalog.isFetched(ind));
+        } catch (error) {
+            console.error('Error loading indicator catalog:', error);
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        this.metric = params.get('metric') || 'hitRate';
+
+        const metricSelect = document.getElementById('leaderboard-metric');
+        metricSelect.value = this.metric;
+        metricSelect.addEventListener('change', () => {
+            this.metric = metricSelect.value;
+            this.loadLeaderboard();
+        });
+
+        const participant = params.get('participant');
+        if (participant) {
+            this.loadParticipant(participant);
+        } else {
+            this.loadLeaderboard();
+        }
+    }
+
+    /**
+     * Short display name of an indicator id
+     */
+    shortName(indicator) {
+        const entry = this.indicators.find(ind => ind.id === indicator);
+        return entry ? entry.shortName : indicator;
+    }
+
+    formatRate(rate) {
+        return `${(rate * 100).toFixed(0)}%`;
+    }
+
+    // Brier score, log loss and MAE are shown with two decimals, '--' when missing
+    formatMetric(value) {
+        return typeof value === 'number' ? value.toFixed(2) : '--';
+    }
+
+    formatMonth(month) {
+        const date = new Date(`${month}-01T00:00:00Z`);
+        return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    showError(elementId, message) {
+        const errorEl = document.getElementById(elementId);
+        errorEl.textContent = message;
+        errorEl.style.display = 'block';
+    }
+
+    /**
+     * All-time standings table
+     */
+    async loadLeaderboard() {
+        const loadingEl = document.getElementById('leaderboard-loading');
+
+        try {
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/estimates/leaderboard?metric=${this.metric}`);
+            const result = await response.json();
+            loadingEl.style.display = 'none';
+
+            if (!result.success) {
+                this.showError('leaderboard-error', result.message || 'Failed to load leaderboard');
+                return;
+            }
+            if (result.data.entries.length === 0) {
+                this.showError('leaderboard-error', 'No rounds have closed yet.');
+                return;
+            }
+
+            this.displayLeaderboard(result.data.entries);
+        } catch (error) {
+            console.error('Error loading leaderboard:', error);
+            loadingEl.style.display = 'none';
+            this.showError('leaderboard-error', `Error loading leaderboard: ${error.message}`);
+        }
+    }
+
+    displayLeaderboard(entries) {
+        const table = document.getElementById('leaderboard-table');
+
+        table.querySelector('thead').innerHTML = `
+            <tr>
+                <th>#</th>
+                <th>Name</th>
+                <th>Hit Rate</th>
+                <th>Correct</th>
+                <th>Brier</th>
+                <th>Log Loss</th>
+                <th>MAE</th>
+                <th>Rounds</th>
+                <th>Streak</th>
+                <th>Best</th>
+                ${this.indicators.map(ind => `<th>${ind.shortName}</th>`).join('')}
+            </tr>
+        `;
+
+        const tbody = table.querySelector('tbody');
+        tbody.innerHTML = '';
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${entry.rank}</td>
+                <td><a href="leaderboard.html?participant=${encodeURIComponent(entry.key)}&metric=${this.metric}"></a></td>
+                <td>${this.formatRate(entry.hitRate)}</td>
+                <td>${entry.correct}/${entry.total}</td>
+                <td>${this.formatMetric(entry.brier)}</td>
+                <td>${this.formatMetric(entry.logLoss)}</td>
+                <td>${this.formatMetric(entry.mae)}</td>
+                <td>${entry.roundsPlayed}</td>
+                <td>${entry.currentStreak}</td>
+                <td>${entry.bestStreak}</td>
+                ${this.indicators.map(ind => {
+                    const stats = entry.indicators[ind.id];
+                    return `<td>${stats ? this.formatRate(stats.hitRate) : '--'}</td>`;
+                }).join('')}
+            `;
+            // Names are free text from participants, so never parsed as HTML
+            row.querySelector('a').textContent = entry.name;
+            tbody.appendChild(row);
+        });
+
+        table.style.display = '';
+    }
+
+    /**
+     * Drill-down for one participant: summary, per-indicator accuracy, rank over time and rounds
+     */
+    async loadParticipant(key) {
+        document.getElementById('leaderboard-section').style.display = 'none';
+        document.getElementById('participant-section').style.display = 'block';
+
+        try {
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/estimates/leaderboard/${encodeURIComponent(key)}?metric=${this.metric}`);
+            const result = await response.json();
+
+            if (!result.success) {
+                document.getElementById('participant-name').textContent = result.message || 'Participant not found';
+                return;
+            }
+
+            this.displayParticipant(result.data);
+        } catch (error) {
+            console.error('Error loading participant:', error);
+            document.getElementById('participant-name').textContent = `Error loading participant: ${error.message}`;
+        }
+    }
+
+    displayParticipant(entry) {
+        document.getElementById('participant-name').textContent = entry.name;
+        document.title = `${entry.name} - Estimate Leaderboard`;
+
+        document.getElementById('participant-summary').innerHTML = `
+            <div class="summary-stat"><span class="summary-label">Rank</span><span class="summary-value">#${entry.rank} of ${entry.totalParticipants}</span></div>
+            <div class="summary-stat"><span class="summary-label">Hit Rate</span><span class="summary-value">${this.formatRate(entry.hitRate)}</span></div>
+            <div class="summary-stat"><span class="summary-label">Correct</span><span class="summary-value">${entry.correct}/${entry.total}</span></div>
+            <div class="summary-stat"><span class="summary-label">Brier</span><span class="summary-value">${this.formatMetric(entry.brier)}</span></div>
+            <div class="summary-stat"><span class="summary-label">Log Loss</span><span class="summary-value">${this.formatMetric(entry.logLoss)}</span></div>
+            <div class="summary-stat"><span class="summary-label">MAE</span><span class="summary-value">${this.formatMetric(entry.mae)}</span></div>
+            <div class="summary-stat"><span class="summary-label">Rounds</span><span class="summary-value">${entry.roundsPlayed}</span></div>
+            <div class="summary-stat"><span class="summary-label">Current Streak</span><span class="summary-value">${entry.currentStreak}</span></div>
+            <div class="summary-stat"><span class="summary-label">Best Streak</span><span class="summary-value">${entry.bestStreak}</span></div>
+        `;
+
+        // Per-indicator accuracy
+        const indicatorTable = document.getElementById('participant-indicators');
+        indicatorTable.querySelector('thead').innerHTML = '<tr><th>Indicator</th><th>Hit Rate</th><th>Correct</th><th>Brier</th><th>Log Loss</th><th>MAE</th></tr>';
+        indicatorTable.querySelector('tbody').innerHTML = Object.entries(entry.indicators).map(([indicator, stats]) => `
+            <tr>
+                <td>${this.shortName(indicator)}</td>
+                <td>${this.formatRate(stats.hitRate)}</td>
+                <td>${stats.correct}/${stats.total}</td>
+                <td>${this.formatMetric(stats.brier)}</td>
+                <td>${this.formatMetric(stats.logLoss)}</td>
+                <td>${this.formatMetric(stats.mae)}</td>
+            </tr>
+        `).join('');
+
+        this.plotRankHistory(entry.rankHistory);
+
+        // Round history, newest first
+        const indicatorIds = this.indicators.length > 0
+            ? this.indicators.map(ind => ind.id)
+            : Object.keys(entry.indicators);
+        const roundsTable = document.getElementById('participant-rounds');
+        roundsTable.querySelector('thead').innerHTML = `
+            <tr>
+                <th>Month</th>
+                <th>Score</th>
+                <th>Brier</th>
+                <th>MAE</th>
+                ${indicatorIds.map(id => `<th>${this.shortName(id)}</th>`).join('')}
+            </tr>
+        `;
+        roundsTable.querySelector('tbody').innerHTML = entry.rounds.slice().reverse().map(round => `
+            <tr>
+                <td>${this.formatMonth(round.month)}</td>
+                <td>${round.correctCount}/${round.total}</td>
+                <td>${this.formatMetric(round.brier)}</td>
+                <td>${this.formatMetric(round.mae)}</td>
+                ${indicatorIds.map(id => {
+                    const result = round.results[id];
+                    if (!result) {
+                        return '<td>--</td>';
+                    }
+                    const point = typeof result.point === 'number' ? ` (${result.point.toFixed(1)}%)` : '';
+                    return `<td class="${result.correct ? 'estimate-correct' : ''}" title="Actual: ${result.actual}">${result.estimate || '--'}${point}</td>`;
+                }).join('')}
+            </tr>
+        `).join('');
+    }
+
+    plotRankHistory(rankHistory) {
+        const trace = {
+            x: rankHistory.map(point => `${point.month}-01`),
+            y: rankHistory.map(point => point.rank),
+            customdata: rankHistory.map(point => [point.of, point.hitRate * 100]),
+            type: 'scatter',
+            mode: 'lines+markers',
+            line: { color: '#2E7D32', width: 2 },
+            hovertemplate: '<b>%{x|%b %Y}</b><br>' +
+                          'Rank: #%{y} of %{customdata[0]}<br>' +
+                          'Hit rate: %{customdata[1]:.0f}%<br>' +
+                          '<extra></extra>'
+        };
+
+        const layout = {
+            xaxis: { type: 'date', showgrid: true, gridcolor: '#e0e0e0' },
+            yaxis: { title: 'Rank', autorange: 'reversed', dtick: 1, showgrid: true, gridcolor: '#e0e0e0' },
+            plot_bgcolor: '#fafafa',
+            paper_bgcolor: 'white',
+            margin: { t: 20, r: 30, b: 50, l: 60 },
+            showlegend: false
+        };
+
+        Plotly.newPlot('participant-rank-chart', [trace], layout, { responsive: true, displaylogo: false });
+    }
+}
+
+// Initialize leaderboard when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new LeaderboardPage();
+});
@@ -0,0 +1,183 @@
+// Date alignment for comparing several series on one axis
+// Every series is `{ dates, values }` with ascending 'YYYY-MM-DD' dates. All
+// modes walk each series once against a shared date grid (a linear merge), so
+// aligning is O(grid + points) per series.
+//
+// Modes:
+// - intersection: only dates every series has
+// - union:        every date any series has, gaps carry the last value forward
+// - business:     every weekday (Mon-Fri) in the covered range, carried forward
+// - weekly:       one point per week (Friday), the last value of the week
+// - monthly:      one point per month (month end), the last value of the month
+// The last weekly/monthly point is labelled with the latest date in the data
+// rather than a period end that has not happened yet.
+//
+// A point is "filled" when the series had no observation of its own in that
+// grid slot (that day, or that week/month) and the value was carried forward.
+// Grid slots before a series' first observation are null, not filled.
+
+const ALIGN_MODES = ['intersection', 'union', 'business', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDate(dateStr) {
+    return new Date(`${dateStr}T00:00:00Z`);
+}
+
+function toDateString(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// Merge two ascending date lists into one ascending list without duplicates
+function mergeDates(a, b) {
+    const merged = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        let next;
+        if (j >= b.length || (i < a.length && a[i] < b[j])) {
+            next = a[i++];
+        } else if (i >= a.length || b[j] < a[i]) {
+            next = b[j++];
+        } else {
+            next = a[i++];
+            j++;
+        }
+        if (merged.length === 0 || merged[merged.length - 1] !== next) {
+            merged.push(next);
+        }
+    }
+    return merged;
+}
+
+// Dates present in both ascending lists
+function intersectDates(a, b) {
+    const common = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] < b[j]) {
+            i++;
+        } else if (b[j] < a[i]) {
+            j++;
+        } else {
+            common.push(a[i]);
+            i++;
+            j++;
+        }
+    }
+    return common;
+}
+
+// Every weekday between two dates (inclusive)
+function businessDays(first, last) {
+    const days = [];
+    for (let time = toDate(first).getTime(); time <= toDate(last).getTime(); time += DAY_MS) {
+        const date = new Date(time);
+        const weekday = date.getUTCDay();
+        if (weekday !== 0 && weekday !== 6) {
+            days.push(toDateString(date));
+        }
+    }
+    return days;
+}
+
+// Grid slots for weekly or monthly periods covering first..last. Each slot is
+// `{ date, from, until }`: its label and the first and last day of the period.
+function periodSlots(first, last, frequency) {
+    const slots = [];
+    let start = toDate(first);
+
+    if (frequency === 'weekly') {
+        // Weeks run Monday to Sunday and are labelled with their Friday
+        start = new Date(start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS);
+    } else {
+        start = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+    }
+
+    while (toDateString(start) <= last) {
+        const next = frequency === 'weekly'
+            ? new Date(start.getTime() + 7 * DAY_MS)
+            : new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+        const until = toDateString(new Date(next.getTime() - DAY_MS));
+        const label = frequency === 'weekly' ? toDateString(new Date(start.getTime() + 4 * DAY_MS)) : until;
+
+        slots.push({ date: label < last ? label : last, from: toDateString(start), until: until });
+        start = next;
+    }
+    return slots;
+}
+
+// Build the shared grid for a mode from the series' date lists
+function buildGrid(dateLists, mode) {
+    if (mode === 'intersection') {
+        return dateLists.reduce((common, dates) => intersectDates(common, dates)).map(date => ({ date, from: date, until: date }));
+    }
+
+    const union = dateLists.reduce((merged, dates) => mergeDates(merged, dates), []);
+    if (union.length === 0) {
+        return [];
+    }
+    if (mode === 'union') {
+        return union.map(date => ({ date, from: date, until: date }));
+    }
+    if (mode === 'business') {
+        return businessDays(union[0], union[union.length - 1]).map(date => ({ date, from: date, until: date }));
+    }
+    return periodSlots(union[0], union[union.length - 1], mode);
+}
+
+// Sample one series onto the grid: the last value on or before the end of
+// each slot, flagged as filled when the series has no observation in the slot
+function sampleSeries(dates, values, grid) {
+    const sampled = [];
+    const filled = [];
+    let i = 0;
+    let lastValue = null;
+    let lastDate = null;
+
+    grid.forEach((slot, index) => {
+        while (i < dates.length && dates[i] <= slot.until) {
+            lastValue = values[i];
+            lastDate = dates[i];
+            i++;
+        }
+        sampled.push(lastValue);
+        if (lastDate !== null && lastDate < slot.from) {
+            filled.push(index);
+        }
+    });
+
+    return { values: sampled, filled };
+}
+
+/**
+ * Align several series onto one date grid.
+ * `seriesById` maps an id to `{ dates, values }`. Returns
+ * `{ mode, dates, series: { id: { values, filled, filledCount } } }` where
+ * `filled` lists the indexes of carried-forward points.
+ */
+function alignSeries(seriesById, mode = 'intersection') {
+    if (!ALIGN_MODES.includes(mode)) {
+        throw new Error(`Unknown alignment mode: ${mode}`);
+    }
+
+    const ids = Object.keys(seriesById);
+    if (ids.length === 0) {
+        return { mode, dates: [], series: {} };
+    }
+
+    const grid = buildGrid(ids.map(id => seriesById[id].dates), mode);
+    const series = {};
+    for (const id of ids) {
+        const { values, filled } = sampleSeries(seriesById[id].dates, seriesById[id].values, grid);
+        series[id] = { values, filled, filledCount: filled.length };
+    }
+
+    return { mode, dates: grid.map(slot => slot.date), series };
+}
+
+module.exports = {
+    ALIGN_MODES,
+    alignSeries
+};
@@ -0,0 +1,182 @@
+// Admin session tokens
+// A token is `<payload>.<signature>`: the payload is base64url JSON
+// `{ sub, iat, exp, jti }` and the signature is an HMAC-SHA256 of the payload.
+// Tokens expire on their own; logout revokes a token early by its `jti`.
+// Revocations are stored (see loadRevokedTokens), so a logged-out token stays
+// invalid after a restart when ADMIN_TOKEN_SECRET keeps the signatures valid.
+
+const crypto = require('crypto');
+const storage = require('./storage');
+
+const DEFAULT_TTL_HOURS = 12;
+
+// Signing secret - without ADMIN_TOKEN_SECRET a random one is generated,
+// which means every restart logs all admins out
+const TOKEN_SECRET = process.env.ADMIN_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const TOKEN_TTL_MS = (parseFloat(process.env.ADMIN_TOKEN_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+
+// Revoked token ids -> expiry time, kept only until the token would have expired anyway
+const revokedTokens = new Map();
+
+// File the revocations are saved to, set by loadRevokedTokens()
+let revokedFile = null;
+
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function sign(payload) {
+    return base64url(crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest());
+}
+
+// Compare two strings without leaking where they differ.
+// Both sides are hashed first so the comparison does not depend on their lengths.
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function checkPassword(password, expected) {
+    // An unset admin password must never match, not even an empty string
+    if (!expected) {
+        return false;
+    }
+    return safeEqual(password, expected);
+}
+
+function pruneRevoked(now = Date.now()) {
+    for (const [jti, exp] of revokedTokens) {
+        if (exp <= now) {
+            revokedTokens.delete(jti);
+        }
+    }
+}
+
+// Issue a new token for `subject`
+function issueToken(subject = 'admin') {
+    const now = Date.now();
+    const claims = {
+        sub: subject,
+        iat: now,
+        exp: now + TOKEN_TTL_MS,
+        jti: crypto.randomBytes(16).toString('hex')
+    };
+    const payload = base64url(Buffer.from(JSON.stringify(claims)));
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(claims.exp).toISOString() };
+}
+
+/**
+ * Verify a token.
+ * Returns `{ valid: true, claims }` or `{ valid: false, reason }` where reason
+ * is one of 'malformed', 'signature', 'expired' or 'revoked'.
+ */
+function verifyToken(token) {
+    if (typeof token !== 'string') {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    const [payload, signature] = parts;
+    if (!safeEqual(signature, sign(payload))) {
+        return { valid: false, reason: 'signature' };
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+    } catch (error) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    if (typeof claims.exp !== 'number' || claims.exp <= Date.now()) {
+        return { valid: false, reason: 'expired' };
+    }
+    if (revokedTokens.has(claims.jti)) {
+        return { valid: false, reason: 'revoked' };
+    }
+
+    return { valid: true, claims };
+}
+
+/**
+ * Load the revocations saved in `filePath` and save new ones there from now on.
+ * Call once at startup, before tokens are checked.
+ */
+async function loadRevokedTokens(filePath) {
+    revokedFile = filePath;
+    const stored = await storage.readJson(filePath, {});
+    for (const [jti, exp] of Object.entries(stored)) {
+        revokedTokens.set(jti, exp);
+    }
+    pruneRevoked();
+}
+
+/**
+ * Revoke a token before it expires. Resolves to false if it was not valid to
+ * begin with. Expired revocations are dropped from the file as it is saved.
+ */
+async function revokeToken(token) {
+    const result = verifyToken(token);
+    if (!result.valid) {
+        return false;
+    }
+    pruneRevoked();
+    revokedTokens.set(result.claims.jti, result.claims.exp);
+
+    if (revokedFile) {
+        await storage.updateJson(revokedFile, {}, stored => {
+            const now = Date.now();
+            for (const [jti, exp] of Object.entries(stored)) {
+                if (exp <= now) {
+                    delete stored[jti];
+                }
+            }
+            stored[result.claims.jti] = result.claims.exp;
+        });
+    }
+    return true;
+}
+
+// Edit tokens let the browser that submitted an estimate change or delete it.
+// Only the hash is stored, so the estimates file can be published safely.
+function hashEditToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function issueEditToken() {
+    const token = crypto.randomBytes(24).toString('hex');
+    return { token, hash: hashEditToken(token) };
+}
+
+function checkEditToken(token, hash) {
+    if (!token || !hash) {
+        return false;
+    }
+    return safeEqual(hashEditToken(token), hash);
+}
+
+// Bearer token from an Authorization header, or null
+function getBearerToken(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return null;
+    }
+    return authHeader.substring(7);
+}
+
+module.exports = {
+    checkPassword,
+    issueToken,
+    verifyToken,
+    loadRevokedTokens,
+    revokeToken,
+    getBearerToken,
+    issueEditToken,
+    checkEditToken,
+    usingGeneratedSecret: !process.env.ADMIN_TOKEN_SECRET
+};
@@ -0,0 +1,86 @@
+// Indicator catalog shared by the server and the standalone update scripts
+// The catalog itself lives in indicators.json at the repository root so the
+// static frontend can load it directly from GitHub Pages as well.
+
+const path = require('path');
+
+const CATALOG_FILE = path.join(__dirname, '..', 'indicators.json');
+const FETCHED_PROVIDERS = ['yahoo', 'fred'];
+
+const catalog = require(CATALOG_FILE);
+
+// All catalog entries, optionally filtered by region
+function getIndicators({ region } = {}) {
+    return catalog.indicators.filter(ind => !region || ind.region === region);
+}
+
+function getIndicator(id) {
+    return catalog.indicators.find(ind => ind.id === id) || getInputs().find(ind => ind.id === id) || null;
+}
+
+// Entries that are downloaded from a provider (as opposed to calculated)
+function getFetchedIndicators({ region } = {}) {
+    return getIndicators({ region }).filter(ind => FETCHED_PROVIDERS.includes(ind.provider));
+}
+
+// Series that only feed calculations: CPI deflators for real terms and the
+// inputs of derived series. They are fetched and stored like indicators but
+// get no chart of their own.
+function getInputs() {
+    return catalog.inputs || [];
+}
+
+// Catalog entries calculated from two other series (see lib/derived.js)
+function getDerivedIndicators({ region } = {}) {
+    return getIndicators({ region }).filter(ind => ind.provider === 'derived' && ind.derive);
+}
+
+// Fetched indicators plus inputs: everything that has a data file
+function getStoredSeries() {
+    return getFetchedIndicators().concat(getInputs());
+}
+
+// Data source configuration in the shape used by lib/market-data.js
+function getDataSources() {
+    const sources = {};
+    for (const ind of getStoredSeries()) {
+        sources[ind.id] = ind.provider === 'fred'
+            ? { type: 'fred', seriesId: ind.symbol, name: ind.name }
+            : { type: 'yahoo', symbol: ind.symbol, name: ind.name, totalReturn: Boolean(ind.totalReturn) };
+        // Optional overrides of the refresh validation thresholds (lib/validation.js)
+        sources[ind.id].validation = ind.validation || {};
+    }
+    return sources;
+}
+
+// Data file path for every fetched indicator and input
+function getDataFiles(dataDir) {
+    const files = {};
+    for (const ind of getStoredSeries()) {
+        files[ind.id] = path.join(dataDir, `${ind.id}_data.json`);
+    }
+    return files;
+}
+
+// News search query for every indicator that has one
+function getNewsQueries() {
+    const queries = {};
+    for (const ind of getIndicators()) {
+        if (ind.newsQuery) {
+            queries[ind.id] = ind.newsQuery;
+        }
+    }
+    return queries;
+}
+
+module.exports = {
+    CATALOG_FILE,
+    getIndicators,
+    getIndicator,
+    getFetchedIndicators,
+    getInputs,
+    getDerivedIndicators,
+    getDataSources,
+    getDataFiles,
+    getNewsQueries
+};
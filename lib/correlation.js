@@ -0,0 +1,141 @@
+// Return correlations between indicators
+// Correlations are Pearson coefficients of simple returns. Each pair is
+// measured on the dates both series have (a linear merge of their sorted
+// dates), so a market holiday in one series only drops that day for the
+// pairs it is part of. Weekly correlations are computed on series that were
+// first resampled to a common weekly grid (see lib/alignment.js).
+
+// Fewer overlapping returns than this give no coefficient
+const MIN_OBSERVATIONS = 10;
+
+// Pearson correlation of two equally long lists, or null when undefined
+function pearson(xs, ys) {
+    const n = xs.length;
+    if (n < MIN_OBSERVATIONS) {
+        return null;
+    }
+
+    let sumX = 0;
+    let sumY = 0;
+    for (let i = 0; i < n; i++) {
+        sumX += xs[i];
+        sumY += ys[i];
+    }
+    const meanX = sumX / n;
+    const meanY = sumY / n;
+
+    let cov = 0;
+    let varX = 0;
+    let varY = 0;
+    for (let i = 0; i < n; i++) {
+        cov += (xs[i] - meanX) * (ys[i] - meanY);
+        varX += (xs[i] - meanX) ** 2;
+        varY += (ys[i] - meanY) ** 2;
+    }
+
+    if (varX === 0 || varY === 0) {
+        return null;
+    }
+    return cov / Math.sqrt(varX * varY);
+}
+
+// Returns of two series on the dates both have: `{ dates, a, b }`
+// where dates[i] is the end date of return i
+function pairReturns(seriesA, seriesB) {
+    const dates = [];
+    const pricesA = [];
+    const pricesB = [];
+    let i = 0;
+    let j = 0;
+    while (i < seriesA.dates.length && j < seriesB.dates.length) {
+        if (seriesA.dates[i] < seriesB.dates[j]) {
+            i++;
+        } else if (seriesB.dates[j] < seriesA.dates[i]) {
+            j++;
+        } else {
+            if (seriesA.values[i] > 0 && seriesB.values[j] > 0) {
+                dates.push(seriesA.dates[i]);
+                pricesA.push(seriesA.values[i]);
+                pricesB.push(seriesB.values[j]);
+            }
+            i++;
+            j++;
+        }
+    }
+
+    const returns = { dates: [], a: [], b: [] };
+    for (let k = 1; k < dates.length; k++) {
+        returns.dates.push(dates[k]);
+        returns.a.push(pricesA[k] / pricesA[k - 1] - 1);
+        returns.b.push(pricesB[k] / pricesB[k - 1] - 1);
+    }
+    return returns;
+}
+
+/**
+ * Correlation matrix of several series.
+ * `seriesById` maps an id to `{ dates, values }`. Returns
+ * `{ ids, matrix, observations }` with matrix[i][j] the correlation of ids[i]
+ * and ids[j] (null when there is too little overlap).
+ */
+function correlationMatrix(seriesById) {
+    const ids = Object.keys(seriesById);
+    const matrix = ids.map(() => ids.map(() => null));
+    const observations = ids.map(() => ids.map(() => 0));
+
+    for (let i = 0; i < ids.length; i++) {
+        for (let j = i; j < ids.length; j++) {
+            const returns = pairReturns(seriesById[ids[i]], seriesById[ids[j]]);
+            const value = i === j ? (returns.dates.length >= MIN_OBSERVATIONS ? 1 : null) : pearson(returns.a, returns.b);
+            matrix[i][j] = matrix[j][i] = value === null ? null : Math.round(value * 1000) / 1000;
+            observations[i][j] = observations[j][i] = returns.dates.length;
+        }
+    }
+
+    return { ids, matrix, observations };
+}
+
+/**
+ * Rolling correlation of two series over `window` returns, as `{ dates, values }`.
+ * Uses running sums, so the whole history is one pass.
+ */
+function rollingCorrelation(seriesA, seriesB, window) {
+    const returns = pairReturns(seriesA, seriesB);
+    const result = { dates: [], values: [] };
+    if (window < MIN_OBSERVATIONS || returns.dates.length < window) {
+        return result;
+    }
+
+    // Running sums of x, y, x², y² and xy over the current window
+    const sums = { x: 0, y: 0, xx: 0, yy: 0, xy: 0 };
+    const update = (x, y, sign) => {
+        sums.x += sign * x;
+        sums.y += sign * y;
+        sums.xx += sign * x * x;
+        sums.yy += sign * y * y;
+        sums.xy += sign * x * y;
+    };
+
+    for (let k = 0; k < returns.dates.length; k++) {
+        update(returns.a[k], returns.b[k], 1);
+        if (k >= window) {
+            update(returns.a[k - window], returns.b[k - window], -1);
+        }
+
+        if (k >= window - 1) {
+            const cov = sums.xy - (sums.x * sums.y) / window;
+            const varX = sums.xx - (sums.x * sums.x) / window;
+            const varY = sums.yy - (sums.y * sums.y) / window;
+            result.dates.push(returns.dates[k]);
+            result.values.push(varX > 0 && varY > 0 ? Math.round((cov / Math.sqrt(varX * varY)) * 1000) / 1000 : null);
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    MIN_OBSERVATIONS,
+    pearson,
+    correlationMatrix,
+    rollingCorrelation
+};
@@ -0,0 +1,78 @@
+// Derived series calculated from two stored series
+// Configured in indicators.json: an entry with `provider: "derived"` carries
+//   "derive": { "op": "ratio", "left": "nikkei", "right": "usdjpy", "align": "intersection" }
+// `left` and `right` are ids of fetched indicators or inputs (or other derived
+// series). The two are put on one date grid with lib/alignment.js first; the
+// default `intersection` keeps the dates both have, `union`/`business`/
+// `weekly`/`monthly` carry the last value forward (e.g. a monthly yield
+// against a daily one).
+//
+// Operations:
+// - ratio:      left / right         (Nikkei in USD, gold/oil ratio)
+// - product:    left * right         (S&P 500 in JPY)
+// - difference: left - right         (same units as the inputs)
+// - spread:     (left - right) * 100 (two yields in percent -> basis points)
+
+const alignment = require('./alignment');
+
+const DERIVE_OPERATIONS = {
+    ratio: (left, right) => (right !== 0 ? left / right : null),
+    product: (left, right) => left * right,
+    difference: (left, right) => left - right,
+    spread: (left, right) => (left - right) * 100
+};
+
+/**
+ * Check a `derive` spec. `isKnown(id)` tells whether an input series exists.
+ * Returns an error message, or null when the spec is usable.
+ */
+function validateSpec(spec, isKnown) {
+    if (!spec || typeof spec !== 'object') {
+        return 'missing "derive" spec';
+    }
+    if (!DERIVE_OPERATIONS[spec.op]) {
+        return `op must be one of: ${Object.keys(DERIVE_OPERATIONS).join(', ')}`;
+    }
+    for (const side of ['left', 'right']) {
+        if (!isKnown(spec[side])) {
+            return `unknown ${side} series: ${spec[side]}`;
+        }
+    }
+    if (spec.align && !alignment.ALIGN_MODES.includes(spec.align)) {
+        return `align must be one of: ${alignment.ALIGN_MODES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Calculate a derived series from its two inputs (`{ dates, values }` each).
+ * Returns `{ dates, values }` with only the dates where both inputs have a value.
+ */
+function deriveSeries(spec, left, right) {
+    const operation = DERIVE_OPERATIONS[spec.op];
+    const aligned = alignment.alignSeries({
+        left: { dates: left.dates, values: left.values },
+        right: { dates: right.dates, values: right.values }
+    }, spec.align || 'intersection');
+
+    const result = { dates: [], values: [] };
+    aligned.dates.forEach((date, i) => {
+        const a = aligned.series.left.values[i];
+        const b = aligned.series.right.values[i];
+        if (typeof a !== 'number' || typeof b !== 'number') {
+            return;
+        }
+        const value = operation(a, b);
+        if (value !== null && isFinite(value)) {
+            result.dates.push(date);
+            result.values.push(value);
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    DERIVE_OPERATIONS,
+    validateSpec,
+    deriveSeries
+};
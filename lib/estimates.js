@@ -0,0 +1,626 @@
+// Estimate rounds and scoring
+// Every estimate targets one calendar month (its round). A round is scored
+// against the month-over-month change of each indicator: last stored value in
+// the target month vs. last stored value of the month before. Once every
+// indicator has data past the end of the month the round is final, and the
+// server freezes its scores so they never change afterwards.
+// Forecasts are taken for the next OPEN_ROUNDS months only: a round stops taking
+// submissions and edits when its month starts, so nobody forecasts a month
+// that is already under way.
+//
+// Growth within ±band percent counts as "flat". Each indicator gets its own
+// band per round: a fixed `flatBand` from the catalog if configured, otherwise
+// a multiple of its trailing realized monthly volatility before the round.
+// The band set is recorded when the round opens for forecasts, and the round
+// is scored with that set, so a forecast is judged by the bands shown with it.
+
+// Fallback band, and the one band of every indicator in rounds without a
+// recorded band set (played before sets were recorded) and for estimates
+// without a target month
+const FLAT_BAND = 1;
+
+// Volatility-scaled bands: BAND_VOL_MULTIPLIER x stdev of the monthly changes
+// over the BAND_LOOKBACK_MONTHS months before the round, never below MIN_FLAT_BAND
+const BAND_LOOKBACK_MONTHS = 12;
+const BAND_VOL_MULTIPLIER = 0.5;
+const MIN_FLAT_BAND = 0.25;
+
+// Rounds taking forecasts, starting with next month
+const OPEN_ROUNDS = 2;
+
+const OUTCOMES = ['up', 'flat', 'down'];
+
+// Probabilities are clipped to this before taking the log, so a confident
+// miss costs a lot but not infinitely much
+const LOG_LOSS_EPSILON = 0.01;
+
+// Leaderboard metrics and whether a higher value is better
+const METRICS = {
+    hitRate: { higherIsBetter: true },
+    brier: { higherIsBetter: false },
+    logLoss: { higherIsBetter: false },
+    mae: { higherIsBetter: false }
+};
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Longest participant name accepted
+const MAX_NAME_LENGTH = 50;
+
+function isValidMonth(month) {
+    return typeof month === 'string' && MONTH_PATTERN.test(month);
+}
+
+// Participant name as stored (trimmed), or null unless it is a string of
+// 1 to MAX_NAME_LENGTH characters
+function cleanName(name) {
+    if (typeof name !== 'string') {
+        return null;
+    }
+    const trimmed = name.trim();
+    return trimmed && trimmed.length <= MAX_NAME_LENGTH ? trimmed : null;
+}
+
+// 'YYYY-MM' of a Date (UTC, like the stored data dates)
+function monthOf(date = new Date()) {
+    return date.toISOString().substring(0, 7);
+}
+
+function shiftMonth(month, offset) {
+    const [year, mon] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, mon - 1 + offset, 1));
+    return monthOf(date);
+}
+
+// Round an estimate belongs to. Estimates from before rounds existed
+// target the month they were submitted in.
+function getTargetMonth(estimate) {
+    if (isValidMonth(estimate.targetMonth)) {
+        return estimate.targetMonth;
+    }
+    return estimate.timestamp ? estimate.timestamp.substring(0, 7) : null;
+}
+
+// Months whose rounds take forecasts, nearest first
+function getOpenMonths(now = new Date()) {
+    const current = monthOf(now);
+    return Array.from({ length: OPEN_ROUNDS }, (value, i) => shiftMonth(current, i + 1));
+}
+
+// A round takes submissions and edits until its month starts
+function isRoundOpen(month, now = new Date()) {
+    return month > monthOf(now);
+}
+
+// A round is scored provisionally until its month is over
+function isRoundClosed(month, now = new Date()) {
+    return month < monthOf(now);
+}
+
+/**
+ * Growth of one series over a month, in percent.
+ * `final` is true once the series has an observation after the month,
+ * so the month's last value can no longer change.
+ */
+function calculateMonthGrowth(dates, values, month) {
+    const monthStart = `${month}-01`;
+    const nextMonthStart = `${shiftMonth(month, 1)}-01`;
+
+    let baselineValue = null;
+    let endValue = null;
+    let endDate = null;
+    let final = false;
+
+    for (let i = 0; i < dates.length; i++) {
+        if (values[i] === null || values[i] === undefined) {
+            continue;
+        }
+        if (dates[i] < monthStart) {
+            baselineValue = values[i];
+        } else if (dates[i] < nextMonthStart) {
+            endValue = values[i];
+            endDate = dates[i];
+        } else {
+            final = true;
+            break;
+        }
+    }
+
+    if (!baselineValue || endValue === null) {
+        return null;
+    }
+
+    return {
+        growth: ((endValue - baselineValue) / baselineValue) * 100,
+        asOf: endDate,
+        final: final
+    };
+}
+
+/**
+ * Flat band (in percent) for one indicator in the round for `month`, from the
+ * month-over-month changes of the BAND_LOOKBACK_MONTHS months before it.
+ * Only data before the round is used, so the band is known when it opens.
+ * Returns null when there is not enough history.
+ */
+function calculateFlatBand(dates, values, month) {
+    const monthStart = `${month}-01`;
+    const firstMonth = shiftMonth(month, -(BAND_LOOKBACK_MONTHS + 1));
+
+    // Last value of each month in the lookback window (plus the month before it)
+    const monthEnds = {};
+    for (let i = 0; i < dates.length; i++) {
+        if (dates[i] >= monthStart) {
+            break;
+        }
+        const yearMonth = dates[i].substring(0, 7);
+        if (yearMonth >= firstMonth && values[i] !== null && values[i] !== undefined) {
+            monthEnds[yearMonth] = values[i];
+        }
+    }
+
+    const months = Object.keys(monthEnds).sort();
+    const changes = [];
+    for (let i = 1; i < months.length; i++) {
+        const previous = monthEnds[months[i - 1]];
+        if (previous) {
+            changes.push(((monthEnds[months[i]] - previous) / previous) * 100);
+        }
+    }
+
+    // Need most of the window to say anything about volatility
+    if (changes.length < Math.ceil(BAND_LOOKBACK_MONTHS / 2)) {
+        return null;
+    }
+
+    const mean = changes.reduce((sum, value) => sum + value, 0) / changes.length;
+    const variance = changes.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (changes.length - 1);
+    const band = BAND_VOL_MULTIPLIER * Math.sqrt(variance);
+
+    return Math.round(Math.max(band, MIN_FLAT_BAND) * 100) / 100;
+}
+
+// A band set recorded when its round opened (sets stored without `openedAt`
+// were picked after the round had started and are not used)
+function isRecordedBandSet(bandSet) {
+    return Boolean(bandSet && bandSet.openedAt && bandSet.flatBands);
+}
+
+/**
+ * Bands a round is scored with, as { flatBands, bandSources }: the set recorded
+ * when it opened, or ±FLAT_BAND for each of `indicators` once it has started
+ * without one. Returns null for an open round without a recorded set yet, whose
+ * bands are still to be calculated and recorded.
+ */
+function selectRoundBands(month, bandSet, indicators, now = new Date()) {
+    if (isRecordedBandSet(bandSet)) {
+        return { flatBands: bandSet.flatBands, bandSources: bandSet.bandSources || {} };
+    }
+    if (isRoundOpen(month, now)) {
+        return null;
+    }
+
+    const flatBands = {};
+    const bandSources = {};
+    for (const indicator of indicators) {
+        flatBands[indicator] = FLAT_BAND;
+        bandSources[indicator] = 'legacy';
+    }
+    return { flatBands, bandSources };
+}
+
+// Band of one indicator in a round: per-indicator map, or one number for all
+function getBand(bands, indicator) {
+    if (typeof bands === 'number') {
+        return bands;
+    }
+    if (bands && typeof bands[indicator] === 'number') {
+        return bands[indicator];
+    }
+    return FLAT_BAND;
+}
+
+function classifyGrowth(growth, band = FLAT_BAND) {
+    if (growth > band) {
+        return 'up';
+    }
+    if (growth < -band) {
+        return 'down';
+    }
+    return 'flat';
+}
+
+/**
+ * Check and normalise the optional rich parts of a submission.
+ * `probabilities` maps indicator -> { up, flat, down } summing to 1,
+ * `points` maps indicator -> expected month-over-month change in percent.
+ * Returns { probabilities, points } or { error }.
+ */
+function validateForecasts(probabilities, points) {
+    const cleanProbabilities = {};
+    const cleanPoints = {};
+
+    for (const [indicator, split] of Object.entries(probabilities || {})) {
+        const values = OUTCOMES.map(outcome => Number(split && split[outcome]));
+        if (values.some(value => !Number.isFinite(value) || value < 0 || value > 1)) {
+            return { error: `Probabilities for ${indicator} must be between 0 and 1` };
+        }
+        const sum = values.reduce((total, value) => total + value, 0);
+        if (Math.abs(sum - 1) > 0.01) {
+            return { error: `Probabilities for ${indicator} must add up to 100%` };
+        }
+        // Normalise away rounding so every split sums to exactly 1
+        cleanProbabilities[indicator] = {};
+        OUTCOMES.forEach((outcome, i) => { cleanProbabilities[indicator][outcome] = values[i] / sum; });
+    }
+
+    for (const [indicator, point] of Object.entries(points || {})) {
+        const value = Number(point);
+        if (point === null || point === '' || !Number.isFinite(value) || Math.abs(value) > 100) {
+            return { error: `Point forecast for ${indicator} must be a percentage between -100 and 100` };
+        }
+        cleanPoints[indicator] = value;
+    }
+
+    return { probabilities: cleanProbabilities, points: cleanPoints };
+}
+
+// Direction implied by a probability split (most likely outcome)
+function mostLikelyOutcome(split) {
+    return OUTCOMES.reduce((best, outcome) => (split[outcome] > split[best] ? outcome : best), OUTCOMES[0]);
+}
+
+/**
+ * The forecast of a submission or an edit, checked. `body` may hold `estimates`
+ * (indicator -> up/flat/down), `probabilities` and `points`; a direction left
+ * out is taken from the richer forecast, classifying point forecasts with the
+ * round's `bands`. When `indicators` is given, every forecast must be for one
+ * of them. Returns { estimates, probabilities, points } or { error }.
+ */
+function buildForecast(body, bands = FLAT_BAND, indicators = null) {
+    const forecasts = validateForecasts(body.probabilities, body.points);
+    if (forecasts.error) {
+        return forecasts;
+    }
+
+    const estimates = body.estimates || {};
+    if (typeof estimates !== 'object' || Array.isArray(estimates)) {
+        return { error: `Estimates must map each indicator to one of: ${OUTCOMES.join(', ')}` };
+    }
+    for (const [indicator, direction] of Object.entries(estimates)) {
+        if (!OUTCOMES.includes(direction)) {
+            return { error: `Estimate for ${indicator} must be one of: ${OUTCOMES.join(', ')}` };
+        }
+    }
+
+    // Every indicator needs a direction; derive it from the richer forecast when left out
+    const directions = { ...estimates };
+    for (const [indicator, split] of Object.entries(forecasts.probabilities)) {
+        directions[indicator] = directions[indicator] || mostLikelyOutcome(split);
+    }
+    for (const [indicator, point] of Object.entries(forecasts.points)) {
+        directions[indicator] = directions[indicator] || classifyGrowth(point, getBand(bands, indicator));
+    }
+    if (Object.keys(directions).length === 0) {
+        return { error: 'Name and estimates are required' };
+    }
+    if (indicators) {
+        const unknown = Object.keys(directions).find(indicator => !indicators.includes(indicator));
+        if (unknown) {
+            return { error: `Unknown indicator: ${unknown}` };
+        }
+    }
+
+    return { estimates: directions, probabilities: forecasts.probabilities, points: forecasts.points };
+}
+
+/**
+ * Store a forecast (from buildForecast) on an estimate. It replaces the whole
+ * previous forecast: probabilities or points it does not have are removed, so
+ * an edited call is never scored against an outdated split or point.
+ */
+function setForecast(estimate, forecast) {
+    estimate.estimates = forecast.estimates;
+    if (Object.keys(forecast.probabilities).length > 0) {
+        estimate.probabilities = forecast.probabilities;
+    } else {
+        delete estimate.probabilities;
+    }
+    if (Object.keys(forecast.points).length > 0) {
+        estimate.points = forecast.points;
+    } else {
+        delete estimate.points;
+    }
+    return estimate;
+}
+
+/**
+ * Probability an estimate gave each outcome for one indicator. A plain
+ * up/flat/down call counts as certain, so it is scored by the same rules as
+ * an explicit split and confident misses are penalised.
+ */
+function getOutcomeProbabilities(estimate, indicator) {
+    if (estimate.probabilities && estimate.probabilities[indicator]) {
+        return estimate.probabilities[indicator];
+    }
+    const predicted = estimate.estimates ? estimate.estimates[indicator] : undefined;
+    if (!OUTCOMES.includes(predicted)) {
+        return null;
+    }
+    const split = {};
+    OUTCOMES.forEach(outcome => { split[outcome] = outcome === predicted ? 1 : 0; });
+    return split;
+}
+
+// Multi-class Brier score: 0 is perfect, 2 is a certain miss
+function brierScore(split, actual) {
+    return OUTCOMES.reduce((sum, outcome) => sum + (split[outcome] - (outcome === actual ? 1 : 0)) ** 2, 0);
+}
+
+function logLoss(split, actual) {
+    return -Math.log(Math.max(split[actual], LOG_LOSS_EPSILON));
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Score every estimate of a round.
+ * `growth` maps indicator -> percent change (indicators without a number are skipped),
+ * `bands` maps indicator -> flat band (or is a single band for all indicators).
+ * Besides the hit count each score carries the mean Brier score and log loss
+ * of its calls and the mean absolute error of its point forecasts (null when
+ * it made none).
+ */
+function scoreRound(estimates, growth, bands = FLAT_BAND) {
+    return estimates.map(estimate => {
+        // Submitted before rounds existed, under the ±FLAT_BAND rule
+        const estimateBands = isValidMonth(estimate.targetMonth) ? bands : FLAT_BAND;
+        const results = {};
+        let correctCount = 0;
+        let total = 0;
+        const briers = [];
+        const logLosses = [];
+        const absErrors = [];
+
+        for (const [indicator, value] of Object.entries(growth)) {
+            if (typeof value !== 'number') {
+                continue;
+            }
+            const actual = classifyGrowth(value, getBand(estimateBands, indicator));
+            const predicted = estimate.estimates ? estimate.estimates[indicator] : undefined;
+            const correct = predicted === actual;
+            const result = { estimate: predicted || null, actual: actual, correct: correct };
+
+            const split = getOutcomeProbabilities(estimate, indicator);
+            if (split) {
+                result.brier = brierScore(split, actual);
+                result.logLoss = logLoss(split, actual);
+                briers.push(result.brier);
+                logLosses.push(result.logLoss);
+            }
+
+            const point = estimate.points ? estimate.points[indicator] : undefined;
+            if (typeof point === 'number') {
+                result.point = point;
+                result.absError = Math.abs(point - value);
+                absErrors.push(result.absError);
+            }
+
+            results[indicator] = result;
+            total++;
+            if (correct) {
+                correctCount++;
+            }
+        }
+
+        return {
+            id: estimate.id,
+            participantId: estimate.participantId || null,
+            name: estimate.name,
+            results: results,
+            correctCount: correctCount,
+            total: total,
+            brier: mean(briers),
+            logLoss: mean(logLosses),
+            mae: mean(absErrors)
+        };
+    });
+}
+
+// Leaderboard identity of a score. Submissions from before participants
+// existed are grouped by their (case-insensitive) name.
+function getParticipantKey(score) {
+    if (score.participantId) {
+        return score.participantId;
+    }
+    return `name:${String(score.name || '').trim().toLowerCase()}`;
+}
+
+// A round counts towards a streak when more than half of its calls were right
+function isHitRound(score) {
+    return score.total > 0 && score.correctCount * 2 > score.total;
+}
+
+function hitRate(correct, total) {
+    return total > 0 ? correct / total : 0;
+}
+
+// Running sum/count of a metric, kept so the mean can be updated per round
+function addToMetric(stats, metric, value) {
+    if (typeof value !== 'number') {
+        return;
+    }
+    stats[`${metric}Sum`] = (stats[`${metric}Sum`] || 0) + value;
+    stats[`${metric}Count`] = (stats[`${metric}Count`] || 0) + 1;
+    stats[metric] = stats[`${metric}Sum`] / stats[`${metric}Count`];
+}
+
+// Sort order for a metric; participants without a value for it go last
+function standingsComparator(metric) {
+    const higherIsBetter = METRICS[metric].higherIsBetter;
+    return (a, b) => {
+        const aValue = a[metric];
+        const bValue = b[metric];
+        if (aValue !== bValue) {
+            if (aValue === null) return 1;
+            if (bValue === null) return -1;
+            return higherIsBetter ? bValue - aValue : aValue - bValue;
+        }
+        return b.hitRate - a.hitRate || b.correct - a.correct || String(a.name || '').localeCompare(String(b.name || ''));
+    };
+}
+
+// Drop the running sums from an entry before it is returned
+function finishStats(stats) {
+    const finished = {};
+    for (const [key, value] of Object.entries(stats)) {
+        if (!key.endsWith('Sum') && !key.endsWith('Count')) {
+            finished[key] = value;
+        }
+    }
+    return finished;
+}
+
+/**
+ * All-time leaderboard from closed rounds (any order), ranked by `metric`
+ * (one of METRICS: hit rate, mean Brier score, mean log loss or point-forecast MAE).
+ * A participant's latest submission in a round is the one that counts.
+ * Streaks run over the rounds a participant took part in; the rank history
+ * holds the cumulative standing after every round.
+ */
+function buildLeaderboard(closedRounds, metric = 'hitRate') {
+    const compareStandings = standingsComparator(metric);
+    const participants = {};
+    const sortedRounds = closedRounds.slice().sort((a, b) => a.month.localeCompare(b.month));
+
+    for (const round of sortedRounds) {
+        // Latest submission per participant in this round
+        const latest = {};
+        for (const score of round.scores) {
+            const key = getParticipantKey(score);
+            if (!latest[key] || score.id > latest[key].id) {
+                latest[key] = score;
+            }
+        }
+
+        for (const [key, score] of Object.entries(latest)) {
+            const entry = participants[key] || (participants[key] = {
+                key: key,
+                participantId: score.participantId || null,
+                name: score.name,
+                roundsPlayed: 0,
+                correct: 0,
+                total: 0,
+                hitRate: 0,
+                brier: null,
+                logLoss: null,
+                mae: null,
+                indicators: {},
+                currentStreak: 0,
+                bestStreak: 0,
+                rankHistory: [],
+                rounds: []
+            });
+
+            entry.name = score.name;
+            entry.roundsPlayed++;
+            entry.correct += score.correctCount;
+            entry.total += score.total;
+            entry.hitRate = hitRate(entry.correct, entry.total);
+
+            for (const [indicator, result] of Object.entries(score.results)) {
+                const stats = entry.indicators[indicator] || (entry.indicators[indicator] = {
+                    correct: 0, total: 0, hitRate: 0, brier: null, logLoss: null, mae: null
+                });
+                stats.total++;
+                if (result.correct) {
+                    stats.correct++;
+                }
+                stats.hitRate = hitRate(stats.correct, stats.total);
+                addToMetric(stats, 'brier', result.brier);
+                addToMetric(stats, 'logLoss', result.logLoss);
+                addToMetric(stats, 'mae', result.absError);
+
+                // Metrics over all calls, not averaged per round
+                addToMetric(entry, 'brier', result.brier);
+                addToMetric(entry, 'logLoss', result.logLoss);
+                addToMetric(entry, 'mae', result.absError);
+            }
+
+            entry.currentStreak = isHitRound(score) ? entry.currentStreak + 1 : 0;
+            entry.bestStreak = Math.max(entry.bestStreak, entry.currentStreak);
+
+            entry.rounds.push({
+                month: round.month,
+                estimateId: score.id,
+                correctCount: score.correctCount,
+                total: score.total,
+                brier: score.brier === undefined ? null : score.brier,
+                logLoss: score.logLoss === undefined ? null : score.logLoss,
+                mae: score.mae === undefined ? null : score.mae,
+                results: score.results
+            });
+        }
+
+        // Cumulative standings after this round
+        const standings = Object.values(participants).sort(compareStandings);
+        standings.forEach((entry, index) => {
+            entry.rankHistory.push({
+                month: round.month,
+                rank: index + 1,
+                of: standings.length,
+                hitRate: entry.hitRate,
+                value: entry[metric]
+            });
+        });
+    }
+
+    const entries = Object.values(participants).sort(compareStandings).map((entry, index) => {
+        const finished = finishStats(entry);
+        finished.rank = index + 1;
+        finished.indicators = {};
+        for (const [indicator, stats] of Object.entries(entry.indicators)) {
+            finished.indicators[indicator] = finishStats(stats);
+        }
+        return finished;
+    });
+
+    return {
+        metric: metric,
+        rounds: sortedRounds.map(round => round.month),
+        entries: entries
+    };
+}
+
+module.exports = {
+    FLAT_BAND,
+    OPEN_ROUNDS,
+    MAX_NAME_LENGTH,
+    OUTCOMES,
+    METRICS,
+    BAND_LOOKBACK_MONTHS,
+    BAND_VOL_MULTIPLIER,
+    isValidMonth,
+    cleanName,
+    monthOf,
+    shiftMonth,
+    getTargetMonth,
+    getOpenMonths,
+    isRoundOpen,
+    isRoundClosed,
+    calculateMonthGrowth,
+    calculateFlatBand,
+    isRecordedBandSet,
+    selectRoundBands,
+    getBand,
+    classifyGrowth,
+    validateForecasts,
+    mostLikelyOutcome,
+    buildForecast,
+    setForecast,
+    scoreRound,
+    getParticipantKey,
+    buildLeaderboard
+};
@@ -0,0 +1,102 @@
+// Chart annotations: recession periods and admin-managed market events
+// Everything lives in data/events.json:
+// {
+//   events: [{ id, date, endDate?, label, category, region }],
+//   recessions: { us: [{ start, end }], japan: [{ start, end }] },
+//   recessionsUpdated: ISO timestamp of the last USREC refresh
+// }
+// An event with an `endDate` is drawn as a band, otherwise as a vertical line.
+
+const EVENT_CATEGORIES = ['fomc', 'boj', 'election', 'other'];
+const EVENT_REGIONS = ['us', 'japan', 'all'];
+
+// FRED series flagging NBER recession months (1 = in recession)
+const US_RECESSION_SERIES = 'USREC';
+
+// Used until data/events.json exists
+const DEFAULT_EVENTS = {
+    events: [],
+    recessions: { us: [], japan: [] },
+    recessionsUpdated: null
+};
+
+function isValidDate(date) {
+    return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(new Date(date).getTime());
+}
+
+function lastDayOfMonth(dateStr) {
+    const date = new Date(`${dateStr.substring(0, 7)}-01T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    date.setUTCDate(0);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Turn a monthly 0/1 recession indicator (FRED USREC) into periods.
+ * Each period runs from the first day of its first recession month to the
+ * last day of its last one.
+ */
+function toRecessionPeriods(dates, values) {
+    const periods = [];
+    let current = null;
+    dates.forEach((date, i) => {
+        if (values[i] === 1) {
+            if (!current) {
+                current = { start: date, end: lastDayOfMonth(date) };
+                periods.push(current);
+            } else {
+                current.end = lastDayOfMonth(date);
+            }
+        } else {
+            current = null;
+        }
+    });
+    return periods;
+}
+
+/**
+ * Check an event posted by the admin page.
+ * Returns `{ event }` with only the known fields, or `{ error }`.
+ */
+function validateEvent(body) {
+    const { date, endDate, label, category = 'other', region = 'all' } = body || {};
+
+    if (!isValidDate(date)) {
+        return { error: 'date must be a YYYY-MM-DD date' };
+    }
+    if (endDate !== undefined && endDate !== null && endDate !== '') {
+        if (!isValidDate(endDate) || endDate < date) {
+            return { error: 'endDate must be a YYYY-MM-DD date on or after date' };
+        }
+    }
+    if (typeof label !== 'string' || label.trim() === '' || label.length > 100) {
+        return { error: 'label is required (up to 100 characters)' };
+    }
+    if (!EVENT_CATEGORIES.includes(category)) {
+        return { error: `category must be one of: ${EVENT_CATEGORIES.join(', ')}` };
+    }
+    if (!EVENT_REGIONS.includes(region)) {
+        return { error: `region must be one of: ${EVENT_REGIONS.join(', ')}` };
+    }
+
+    const event = { date, label: label.trim(), category, region };
+    if (endDate) {
+        event.endDate = endDate;
+    }
+    return { event };
+}
+
+// Events in date order, so the file stays readable and diffs stay small
+function sortEvents(events) {
+    return events.slice().sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+}
+
+module.exports = {
+    EVENT_CATEGORIES,
+    EVENT_REGIONS,
+    US_RECESSION_SERIES,
+    DEFAULT_EVENTS,
+    toRecessionPeriods,
+    validateEvent,
+    sortEvents
+};
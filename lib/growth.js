@@ -0,0 +1,128 @@
+// Growth rates (GET /api/data/growth): the change of a series from one
+// period to the next, or against the same period a year earlier, with each
+// period represented by its last stored value.
+
+// Frequencies and comparison modes accepted by /api/data/growth
+const GROWTH_FREQUENCIES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+const GROWTH_MODES = ['pop', 'yoy'];
+
+// Periods per year, used to find the same period one year earlier
+const PERIODS_PER_YEAR = { weekly: 52, monthly: 12, quarterly: 4, yearly: 1 };
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Helper function to get the period a YYYY-MM-DD date falls in.
+// Returns a sortable key ('2025-01-03' for the week ending Friday Jan 3,
+// '2025-08', '2025-Q3', '2025') and a display label ('Jan 3, 2025', 'Aug 2025', 'Q3 2025', '2025').
+function getGrowthPeriod(dateStr, freq) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+
+    switch (freq) {
+        case 'weekly': {
+            // Weeks run Monday to Sunday and are named after their Friday
+            const date = new Date(Date.UTC(year, month - 1, day));
+            const weekday = (date.getUTCDay() + 6) % 7; // Monday = 0
+            date.setUTCDate(date.getUTCDate() + 4 - weekday);
+            const key = date.toISOString().split('T')[0];
+            return { key, label: `${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCDate()}, ${date.getUTCFullYear()}` };
+        }
+        case 'quarterly': {
+            const quarter = Math.floor((month - 1) / 3) + 1;
+            return { key: `${year}-Q${quarter}`, label: `Q${quarter} ${year}` };
+        }
+        case 'yearly':
+            return { key: String(year), label: String(year) };
+        default:
+            return { key: dateStr.substring(0, 7), label: `${MONTH_NAMES[month - 1]} ${year}` };
+    }
+}
+
+// Helper function to get the key of the same period one year earlier
+function getYearAgoKey(key, freq) {
+    switch (freq) {
+        case 'weekly': {
+            const date = new Date(`${key}T00:00:00Z`);
+            date.setUTCDate(date.getUTCDate() - 7 * PERIODS_PER_YEAR.weekly);
+            return date.toISOString().split('T')[0];
+        }
+        case 'yearly':
+            return String(parseInt(key) - 1);
+        default:
+            // '2025-08' -> '2024-08', '2025-Q3' -> '2024-Q3'
+            return `${parseInt(key.substring(0, 4)) - 1}${key.substring(4)}`;
+    }
+}
+
+// Helper function to calculate growth rates per period.
+// `freq` is weekly, monthly, quarterly or yearly; `mode` 'pop' compares each
+// period with the one before it, 'yoy' with the same period a year earlier.
+// Each period is represented by its last value, as of its last stored date.
+function calculateGrowth(dates, values, freq = 'monthly', mode = 'pop') {
+    if (!dates || !values || dates.length === 0) {
+        console.log('calculateGrowth: No dates or values provided');
+        return { dates: [], values: [], periods: [], asOf: [] };
+    }
+
+    // Group data by period and get the last value of each period
+    const periodData = {};
+
+    for (let i = 0; i < dates.length; i++) {
+        const period = getGrowthPeriod(dates[i], freq);
+
+        // Keep the last value for each period (since dates are sorted, just overwrite)
+        if (!periodData[period.key] || dates[i] > periodData[period.key].date) {
+            periodData[period.key] = {
+                label: period.label,
+                date: dates[i],
+                value: values[i]
+            };
+        }
+    }
+
+    // Sort by period key
+    const sortedPeriods = Object.keys(periodData).sort();
+
+    console.log(`Found ${sortedPeriods.length} ${freq} periods of data`);
+
+    // Calculate period-over-period or year-over-year growth rates
+    const growthDates = [];
+    const growthValues = [];
+    const growthPeriods = [];
+    const growthAsOf = [];
+
+    for (let i = 1; i < sortedPeriods.length; i++) {
+        const currentPeriod = sortedPeriods[i];
+        const previousPeriod = mode === 'yoy' ? getYearAgoKey(currentPeriod, freq) : sortedPeriods[i - 1];
+
+        if (!periodData[previousPeriod]) {
+            continue;
+        }
+
+        const currentValue = periodData[currentPeriod].value;
+        const previousValue = periodData[previousPeriod].value;
+
+        // Calculate percentage change
+        const growthRate = ((currentValue - previousValue) / previousValue) * 100;
+
+        growthDates.push(periodData[currentPeriod].label);
+        growthValues.push(growthRate);
+        growthPeriods.push(currentPeriod);
+        growthAsOf.push(periodData[currentPeriod].date);
+    }
+
+    console.log(`Calculated ${growthValues.length} ${freq} ${mode} growth rates`);
+
+    return {
+        dates: growthDates,
+        values: growthValues,
+        periods: growthPeriods,
+        asOf: growthAsOf
+    };
+}
+
+module.exports = {
+    GROWTH_FREQUENCIES,
+    GROWTH_MODES,
+    getGrowthPeriod,
+    calculateGrowth
+};
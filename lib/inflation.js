@@ -0,0 +1,80 @@
+// Real (inflation-adjusted) terms for nominal series
+// A monthly price index (CPI, dated on the first of each month as FRED
+// stores it) is interpolated linearly to every date of the series; dates after
+// the latest CPI release carry that release forward. Real values are expressed
+// in the prices of the latest CPI month:
+//   real[t] = nominal[t] * CPI(latest) / CPI(t)
+
+// Parallel arrays that hold prices; volume and other fields are left alone
+const PRICE_FIELDS = ['values', 'open', 'high', 'low', 'adjClose', 'totalReturn'];
+
+function toTime(dateStr) {
+    return new Date(`${dateStr}T00:00:00Z`).getTime();
+}
+
+/**
+ * Price index level on each of `dates` (ascending), interpolated between the
+ * monthly observations. Dates before the first observation get null.
+ */
+function interpolateIndex(indexDates, indexValues, dates) {
+    const points = [];
+    indexDates.forEach((date, i) => {
+        if (typeof indexValues[i] === 'number' && indexValues[i] > 0) {
+            points.push({ time: toTime(date), value: indexValues[i] });
+        }
+    });
+
+    const levels = [];
+    let k = 0;
+    for (const date of dates) {
+        const time = toTime(date);
+        while (k < points.length - 1 && points[k + 1].time <= time) {
+            k++;
+        }
+
+        if (points.length === 0 || time < points[0].time) {
+            levels.push(null);
+        } else if (k === points.length - 1) {
+            levels.push(points[k].value);
+        } else {
+            const from = points[k];
+            const to = points[k + 1];
+            const share = (time - from.time) / (to.time - from.time);
+            levels.push(from.value + (to.value - from.value) * share);
+        }
+    }
+    return levels;
+}
+
+/**
+ * Deflate the price fields of a series (`{ dates, values, ... }`) by a price index
+ * (`{ dates, values }`). Points before the index starts are dropped. Returns a copy
+ * with `priceLevel` set to the month whose prices the real values are quoted in.
+ */
+function deflateSeries(data, index) {
+    const levels = interpolateIndex(index.dates, index.values, data.dates);
+    const latest = index.values.length - 1;
+    const base = index.values[latest];
+    const keep = levels.map(level => level !== null);
+    const keptLevels = levels.filter(level => level !== null);
+
+    const real = { ...data, dates: data.dates.filter((date, i) => keep[i]) };
+    for (const field of Object.keys(data)) {
+        if (field === 'dates' || !Array.isArray(data[field]) || data[field].length !== data.dates.length) {
+            continue;
+        }
+        const kept = data[field].filter((value, i) => keep[i]);
+        real[field] = PRICE_FIELDS.includes(field)
+            ? kept.map((value, i) => (typeof value === 'number' ? value * base / keptLevels[i] : value))
+            : kept;
+    }
+
+    real.priceLevel = latest >= 0 ? index.dates[latest].substring(0, 7) : null;
+    return real;
+}
+
+module.exports = {
+    PRICE_FIELDS,
+    interpolateIndex,
+    deflateSeries
+};
@@ -0,0 +1,412 @@
+// Market data helpers shared by the server and the standalone update scripts
+
+const path = require('path');
+const fetch = require('node-fetch');
+const yahooFinance = require('yahoo-finance2').default;
+const { VALIDATION_DEFAULTS, dropMissingValues, validateSeries } = require('./validation');
+const storage = require('./storage');
+
+const FRED_API_BASE_URL = 'https://api.stlouisfed.org/fred/series/observations';
+const FRED_DEFAULT_START = '1950-01-01';
+const YAHOO_HISTORY_YEARS = 20;
+
+// Parallel arrays stored next to `dates` in an indicator file.
+// `values` is the close and is always present; the bar fields only exist for
+// Yahoo series, so files written before they were added still read fine.
+// `totalReturn` is only stored for catalog entries with `totalReturn: true`.
+const SERIES_FIELDS = ['values', 'open', 'high', 'low', 'adjClose', 'volume', 'totalReturn'];
+const BAR_FIELDS = ['open', 'high', 'low', 'adjClose', 'volume'];
+
+// Days re-requested before the last stored observation on an incremental refresh,
+// so that values revised by the provider replace what we already have.
+// FRED gets a wider window because some series (e.g. JGB yield) are monthly.
+const OVERLAP_DAYS = {
+    yahoo: 7,
+    fred: 45
+};
+
+// Helper function to fetch from FRED API
+async function fetchFromFRED(seriesId, startDate = FRED_DEFAULT_START) {
+    const url = new URL(FRED_API_BASE_URL);
+    url.searchParams.append('series_id', seriesId);
+    url.searchParams.append('api_key', process.env.FRED_API_KEY || '');
+    url.searchParams.append('file_type', 'json');
+    url.searchParams.append('observation_start', startDate);
+
+    const response = await fetch(url);
+
+    // Handle rate limit
+    if (response.status === 429) {
+        throw new Error('FRED API rate limit exceeded (120 requests/minute). Please wait a moment.');
+    }
+
+    if (!response.ok) {
+        throw new Error(`FRED API error! status: ${response.status}`);
+    }
+
+    const fredData = await response.json();
+    const validData = fredData.observations.filter(obs => obs.value !== '.');
+
+    return {
+        dates: validData.map(obs => obs.date),
+        values: validData.map(obs => parseFloat(obs.value))
+    };
+}
+
+// Helper function to fetch from Yahoo Finance
+// When startDate is given (incremental refresh) an empty result is not an error,
+// since there may simply be no new trading days yet.
+async function fetchFromYahoo(symbol, startDate = null) {
+    try {
+        const endDate = new Date();
+        let period1;
+        if (startDate) {
+            period1 = new Date(startDate);
+        } else {
+            period1 = new Date();
+            period1.setFullYear(period1.getFullYear() - YAHOO_HISTORY_YEARS);
+        }
+
+        const result = await yahooFinance.historical(symbol, {
+            period1: period1,
+            period2: endDate,
+            interval: '1d'
+        });
+
+        if (!result || result.length === 0) {
+            if (startDate) {
+                return emptySeries(BAR_FIELDS);
+            }
+            throw new Error(`No data returned from Yahoo Finance for ${symbol}`);
+        }
+
+        // Sort by date
+        result.sort((a, b) => a.date - b.date);
+
+        // Keep the full daily bar; `values` stays the close for existing consumers
+        return {
+            dates: result.map(item => item.date.toISOString().split('T')[0]),
+            values: result.map(item => item.close),
+            open: result.map(item => toNumberOrNull(item.open)),
+            high: result.map(item => toNumberOrNull(item.high)),
+            low: result.map(item => toNumberOrNull(item.low)),
+            adjClose: result.map(item => toNumberOrNull(item.adjClose)),
+            volume: result.map(item => toNumberOrNull(item.volume))
+        };
+    } catch (error) {
+        // Check for JSON parsing errors (usually indicates rate limiting)
+        if (error.message && error.message.includes('Unexpected token')) {
+            throw new Error('Yahoo Finance rate limit exceeded. Please wait 5-10 minutes and try again. Try refreshing indicators one at a time instead of all at once.');
+        }
+        // Check for rate limiting
+        if (error.message && (error.message.includes('Too Many Requests') || error.message.includes('429'))) {
+            throw new Error('Yahoo Finance rate limit exceeded. Please wait 5-10 minutes and try again.');
+        }
+        // Check for other common errors
+        if (error.message && error.message.includes('Invalid symbol')) {
+            throw new Error(`Invalid symbol: ${symbol}`);
+        }
+        // Re-throw with more context
+        throw new Error(`Yahoo Finance error for ${symbol}: ${error.message}`);
+    }
+}
+
+function toNumberOrNull(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function emptySeries(extraFields = []) {
+    const series = { dates: [], values: [] };
+    extraFields.forEach(field => { series[field] = []; });
+    return series;
+}
+
+// Series fields present in a data object, in storage order
+function getSeriesFields(data) {
+    return SERIES_FIELDS.filter(field => Array.isArray(data[field]));
+}
+
+// Helper function to fetch dividend events from Yahoo Finance
+async function fetchDividendsFromYahoo(symbol, startDate) {
+    try {
+        const result = await yahooFinance.historical(symbol, {
+            period1: new Date(startDate),
+            period2: new Date(),
+            events: 'dividends'
+        });
+
+        return (result || [])
+            .map(item => ({
+                date: item.date.toISOString().split('T')[0],
+                amount: item.dividends
+            }))
+            .filter(item => typeof item.amount === 'number' && item.amount > 0)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+        throw new Error(`Yahoo Finance dividend error for ${symbol}: ${error.message}`);
+    }
+}
+
+// Replace stored dividends from startDate onwards with a fresh answer
+function mergeDividends(existing, fetched, startDate) {
+    return existing
+        .filter(item => item.date < startDate)
+        .concat(fetched.filter(item => item.date >= startDate));
+}
+
+/**
+ * Total-return index aligned with `dates`, starting at the first close.
+ * Each day's return reinvests any dividend that went ex after the previous
+ * trading day and on or before this one:
+ *   TR[i] = TR[i-1] * (close[i] + dividend[i]) / close[i-1]
+ */
+function calculateTotalReturn(dates, closes, dividends) {
+    const totalReturn = [];
+    let divIndex = 0;
+
+    // Dividends before the first stored date do not affect the index
+    while (divIndex < dividends.length && dividends[divIndex].date <= dates[0]) {
+        divIndex++;
+    }
+
+    for (let i = 0; i < dates.length; i++) {
+        if (i === 0) {
+            totalReturn.push(closes[0]);
+            continue;
+        }
+
+        let dividend = 0;
+        while (divIndex < dividends.length && dividends[divIndex].date <= dates[i]) {
+            dividend += dividends[divIndex].amount;
+            divIndex++;
+        }
+
+        const previousClose = closes[i - 1];
+        const previousTotal = totalReturn[i - 1];
+        if (previousClose && closes[i] !== null && previousTotal !== null) {
+            totalReturn.push(previousTotal * (closes[i] + dividend) / previousClose);
+        } else {
+            totalReturn.push(previousTotal);
+        }
+    }
+
+    return totalReturn;
+}
+
+// Read an existing indicator file, or null if it is missing or unreadable
+async function readIndicatorFile(filePath) {
+    try {
+        const jsonData = await storage.readJson(filePath);
+        if (!Array.isArray(jsonData.dates) || !Array.isArray(jsonData.values) || jsonData.dates.length === 0) {
+            return null;
+        }
+        return jsonData;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Start date for an incremental request: last stored date minus the overlap window
+function getIncrementalStartDate(dates, type) {
+    const lastDate = new Date(dates[dates.length - 1]);
+    lastDate.setUTCDate(lastDate.getUTCDate() - (OVERLAP_DAYS[type] || OVERLAP_DAYS.yahoo));
+    return lastDate.toISOString().split('T')[0];
+}
+
+// Merge freshly fetched points into an existing series.
+// Everything from startDate onwards is replaced by the provider's answer, so
+// revised values win; older history is kept as stored.
+function mergeSeries(existing, fetched, startDate) {
+    const fields = getSeriesFields(fetched);
+
+    // A refresh that returned nothing must not drop the overlap window
+    if (fetched.dates.length === 0) {
+        const copy = { dates: existing.dates.slice() };
+        getSeriesFields(existing).forEach(field => { copy[field] = existing[field].slice(); });
+        return copy;
+    }
+
+    const merged = emptySeries(fields);
+
+    for (let i = 0; i < existing.dates.length; i++) {
+        if (existing.dates[i] < startDate) {
+            merged.dates.push(existing.dates[i]);
+            fields.forEach(field => {
+                // Older files may lack bar fields; keep alignment with nulls
+                merged[field].push(Array.isArray(existing[field]) ? existing[field][i] : null);
+            });
+        }
+    }
+
+    // Guard against a provider that ignores the start date
+    for (let i = 0; i < fetched.dates.length; i++) {
+        if (fetched.dates[i] >= startDate) {
+            merged.dates.push(fetched.dates[i]);
+            fields.forEach(field => merged[field].push(fetched[field][i]));
+        }
+    }
+
+    return merged;
+}
+
+// Rejected refreshes are kept next to the data files in quarantine/, one per indicator
+function getQuarantinePath(filePath) {
+    return path.join(path.dirname(filePath), 'quarantine', path.basename(filePath));
+}
+
+// Read the quarantined refresh of an indicator, or null if there is none
+async function readQuarantine(filePath) {
+    try {
+        return await storage.readJson(getQuarantinePath(filePath));
+    } catch (error) {
+        return null;
+    }
+}
+
+function removeQuarantine(filePath) {
+    return storage.removeJson(getQuarantinePath(filePath));
+}
+
+// Keep a rejected refresh (with the reasons) for the admin page instead of saving it
+async function quarantineData(filePath, data, report) {
+    await storage.writeJson(getQuarantinePath(filePath), {
+        quarantinedAt: new Date().toISOString(),
+        errors: report.errors,
+        warnings: report.warnings,
+        data: data
+    });
+}
+
+// A stored Yahoo file from before bars were kept is re-downloaded once in full
+function needsFullRefresh(existing, config) {
+    return config.type === 'yahoo' && !Array.isArray(existing.open);
+}
+
+// Fetch a series from its provider and leave out the points without a value.
+// Returns `{ series, dropped, error }` as dropMissingValues() in lib/validation.js.
+async function fetchCleanSeries(config, startDate = null) {
+    const limits = { ...VALIDATION_DEFAULTS, ...(config.validation || {}) };
+    const { data, dropped, error } = dropMissingValues(await fetchSeries(config, startDate), limits.maxMissing);
+    return { series: data, dropped, error };
+}
+
+// Fetch a series from its provider, starting at startDate (null = full history)
+async function fetchSeries(config, startDate = null) {
+    if (config.type === 'fred') {
+        return startDate ? fetchFromFRED(config.seriesId, startDate) : fetchFromFRED(config.seriesId);
+    } else if (config.type === 'yahoo') {
+        return fetchFromYahoo(config.symbol, startDate);
+    }
+    throw new Error('Unknown data source type');
+}
+
+/**
+ * Refresh one indicator file.
+ * Reads the stored series, asks the provider only for data after the last
+ * stored date (minus the overlap window) and merges the answer into the file.
+ * Falls back to a full download when there is no usable file or `full` is set.
+ * For indicators with `totalReturn` set, dividends are kept up to date as well
+ * and the total-return index is rebuilt from the merged closes.
+ * The result is checked against the stored file first (lib/validation.js): on
+ * failure it is quarantined and an error with code VALIDATION_FAILED is thrown.
+ */
+async function refreshIndicatorData(indicator, config, filePath, { full = false } = {}) {
+    let existing = full ? null : await readIndicatorFile(filePath);
+    if (existing && needsFullRefresh(existing, config)) {
+        existing = null;
+    }
+
+    let series;
+    let mode;
+    let added;
+    let startDate = null;
+    let fetched;
+
+    if (existing) {
+        startDate = getIncrementalStartDate(existing.dates, config.type);
+        fetched = await fetchCleanSeries(config, startDate);
+        series = mergeSeries(existing, fetched.series, startDate);
+        mode = 'incremental';
+        added = series.dates.length - existing.dates.length;
+    } else {
+        fetched = await fetchCleanSeries(config);
+        series = fetched.series;
+        mode = 'full';
+
+        // Yahoo only serves the last YAHOO_HISTORY_YEARS, so stored points from
+        // before the downloaded window are kept instead of being cut off
+        const stored = await readIndicatorFile(filePath);
+        if (stored && series.dates.length > 0) {
+            series = mergeSeries(stored, series, series.dates[0]);
+            added = series.dates.length - stored.dates.length;
+        } else {
+            added = series.dates.length;
+        }
+    }
+
+    let dividends = null;
+    if (config.totalReturn && config.type === 'yahoo' && series.dates.length > 0) {
+        // Dividends are only re-requested for the overlap window once we have them
+        if (existing && Array.isArray(existing.dividends)) {
+            const fetchedDividends = await fetchDividendsFromYahoo(config.symbol, startDate);
+            dividends = mergeDividends(existing.dividends, fetchedDividends, startDate);
+        } else {
+            dividends = await fetchDividendsFromYahoo(config.symbol, series.dates[0]);
+        }
+        series.totalReturn = calculateTotalReturn(series.dates, series.values, dividends);
+    }
+
+    // Prepare data structure
+    const dataToSave = {
+        lastUpdated: new Date().toISOString(),
+        indicator: indicator,
+        name: config.name,
+        source: config.type,
+        sourceId: config.seriesId || config.symbol,
+        dates: series.dates
+    };
+    getSeriesFields(series).forEach(field => { dataToSave[field] = series[field]; });
+    if (dividends) {
+        dataToSave.dividends = dividends;
+    }
+
+    // `existing` is dropped on full refreshes, but the stored file is still what we protect
+    const stored = existing || await readIndicatorFile(filePath);
+    const report = validateSeries(dataToSave, stored, config.validation);
+    if (fetched.error) {
+        report.errors.unshift(fetched.error);
+    } else if (fetched.dropped.length > 0) {
+        report.warnings.unshift(`left out ${fetched.dropped.length} fetched points without a value (${fetched.dropped.join(', ')})`);
+    }
+    if (report.errors.length > 0) {
+        await quarantineData(filePath, dataToSave, report);
+        const error = new Error(`${config.name} data failed validation and was quarantined: ${report.errors.join('; ')}`);
+        error.code = 'VALIDATION_FAILED';
+        error.validation = report;
+        throw error;
+    }
+
+    await storage.writeJson(filePath, dataToSave);
+
+    // A good refresh supersedes an earlier rejected one
+    await removeQuarantine(filePath);
+
+    return { data: dataToSave, mode, added, warnings: report.warnings };
+}
+
+module.exports = {
+    SERIES_FIELDS,
+    getSeriesFields,
+    fetchFromFRED,
+    fetchFromYahoo,
+    fetchDividendsFromYahoo,
+    calculateTotalReturn,
+    fetchSeries,
+    readIndicatorFile,
+    getIncrementalStartDate,
+    mergeSeries,
+    getQuarantinePath,
+    readQuarantine,
+    removeQuarantine,
+    refreshIndicatorData
+};
@@ -0,0 +1,123 @@
+// Momentum comparison (GET /api/data/momentum): every series rebased to 100
+// at a common baseline so their moves since then can be compared. The
+// endpoint puts the rebased series on one date axis with lib/alignment.js.
+
+/**
+ * Rebase a series to 100 at its baseline and keep the values from there on.
+ * The baseline is the last date on or before `baseline` (YYYY-MM-DD) or,
+ * without one, the date of the `period` preset (1m, 6m, 1y ... 5y); a series
+ * that starts later is rebased at its date closest to it.
+ * Returns { dates, values, baselineDate }.
+ */
+function calculateMomentum(dates, values, period = '1m', baseline = null) {
+    if (!dates || !values || dates.length === 0) {
+        console.log('calculateMomentum: No dates or values provided');
+        return { dates: [], values: [], baselineDate: null };
+    }
+
+    const today = new Date();
+    let targetDate;
+
+    // Calculate baseline date based on period
+    switch(baseline ? 'date' : period) {
+        case 'date':
+            targetDate = new Date(`${baseline}T00:00:00Z`);
+            break;
+        case '1m':
+            // Last day of the month before previous month (2 months ago)
+            targetDate = new Date(today.getFullYear(), today.getMonth() - 1, 0);
+            break;
+        case '6m':
+            // End of first month, 6 months ago
+            targetDate = new Date(today.getFullYear(), today.getMonth() - 6, 0);
+            break;
+        case '1y':
+            // End of first month, 1 year ago
+            targetDate = new Date(today.getFullYear() - 1, today.getMonth(), 0);
+            break;
+        case '2y':
+            // End of first month, 2 years ago
+            targetDate = new Date(today.getFullYear() - 2, today.getMonth(), 0);
+            break;
+        case '3y':
+            // End of first month, 3 years ago
+            targetDate = new Date(today.getFullYear() - 3, today.getMonth(), 0);
+            break;
+        case '4y':
+            // End of first month, 4 years ago
+            targetDate = new Date(today.getFullYear() - 4, today.getMonth(), 0);
+            break;
+        case '5y':
+            // End of first month, 5 years ago
+            targetDate = new Date(today.getFullYear() - 5, today.getMonth(), 0);
+            break;
+        default:
+            targetDate = new Date(today.getFullYear(), today.getMonth(), 0);
+    }
+
+    const baselineDate = targetDate.toISOString().split('T')[0];
+    console.log(`Looking for baseline date (${period}): ${baselineDate}`);
+
+    // Find the baseline value (closest date to or before last day of previous month)
+    let baselineIndex = -1;
+    let minDiff = Infinity;
+
+    for (let i = 0; i < dates.length; i++) {
+        const currentDate = new Date(dates[i]);
+        const targetDate = new Date(baselineDate);
+        const diff = targetDate - currentDate; // positive if current is before target
+
+        // Find the closest date that is on or before the baseline date
+        if (diff >= 0 && diff < minDiff) {
+            minDiff = diff;
+            baselineIndex = i;
+        }
+    }
+
+    console.log(`Baseline index found: ${baselineIndex} (out of ${dates.length} dates)`);
+
+    // If no baseline found before the target date, find the closest date after
+    if (baselineIndex === -1) {
+        console.log('No date before baseline found, looking for closest after...');
+        for (let i = 0; i < dates.length; i++) {
+            const currentDate = new Date(dates[i]);
+            const targetDate = new Date(baselineDate);
+            const diff = Math.abs(currentDate - targetDate);
+
+            if (diff < minDiff) {
+                minDiff = diff;
+                baselineIndex = i;
+            }
+        }
+    }
+
+    // If still no baseline found, return empty
+    if (baselineIndex === -1 || baselineIndex >= dates.length) {
+        console.log('Could not find valid baseline index');
+        return { dates: [], values: [] };
+    }
+
+    const baselineValue = values[baselineIndex];
+    console.log(`Baseline value at ${dates[baselineIndex]}: ${baselineValue}`);
+
+    // Normalize all values from baseline onwards to baseline = 100
+    const normalizedDates = [];
+    const normalizedValues = [];
+
+    for (let i = baselineIndex; i < dates.length; i++) {
+        normalizedDates.push(dates[i]);
+        normalizedValues.push((values[i] / baselineValue) * 100);
+    }
+
+    console.log(`Normalized ${normalizedDates.length} data points`);
+
+    return {
+        dates: normalizedDates,
+        values: normalizedValues,
+        baselineDate: dates[baselineIndex]
+    };
+}
+
+module.exports = {
+    calculateMomentum
+};
@@ -0,0 +1,330 @@
+// SQLite storage backend (STORAGE_BACKEND=sqlite), used through lib/storage.js
+// The server keeps addressing its data by the paths in DATA_FILES; each path is
+// mapped onto a table by its name relative to data/:
+// - <id>_data.json         -> indicators (one row per series) + observations (one row per date)
+// - estimates.json         -> estimates (archived = 0)
+// - estimates_archive.json -> estimates (archived = 1)
+// - news.json, *_news.json -> news_feeds + news (one row per article)
+// - anything else          -> documents (events, participants, rounds, quarantine/...)
+// Reads rebuild exactly the JSON the file backend would return, so routes do
+// not know which backend they run on. Requires the better-sqlite3 package.
+
+const path = require('path');
+
+const DEFAULT_DB_FILE = path.join(__dirname, '..', 'data', 'economic-charts.db');
+
+// Parallel arrays of an indicator file (SERIES_FIELDS in lib/market-data.js) and their columns
+const SERIES_COLUMNS = [
+    { field: 'values', column: 'value' },
+    { field: 'open', column: 'open' },
+    { field: 'high', column: 'high' },
+    { field: 'low', column: 'low' },
+    { field: 'adjClose', column: 'adj_close' },
+    { field: 'volume', column: 'volume' },
+    { field: 'totalReturn', column: 'total_return' }
+];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS indicators (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        source TEXT,
+        source_id TEXT,
+        last_updated TEXT,
+        fields TEXT NOT NULL,
+        extra TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS observations (
+        indicator TEXT NOT NULL REFERENCES indicators(id) ON DELETE CASCADE,
+        date TEXT NOT NULL,
+        value REAL,
+        open REAL,
+        high REAL,
+        low REAL,
+        adj_close REAL,
+        volume REAL,
+        total_return REAL,
+        PRIMARY KEY (indicator, date)
+    ) WITHOUT ROWID;
+    CREATE TABLE IF NOT EXISTS estimates (
+        archived INTEGER NOT NULL,
+        id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        target_month TEXT,
+        participant_id TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (archived, id)
+    );
+    CREATE INDEX IF NOT EXISTS estimates_by_month ON estimates (archived, target_month);
+    CREATE TABLE IF NOT EXISTS news_feeds (
+        file TEXT PRIMARY KEY,
+        meta TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS news (
+        file TEXT NOT NULL REFERENCES news_feeds(file) ON DELETE CASCADE,
+        section TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        article TEXT NOT NULL,
+        PRIMARY KEY (file, section, position)
+    );
+    CREATE TABLE IF NOT EXISTS documents (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+`;
+
+// Same error the file backend gives for a missing file, so callers handle both alike
+function notFound(name) {
+    const error = new Error(`No stored data for ${name}`);
+    error.code = 'ENOENT';
+    return error;
+}
+
+// What kind of data a path in data/ holds, and its key in that table
+function classify(dataDir, filePath) {
+    const name = path.relative(dataDir, path.resolve(filePath)).split(path.sep).join('/');
+    const series = name.match(/^([^/]+)_data\.json$/);
+    if (series) {
+        return { kind: 'series', name, id: series[1] };
+    }
+    if (name === 'estimates.json' || name === 'estimates_archive.json') {
+        return { kind: 'estimates', name, archived: name === 'estimates_archive.json' ? 1 : 0 };
+    }
+    if (/^([^/]+_)?news\.json$/.test(name)) {
+        return { kind: 'news', name };
+    }
+    return { kind: 'document', name };
+}
+
+/**
+ * Open (and create) the database. `dbFile` defaults to SQLITE_PATH or data/economic-charts.db.
+ */
+function createSqliteBackend({ dataDir, dbFile = process.env.SQLITE_PATH || DEFAULT_DB_FILE }) {
+    // Only needed when this backend is chosen, so the JSON setup has no native dependency
+    const Database = require('better-sqlite3');
+    const db = new Database(dbFile);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.exec(SCHEMA);
+
+    const statements = {
+        getIndicator: db.prepare('SELECT * FROM indicators WHERE id = ?'),
+        observations: db.prepare(`
+            SELECT * FROM observations
+            WHERE indicator = @id AND (@start IS NULL OR date >= @start) AND (@end IS NULL OR date <= @end)
+            ORDER BY date`),
+        upsertIndicator: db.prepare(`
+            INSERT INTO indicators (id, name, source, source_id, last_updated, fields, extra)
+            VALUES (@id, @name, @source, @sourceId, @lastUpdated, @fields, @extra)
+            ON CONFLICT (id) DO UPDATE SET name = excluded.name, source = excluded.source,
+                source_id = excluded.source_id, last_updated = excluded.last_updated,
+                fields = excluded.fields, extra = excluded.extra`),
+        clearObservations: db.prepare('DELETE FROM observations WHERE indicator = ?'),
+        insertObservation: db.prepare(`
+            INSERT INTO observations (indicator, date, ${SERIES_COLUMNS.map(c => c.column).join(', ')})
+            VALUES (@indicator, @date, ${SERIES_COLUMNS.map(c => `@${c.column}`).join(', ')})`),
+        deleteIndicator: db.prepare('DELETE FROM indicators WHERE id = ?'),
+
+        estimates: db.prepare('SELECT data FROM estimates WHERE archived = ? ORDER BY position'),
+        clearEstimates: db.prepare('DELETE FROM estimates WHERE archived = ?'),
+        insertEstimate: db.prepare(`
+            INSERT INTO estimates (archived, id, position, target_month, participant_id, data)
+            VALUES (@archived, @id, @position, @targetMonth, @participantId, @data)`),
+
+        getFeed: db.prepare('SELECT meta FROM news_feeds WHERE file = ?'),
+        articles: db.prepare('SELECT section, article FROM news WHERE file = ? ORDER BY section, position'),
+        upsertFeed: db.prepare('INSERT INTO news_feeds (file, meta) VALUES (?, ?) ON CONFLICT (file) DO UPDATE SET meta = excluded.meta'),
+        clearArticles: db.prepare('DELETE FROM news WHERE file = ?'),
+        insertArticle: db.prepare('INSERT INTO news (file, section, position, article) VALUES (?, ?, ?, ?)'),
+        deleteFeed: db.prepare('DELETE FROM news_feeds WHERE file = ?'),
+
+        getDocument: db.prepare('SELECT data FROM documents WHERE name = ?'),
+        upsertDocument: db.prepare(`
+            INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`),
+        deleteDocument: db.prepare('DELETE FROM documents WHERE name = ?')
+    };
+
+    function readSeries(target, start = null, end = null) {
+        const row = statements.getIndicator.get(target.id);
+        if (!row) {
+            throw notFound(target.name);
+        }
+        const fields = JSON.parse(row.fields);
+        const columns = SERIES_COLUMNS.filter(c => fields.includes(c.field));
+
+        const data = {
+            lastUpdated: row.last_updated,
+            indicator: target.id,
+            name: row.name,
+            source: row.source,
+            sourceId: row.source_id,
+            dates: []
+        };
+        columns.forEach(c => { data[c.field] = []; });
+        for (const observation of statements.observations.all({ id: target.id, start, end })) {
+            data.dates.push(observation.date);
+            columns.forEach(c => data[c.field].push(observation[c.column]));
+        }
+        return { ...data, ...JSON.parse(row.extra) };
+    }
+
+    const writeSeries = db.transaction((target, data) => {
+        const fields = SERIES_COLUMNS.map(c => c.field).filter(field => Array.isArray(data[field]));
+        const extra = {};
+        for (const [key, value] of Object.entries(data)) {
+            if (!['lastUpdated', 'indicator', 'name', 'source', 'sourceId', 'dates'].includes(key) && !fields.includes(key)) {
+                extra[key] = value;
+            }
+        }
+
+        statements.upsertIndicator.run({
+            id: target.id,
+            name: data.name || null,
+            source: data.source || null,
+            sourceId: data.sourceId || null,
+            lastUpdated: data.lastUpdated || null,
+            fields: JSON.stringify(fields),
+            extra: JSON.stringify(extra)
+        });
+        statements.clearObservations.run(target.id);
+        data.dates.forEach((date, i) => {
+            const row = { indicator: target.id, date };
+            SERIES_COLUMNS.forEach(c => {
+                const value = fields.includes(c.field) ? data[c.field][i] : null;
+                row[c.column] = typeof value === 'number' ? value : null;
+            });
+            statements.insertObservation.run(row);
+        });
+    });
+
+    function readEstimates(target) {
+        // writeEstimates() leaves a marker document, so an empty list still exists
+        if (!statements.getDocument.get(target.name)) {
+            throw notFound(target.name);
+        }
+        return statements.estimates.all(target.archived).map(row => JSON.parse(row.data));
+    }
+
+    // Ids are unique per list: a duplicate fails the whole write (the transaction
+    // rolls back) instead of one estimate silently replacing another
+    const writeEstimates = db.transaction((target, estimates) => {
+        statements.clearEstimates.run(target.archived);
+        estimates.forEach((estimate, position) => {
+            statements.insertEstimate.run({
+                id: estimate.id,
+                archived: target.archived,
+                position: position,
+                targetMonth: estimate.targetMonth || null,
+                participantId: estimate.participantId || null,
+                data: JSON.stringify(estimate)
+            });
+        });
+        // Marks the list as existing even when it is empty
+        statements.upsertDocument.run(target.name, '[]', new Date().toISOString());
+    });
+
+    function readNews(target) {
+        const feed = statements.getFeed.get(target.name);
+        if (!feed) {
+            throw notFound(target.name);
+        }
+        const { sections, ...meta } = JSON.parse(feed.meta);
+        const news = { ...meta };
+        sections.forEach(section => { news[section] = []; });
+        for (const row of statements.articles.all(target.name)) {
+            news[row.section].push(JSON.parse(row.article));
+        }
+        return news;
+    }
+
+    const writeNews = db.transaction((target, news) => {
+        const meta = { sections: [] };
+        for (const [key, value] of Object.entries(news)) {
+            if (Array.isArray(value)) {
+                meta.sections.push(key);
+            } else {
+                meta[key] = value;
+            }
+        }
+        statements.upsertFeed.run(target.name, JSON.stringify(meta));
+        statements.clearArticles.run(target.name);
+        meta.sections.forEach(section => {
+            news[section].forEach((article, position) => {
+                statements.insertArticle.run(target.name, section, position, JSON.stringify(article));
+            });
+        });
+    });
+
+    return {
+        name: 'sqlite',
+
+        async read(filePath) {
+            const target = classify(dataDir, filePath);
+            if (target.kind === 'series') {
+                return readSeries(target);
+            }
+            if (target.kind === 'estimates') {
+                return readEstimates(target);
+            }
+            if (target.kind === 'news') {
+                return readNews(target);
+            }
+            const row = statements.getDocument.get(target.name);
+            if (!row) {
+                throw notFound(target.name);
+            }
+            return JSON.parse(row.data);
+        },
+
+        // Observations between two dates (inclusive, either may be null) straight from the index
+        async readSeries(filePath, { start = null, end = null } = {}) {
+            const target = classify(dataDir, filePath);
+            if (target.kind !== 'series') {
+                throw new Error(`${target.name} is not a series`);
+            }
+            return readSeries(target, start, end);
+        },
+
+        async write(filePath, data) {
+            const target = classify(dataDir, filePath);
+            if (target.kind === 'series') {
+                writeSeries(target, data);
+            } else if (target.kind === 'estimates') {
+                writeEstimates(target, data);
+            } else if (target.kind === 'news') {
+                writeNews(target, data);
+            } else {
+                statements.upsertDocument.run(target.name, JSON.stringify(data), new Date().toISOString());
+            }
+        },
+
+        async remove(filePath) {
+            const target = classify(dataDir, filePath);
+            if (target.kind === 'series') {
+                return statements.deleteIndicator.run(target.id).changes > 0;
+            }
+            if (target.kind === 'estimates') {
+                const removed = db.transaction(() => {
+                    statements.clearEstimates.run(target.archived);
+                    return statements.deleteDocument.run(target.name).changes > 0;
+                })();
+                return removed;
+            }
+            if (target.kind === 'news') {
+                return statements.deleteFeed.run(target.name).changes > 0;
+            }
+            return statements.deleteDocument.run(target.name).changes > 0;
+        },
+
+        close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_DB_FILE,
+    createSqliteBackend
+};
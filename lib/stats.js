@@ -0,0 +1,213 @@
+// Risk and return statistics for one price series
+// Returns are simple period-over-period changes of the stored values. The
+// number of observations per year is taken from the data itself, so daily
+// Yahoo/FRED series and sparser series are annualized correctly.
+// Percentages are returned as percent (12.3 = 12.3%).
+
+// Annual risk-free rate (percent) used by the Sharpe and Sortino ratios
+const RISK_FREE_RATE = 0;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+function round(value, digits = 2) {
+    return value === null || !isFinite(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function stdev(values) {
+    if (values.length < 2) {
+        return null;
+    }
+    const avg = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1));
+}
+
+function isValue(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Returns and drawdowns are ratios of values, so they need a series that stays
+ * above zero, like a price or an index. Returns an error message for a series
+ * with zero or negative values (a yield spread, a negative oil tick), or null.
+ */
+function checkPriceSeries(values) {
+    return values.some(value => isValue(value) && value <= 0)
+        ? 'has zero or negative values; returns and drawdowns need a series of prices'
+        : null;
+}
+
+// Drop missing values (FRED gaps)
+function cleanSeries(dates, values) {
+    const clean = { dates: [], values: [] };
+    dates.forEach((date, i) => {
+        if (isValue(values[i])) {
+            clean.dates.push(date);
+            clean.values.push(values[i]);
+        }
+    });
+    return clean;
+}
+
+function daysBetween(from, to) {
+    return Math.round((new Date(to) - new Date(from)) / DAY_MS);
+}
+
+/**
+ * Drawdown from the running peak at every point (percent, 0 at a new high)
+ * and every drawdown episode: peak, trough and recovery (back to the peak)
+ * dates, depth and durations in calendar days. An episode that has not
+ * recovered by the last date has `recovery: null` and runs to the end.
+ * Episodes are sorted deepest first. Check the series with checkPriceSeries first.
+ */
+function calculateDrawdowns(rawDates, rawValues) {
+    const { dates, values } = cleanSeries(rawDates, rawValues);
+    const drawdowns = [];
+    const episodes = [];
+    let peakIndex = 0;
+    let episode = null;
+
+    for (let i = 0; i < values.length; i++) {
+        if (values[i] >= values[peakIndex]) {
+            if (episode) {
+                episode.recovery = dates[i];
+                episodes.push(episode);
+                episode = null;
+            }
+            peakIndex = i;
+            drawdowns.push(0);
+            continue;
+        }
+
+        const drawdown = (values[i] / values[peakIndex] - 1) * 100;
+        drawdowns.push(round(drawdown, 4));
+        if (!episode) {
+            episode = { peak: dates[peakIndex], trough: dates[i], recovery: null, depth: drawdown };
+        } else if (drawdown < episode.depth) {
+            episode.trough = dates[i];
+            episode.depth = drawdown;
+        }
+    }
+    if (episode) {
+        episodes.push(episode);
+    }
+
+    const lastDate = dates[dates.length - 1];
+    return {
+        dates: dates,
+        values: drawdowns,
+        episodes: episodes
+            .map(e => ({
+                peak: e.peak,
+                trough: e.trough,
+                recovery: e.recovery,
+                depth: round(e.depth),
+                daysToTrough: daysBetween(e.peak, e.trough),
+                daysToRecover: e.recovery ? daysBetween(e.trough, e.recovery) : null,
+                days: daysBetween(e.peak, e.recovery || lastDate)
+            }))
+            .sort((a, b) => a.depth - b.depth)
+    };
+}
+
+// Largest peak-to-trough fall, with the dates of the peak, the trough and the
+// recovery back to the peak (null while still under water)
+function calculateMaxDrawdown(dates, values) {
+    const worst = calculateDrawdowns(dates, values).episodes[0];
+    if (!worst) {
+        return { value: 0, peakDate: null, troughDate: null, recoveryDate: null };
+    }
+    return { value: worst.depth, peakDate: worst.peak, troughDate: worst.trough, recoveryDate: worst.recovery };
+}
+
+// Month-over-month changes between month-end values; the first month in the
+// range has no month-end before it and is left out
+function calculateMonthlyReturns(dates, values) {
+    const monthEnds = [];
+    for (let i = 0; i < dates.length; i++) {
+        const month = dates[i].substring(0, 7);
+        if (monthEnds.length > 0 && monthEnds[monthEnds.length - 1].month === month) {
+            monthEnds[monthEnds.length - 1].value = values[i];
+        } else {
+            monthEnds.push({ month, value: values[i] });
+        }
+    }
+
+    const returns = [];
+    for (let i = 1; i < monthEnds.length; i++) {
+        returns.push({ month: monthEnds[i].month, value: (monthEnds[i].value / monthEnds[i - 1].value - 1) * 100 });
+    }
+    return returns;
+}
+
+function extreme(returns, key, pickHighest) {
+    if (returns.length === 0) {
+        return null;
+    }
+    const best = returns.reduce((a, b) => ((pickHighest ? b.value > a.value : b.value < a.value) ? b : a));
+    return { [key]: best[key], value: round(best.value) };
+}
+
+/**
+ * Statistics for a series between its first and last date (check it with
+ * checkPriceSeries first). Returns null when there are fewer than two usable points.
+ */
+function calculateStats(dates, values, { riskFreeRate = RISK_FREE_RATE } = {}) {
+    const { dates: cleanDates, values: cleanValues } = cleanSeries(dates, values);
+    const points = cleanDates.map((date, i) => ({ date, value: cleanValues[i] }));
+    if (points.length < 2) {
+        return null;
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const years = (new Date(last.date) - new Date(first.date)) / YEAR_MS;
+
+    const dailyReturns = [];
+    for (let i = 1; i < points.length; i++) {
+        dailyReturns.push({ date: points[i].date, value: (points[i].value / points[i - 1].value - 1) * 100 });
+    }
+    const returnValues = dailyReturns.map(r => r.value / 100);
+    const periodsPerYear = years > 0 ? dailyReturns.length / years : null;
+
+    // Annualized mean return, volatility and downside deviation (as fractions)
+    const annualReturn = periodsPerYear ? mean(returnValues) * periodsPerYear : null;
+    const sd = stdev(returnValues);
+    const volatility = sd !== null && periodsPerYear ? sd * Math.sqrt(periodsPerYear) : null;
+    const downside = Math.sqrt(returnValues.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / returnValues.length);
+    const downsideDeviation = periodsPerYear ? downside * Math.sqrt(periodsPerYear) : null;
+    const excessReturn = annualReturn !== null ? annualReturn - riskFreeRate / 100 : null;
+
+    const monthlyReturns = calculateMonthlyReturns(cleanDates, cleanValues);
+    const positiveMonths = monthlyReturns.filter(r => r.value > 0).length;
+
+    return {
+        start: first.date,
+        end: last.date,
+        observations: points.length,
+        totalReturn: round((last.value / first.value - 1) * 100),
+        cagr: years > 0 ? round((Math.pow(last.value / first.value, 1 / years) - 1) * 100) : null,
+        volatility: volatility !== null ? round(volatility * 100) : null,
+        maxDrawdown: calculateMaxDrawdown(cleanDates, cleanValues),
+        sharpe: volatility ? round(excessReturn / volatility) : null,
+        sortino: downsideDeviation ? round(excessReturn / downsideDeviation) : null,
+        riskFreeRate: riskFreeRate,
+        bestDay: extreme(dailyReturns, 'date', true),
+        worstDay: extreme(dailyReturns, 'date', false),
+        bestMonth: extreme(monthlyReturns, 'month', true),
+        worstMonth: extreme(monthlyReturns, 'month', false),
+        positiveMonths: monthlyReturns.length > 0 ? round(positiveMonths / monthlyReturns.length, 4) : null,
+        months: monthlyReturns.length
+    };
+}
+
+module.exports = {
+    RISK_FREE_RATE,
+    checkPriceSeries,
+    calculateStats,
+    calculateDrawdowns
+};
@@ -0,0 +1,225 @@
+// Data storage shared by the server and the update scripts
+// Callers address data by its file path in data/ (DATA_FILES) whatever the backend:
+// - json (default): the files themselves, which GitHub Pages serves directly
+// - sqlite: one database file (lib/sqlite-store.js), set STORAGE_BACKEND=sqlite
+// JSON backend:
+// - A write goes to a temp file that is renamed over the target, so a crash in
+//   the middle of a write never leaves truncated JSON behind.
+// - The previous version is kept as <file>.bak; a file that cannot be parsed is
+//   read from its backup instead.
+// Both backends:
+// - Writes to one file run one after another, and updateJson() runs a whole
+//   read-modify-write in that queue, so two requests at the same moment cannot
+//   overwrite each other's changes. (This covers one process; the server and the
+//   update scripts are not meant to write the same file at the same time.)
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const BACKENDS = ['json', 'sqlite'];
+
+// Pending work per file path: the promise the next task waits for
+const queues = new Map();
+
+// Backend chosen by STORAGE_BACKEND, created on first use
+let activeBackend = null;
+
+function backupPath(filePath) {
+    return `${filePath}.bak`;
+}
+
+// Run `task` after every task already queued for the file, whether they failed or not
+function enqueue(filePath, task) {
+    const key = path.resolve(filePath);
+    const previous = queues.get(key) || Promise.resolve();
+    const result = previous.then(task, task);
+    const tail = result.catch(() => {});
+    queues.set(key, tail);
+    tail.then(() => {
+        if (queues.get(key) === tail) {
+            queues.delete(key);
+        }
+    });
+    return result;
+}
+
+async function parseFile(filePath) {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+async function isValidJson(filePath) {
+    try {
+        await parseFile(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Only the points of a series between start and end (inclusive, either may be null)
+function sliceSeries(data, start, end) {
+    const keep = data.dates.map(date => (!start || date >= start) && (!end || date <= end));
+    const sliced = { ...data };
+    for (const [field, value] of Object.entries(data)) {
+        if (Array.isArray(value) && value.length === data.dates.length) {
+            sliced[field] = value.filter((item, i) => keep[i]);
+        }
+    }
+    return sliced;
+}
+
+// The JSON files in data/
+const jsonBackend = {
+    name: 'json',
+
+    async read(filePath) {
+        try {
+            return await parseFile(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw error;
+            }
+            try {
+                const data = await parseFile(backupPath(filePath));
+                console.warn(`${path.basename(filePath)} is unreadable (${error.message}) - using its backup`);
+                return data;
+            } catch (backupError) {
+                throw error;
+            }
+        }
+    },
+
+    async readSeries(filePath, { start = null, end = null } = {}) {
+        return sliceSeries(await jsonBackend.read(filePath), start, end);
+    },
+
+    async write(filePath, data) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        // Only a good version becomes the backup, so a corrupt file cannot replace it
+        if (await isValidJson(filePath)) {
+            await fs.copyFile(filePath, backupPath(filePath));
+        }
+        await fs.rename(tempPath, filePath);
+    },
+
+    async remove(filePath) {
+        try {
+            await fs.unlink(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+        await fs.rm(backupPath(filePath), { force: true });
+        return true;
+    }
+};
+
+/**
+ * Create a backend by name ('json' or 'sqlite'); the migration script uses two at once.
+ */
+function createBackend(name, options = {}) {
+    if (name === 'json') {
+        return jsonBackend;
+    }
+    if (name === 'sqlite') {
+        const { createSqliteBackend } = require('./sqlite-store');
+        return createSqliteBackend({ dataDir: DATA_DIR, ...options });
+    }
+    throw new Error(`Unknown storage backend "${name}" (use one of: ${BACKENDS.join(', ')})`);
+}
+
+function getBackend() {
+    if (!activeBackend) {
+        activeBackend = createBackend(process.env.STORAGE_BACKEND || 'json');
+        if (activeBackend.name !== 'json') {
+            console.log(`Using ${activeBackend.name} storage`);
+        }
+    }
+    return activeBackend;
+}
+
+/**
+ * Read stored JSON data.
+ * Missing data returns `fallback`, or throws an ENOENT error when no fallback is
+ * given. Unreadable data (a corrupt file without a usable backup) also returns
+ * `fallback`, or throws.
+ */
+async function readJson(filePath, fallback) {
+    try {
+        return await getBackend().read(filePath);
+    } catch (error) {
+        if (fallback === undefined) {
+            throw error;
+        }
+        if (error.code !== 'ENOENT') {
+            console.error(`${path.basename(filePath)} is unreadable (${error.message}) and has no usable backup`);
+        }
+        return fallback;
+    }
+}
+
+/**
+ * Read an indicator series with only the dates in [start, end] (either may be null).
+ * The SQLite backend answers this from its date index instead of loading the whole history.
+ */
+function readSeries(filePath, range = {}) {
+    return getBackend().readSeries(filePath, range);
+}
+
+/**
+ * Store `data` (pretty-printed like every file in data/ with the JSON backend),
+ * after any write already queued for the same file.
+ */
+function writeJson(filePath, data) {
+    return enqueue(filePath, () => getBackend().write(filePath, data));
+}
+
+/**
+ * Read-modify-write stored data without interleaving with other writes to it.
+ * `updater(data)` may change `data` in place or return a replacement; when it
+ * returns `false` nothing is written. Resolves to the data as saved (or as read,
+ * when nothing was written).
+ */
+function updateJson(filePath, fallback, updater) {
+    return enqueue(filePath, async () => {
+        const data = await readJson(filePath, fallback);
+        const result = await updater(data);
+        if (result === false) {
+            return data;
+        }
+        const updated = result === undefined ? data : result;
+        await getBackend().write(filePath, updated);
+        return updated;
+    });
+}
+
+/**
+ * Delete stored data (after any queued write). Resolves to false if there was none.
+ */
+function removeJson(filePath) {
+    return enqueue(filePath, () => getBackend().remove(filePath));
+}
+
+module.exports = {
+    DATA_DIR,
+    BACKENDS,
+    createBackend,
+    readJson,
+    readSeries,
+    writeJson,
+    updateJson,
+    removeJson
+};
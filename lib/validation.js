@@ -0,0 +1,211 @@
+// Validation gate for refreshed indicator data
+// A refresh is checked before it replaces the stored file, so that a truncated
+// provider response or a bad pull cannot silently overwrite years of history.
+// Problems are split into:
+// - errors:   the refresh is rejected and quarantined (see lib/market-data.js)
+// - warnings: the refresh is saved, and the warning is reported with it
+// Gaps and jumps are only checked on the points after the stored data, since the
+// stored history was accepted before (and does contain real crashes and closures).
+
+// Thresholds; a catalog entry may override any of them with a `validation` object
+const VALIDATION_DEFAULTS = {
+    jumpSigma: 12,       // Largest accepted move, in standard deviations of the stored moves
+    maxShrink: 0.01,     // Share of stored points a refresh may drop (providers revise a few days)
+    maxMissing: 0.05,    // Share of fetched points that may come without a value (one day always may)
+    gapDays: { daily: 14, monthly: 62 },    // Largest accepted gap between two new dates
+    staleDays: { daily: 10, monthly: 120 }  // Age of the last date that triggers a warning
+};
+
+// Series fields that must hold a number on every date (bar fields may be null).
+// Fetched points without a value are dropped before this check (dropMissingValues).
+const REQUIRED_NUMERIC_FIELDS = ['values', 'totalReturn'];
+
+function toTime(dateStr) {
+    return new Date(`${dateStr}T00:00:00Z`).getTime();
+}
+
+function daysBetween(from, to) {
+    return Math.round((toTime(to) - toTime(from)) / 86400000);
+}
+
+function isValidDate(date) {
+    return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(toTime(date));
+}
+
+// Daily or monthly, from the median spacing of the dates
+function detectFrequency(dates) {
+    const gaps = [];
+    for (let i = 1; i < dates.length; i++) {
+        gaps.push(daysBetween(dates[i - 1], dates[i]));
+    }
+    if (gaps.length === 0) {
+        return 'daily';
+    }
+    gaps.sort((a, b) => a - b);
+    return gaps[Math.floor(gaps.length / 2)] > 20 ? 'monthly' : 'daily';
+}
+
+// Day-to-day moves: log returns, or plain differences for series that reach zero
+// or below (yields, WTI in April 2020)
+function moves(values, logScale) {
+    const result = [];
+    for (let i = 1; i < values.length; i++) {
+        result.push(logScale ? Math.log(values[i] / values[i - 1]) : values[i] - values[i - 1]);
+    }
+    return result;
+}
+
+/**
+ * How old the last observation of a series is, against the staleness limit of its frequency.
+ * Returns `{ frequency, lastDate, ageDays, stale }` (also used by GET /api/health).
+ */
+function checkFreshness(dates, staleDays = VALIDATION_DEFAULTS.staleDays, now = new Date().toISOString().split('T')[0]) {
+    const frequency = detectFrequency(dates);
+    const lastDate = dates[dates.length - 1];
+    const ageDays = daysBetween(lastDate, now);
+    return { frequency, lastDate, ageDays, stale: ageDays > staleDays[frequency] };
+}
+
+/**
+ * Drop the fetched points that have no value (Yahoo now and then returns a null
+ * close for a single day). Returns `{ data, dropped, error }`: `dropped` lists
+ * the dates left out, and `error` is set when more than `maxMissing` of the
+ * points had no value, which points at a broken response rather than a bad day.
+ */
+function dropMissingValues(data, maxMissing = VALIDATION_DEFAULTS.maxMissing) {
+    const dates = Array.isArray(data.dates) ? data.dates : [];
+    const values = Array.isArray(data.values) ? data.values : [];
+    const keep = dates.map((date, i) => typeof values[i] === 'number' && isFinite(values[i]));
+    const dropped = dates.filter((date, i) => !keep[i]);
+    if (dropped.length === 0) {
+        return { data, dropped, error: null };
+    }
+
+    const cleaned = { ...data };
+    for (const [field, column] of Object.entries(data)) {
+        if (Array.isArray(column) && column.length === dates.length) {
+            cleaned[field] = column.filter((value, i) => keep[i]);
+        }
+    }
+
+    const error = dropped.length > 1 && dropped.length > dates.length * maxMissing
+        ? `${dropped.length} of ${dates.length} fetched points have no value (first on ${dropped[0]})`
+        : null;
+    return { data: cleaned, dropped, error };
+}
+
+function standardDeviation(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+/**
+ * Check refreshed data (`{ dates, values, ... }`) against the stored file (or null).
+ * `now` is the reference date for the staleness check (YYYY-MM-DD).
+ * Returns `{ errors, warnings }`, both lists of human-readable reasons.
+ */
+function validateSeries(data, stored, options = {}, now = new Date().toISOString().split('T')[0]) {
+    const limits = {
+        ...VALIDATION_DEFAULTS,
+        ...options,
+        gapDays: { ...VALIDATION_DEFAULTS.gapDays, ...options.gapDays },
+        staleDays: { ...VALIDATION_DEFAULTS.staleDays, ...options.staleDays }
+    };
+    const errors = [];
+    const warnings = [];
+    const dates = Array.isArray(data.dates) ? data.dates : [];
+
+    if (dates.length === 0) {
+        return { errors: ['the provider returned no data points'], warnings };
+    }
+
+    // Dates must be real dates in strictly ascending order
+    const badDate = dates.findIndex((date, i) => !isValidDate(date) || (i > 0 && date <= dates[i - 1]));
+    if (badDate !== -1) {
+        errors.push(`dates are not valid and ascending at position ${badDate} (${dates[badDate]})`);
+        return { errors, warnings };
+    }
+
+    // Every required field must be a finite number on every date
+    for (const field of REQUIRED_NUMERIC_FIELDS) {
+        if (field !== 'values' && !Array.isArray(data[field])) {
+            continue;
+        }
+        const column = data[field] || [];
+        if (column.length !== dates.length) {
+            errors.push(`${field} has ${column.length} points for ${dates.length} dates`);
+            continue;
+        }
+        const bad = column.map((value, i) => i).filter(i => typeof column[i] !== 'number' || !isFinite(column[i]));
+        if (bad.length > 0) {
+            errors.push(`${bad.length} non-numeric ${field} (first on ${dates[bad[0]]})`);
+        }
+    }
+    if (errors.length > 0) {
+        return { errors, warnings };
+    }
+
+    const storedDates = stored && Array.isArray(stored.dates) ? stored.dates : [];
+    const frequency = detectFrequency(storedDates.length > 1 ? storedDates : dates);
+
+    if (storedDates.length > 0) {
+        // The refresh must not lose history
+        const minLength = Math.floor(storedDates.length * (1 - limits.maxShrink));
+        if (dates.length < minLength) {
+            errors.push(`history shrank from ${storedDates.length} to ${dates.length} points`);
+        }
+        if (dates[0] > storedDates[0]) {
+            errors.push(`history now starts on ${dates[0]} instead of ${storedDates[0]}`);
+        }
+        const storedLast = storedDates[storedDates.length - 1];
+        if (dates[dates.length - 1] < storedLast) {
+            errors.push(`last date ${dates[dates.length - 1]} is older than the stored ${storedLast}`);
+        }
+    }
+
+    // Gaps and jumps on the new points, including the step from the last stored one.
+    // A first download has nothing to protect and is taken as it comes.
+    const storedLast = storedDates.length > 0 ? storedDates[storedDates.length - 1] : null;
+    const firstNew = storedLast ? dates.findIndex(date => date > storedLast) : -1;
+    if (firstNew > 0) {
+        const maxGap = limits.gapDays[frequency];
+        for (let i = firstNew; i < dates.length; i++) {
+            const gap = daysBetween(dates[i - 1], dates[i]);
+            if (gap > maxGap) {
+                errors.push(`${gap}-day gap between ${dates[i - 1]} and ${dates[i]} (limit ${maxGap} for ${frequency} data)`);
+                break;
+            }
+        }
+
+        // Spread of the moves the series has made so far
+        const history = stored.values.filter(v => typeof v === 'number');
+        const logScale = history.every(v => v > 0) && data.values.every(v => v > 0);
+        const sigma = history.length > 20 ? standardDeviation(moves(history, logScale)) : 0;
+        const changes = moves(data.values, logScale);
+        if (sigma > 0) {
+            for (let i = firstNew; i < dates.length; i++) {
+                const size = Math.abs(changes[i - 1]) / sigma;
+                if (size > limits.jumpSigma) {
+                    errors.push(`${dates[i]}: move of ${size.toFixed(1)} standard deviations from ${data.values[i - 1]} to ${data.values[i]} (limit ${limits.jumpSigma})`);
+                    break;
+                }
+            }
+        }
+    }
+
+    // Old data is no worse than what is stored, so it is saved but flagged
+    const freshness = checkFreshness(dates, limits.staleDays, now);
+    if (freshness.stale) {
+        warnings.push(`last date ${freshness.lastDate} is ${freshness.ageDays} days old`);
+    }
+
+    return { errors, warnings };
+}
+
+module.exports = {
+    VALIDATION_DEFAULTS,
+    detectFrequency,
+    checkFreshness,
+    dropMissingValues,
+    validateSeries
+};
@@ -0,0 +1,312 @@
+// Technical overlays (moving averages, Bollinger bands, RSI, MACD) shared by the US and Japan dashboards
+// Overlays are calculated on the full history of a series and then cut to the
+// visible range, so a 200-day average is already defined on the first plotted day.
+
+class IndicatorOverlays {
+    /**
+     * Overlay settings for one indicator card, as saved in localStorage
+     */
+    static load(indicator) {
+        const saved = IndicatorOverlays.loadAll()[indicator] || {};
+        return { ...IndicatorOverlays.DEFAULTS, ...saved };
+    }
+
+    static loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(IndicatorOverlays.STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static save(indicator, settings) {
+        const all = IndicatorOverlays.loadAll();
+        all[indicator] = settings;
+        localStorage.setItem(IndicatorOverlays.STORAGE_KEY, JSON.stringify(all));
+    }
+
+    /**
+     * Parse a comma-separated list of moving average windows ("20, 50") into whole numbers
+     */
+    static parseWindows(text) {
+        return String(text)
+            .split(',')
+            .map(part => parseInt(part, 10))
+            .filter(window => window >= 2 && window <= 500)
+            .slice(0, 4);
+    }
+
+    /**
+     * Overlay controls for a chart card, pre-filled with the saved settings.
+     * Recession shading and event markers (see annotations.js) are switched on here as well.
+     * Every input has the `indicator-overlay` class so the dashboards can listen for changes.
+     */
+    static renderControls(indicator) {
+        const s = IndicatorOverlays.load(indicator);
+        const input = (name, attrs) => `class="indicator-overlay" data-indicator="${indicator}" data-overlay="${name}" ${attrs}`;
+
+        return `
+            <details class="indicator-picker overlay-picker">
+                <summary>Overlays</summary>
+                <div class="indicator-picker-list overlay-list">
+                    <label><input type="checkbox" ${input('sma', s.sma ? 'checked' : '')}> SMA
+                        <input type="text" size="7" ${input('smaWindows', `value="${s.smaWindows.join(', ')}"`)}></label>
+                    <label><input type="checkbox" ${input('ema', s.ema ? 'checked' : '')}> EMA
+                        <input type="text" size="7" ${input('emaWindows', `value="${s.emaWindows.join(', ')}"`)}></label>
+                    <label><input type="checkbox" ${input('bollinger', s.bollinger ? 'checked' : '')}> Bollinger
+                        <input type="number" min="2" max="500" ${input('bollingerWindow', `value="${s.bollingerWindow}"`)}></label>
+                    <label>Lower pane:
+                        <select ${input('lower', '')}>
+                            <option value="none" ${s.lower === 'none' ? 'selected' : ''}>None</option>
+                            <option value="rsi" ${s.lower === 'rsi' ? 'selected' : ''}>RSI (${s.rsiWindow})</option>
+                            <option value="macd" ${s.lower === 'macd' ? 'selected' : ''}>MACD (12, 26, 9)</option>
+                        </select></label>
+                    <label><input type="checkbox" ${input('recessions', s.recessions ? 'checked' : '')}> Recessions</label>
+                    <label><input type="checkbox" ${input('events', s.events ? 'checked' : '')}> Events</label>
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * Read the overlay controls of a card back into a settings object
+     */
+    static readControls(indicator) {
+        const settings = IndicatorOverlays.load(indicator);
+        document.querySelectorAll(`.indicator-overlay[data-indicator="${indicator}"]`).forEach(el => {
+            const name = el.getAttribute('data-overlay');
+            if (el.type === 'checkbox') {
+                settings[name] = el.checked;
+            } else if (name === 'smaWindows' || name === 'emaWindows') {
+                const windows = IndicatorOverlays.parseWindows(el.value);
+                settings[name] = windows.length > 0 ? windows : IndicatorOverlays.DEFAULTS[name];
+            } else if (name === 'bollingerWindow') {
+                settings[name] = IndicatorOverlays.parseWindows(el.value)[0] || IndicatorOverlays.DEFAULTS.bollingerWindow;
+            } else {
+                settings[name] = el.value;
+            }
+        });
+        return settings;
+    }
+
+    /**
+     * Simple moving average; null until `window` values are available
+     */
+    static sma(values, window) {
+        const result = [];
+        let sum = 0;
+        values.forEach((value, i) => {
+            sum += value;
+            if (i >= window) {
+                sum -= values[i - window];
+            }
+            result.push(i >= window - 1 ? sum / window : null);
+        });
+        return result;
+    }
+
+    /**
+     * Exponential moving average, seeded with the simple average of the first `window` values
+     */
+    static ema(values, window) {
+        const result = [];
+        const k = 2 / (window + 1);
+        let previous = null;
+        // Leading nulls are skipped, so the MACD signal line can be smoothed too
+        let seeded = 0;
+        let seedSum = 0;
+        values.forEach(value => {
+            if (value === null) {
+                result.push(null);
+                return;
+            }
+            if (previous === null) {
+                seeded++;
+                seedSum += value;
+                if (seeded === window) {
+                    previous = seedSum / window;
+                }
+                result.push(previous);
+                return;
+            }
+            previous = value * k + previous * (1 - k);
+            result.push(previous);
+        });
+        return result;
+    }
+
+    /**
+     * Bollinger bands: the `window` SMA plus and minus `width` standard deviations
+     */
+    static bollinger(values, window, width = 2) {
+        const middle = IndicatorOverlays.sma(values, window);
+        const upper = [];
+        const lower = [];
+        middle.forEach((avg, i) => {
+            if (avg === null) {
+                upper.push(null);
+                lower.push(null);
+                return;
+            }
+            const slice = values.slice(i - window + 1, i + 1);
+            const sd = Math.sqrt(slice.reduce((sum, v) => sum + (v - avg) ** 2, 0) / window);
+            upper.push(avg + width * sd);
+            lower.push(avg - width * sd);
+        });
+        return { middle, upper, lower };
+    }
+
+    /**
+     * Relative strength index with Wilder's smoothing (0-100)
+     */
+    static rsi(values, window = 14) {
+        const result = [null];
+        let avgGain = 0;
+        let avgLoss = 0;
+        for (let i = 1; i < values.length; i++) {
+            const change = values[i] - values[i - 1];
+            const gain = Math.max(change, 0);
+            const loss = Math.max(-change, 0);
+            if (i <= window) {
+                avgGain += gain / window;
+                avgLoss += loss / window;
+            } else {
+                avgGain = (avgGain * (window - 1) + gain) / window;
+                avgLoss = (avgLoss * (window - 1) + loss) / window;
+            }
+            if (i < window) {
+                result.push(null);
+            } else {
+                result.push(avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * MACD line (fast EMA - slow EMA), its signal EMA and the histogram between them
+     */
+    static macd(values, fast = 12, slow = 26, signal = 9) {
+        const fastEma = IndicatorOverlays.ema(values, fast);
+        const slowEma = IndicatorOverlays.ema(values, slow);
+        const line = fastEma.map((f, i) => (f === null || slowEma[i] === null ? null : f - slowEma[i]));
+        const signalLine = IndicatorOverlays.ema(line, signal);
+        const histogram = line.map((m, i) => (m === null || signalLine[i] === null ? null : m - signalLine[i]));
+        return { line, signal: signalLine, histogram };
+    }
+
+    /**
+     * Plotly traces for the selected overlays.
+     * `series` is the full history ({ dates, values }); only points on or after `startDate` are returned.
+     * Returns `{ traces, lower }` where `lower` is `{ title, traces, range, levels }` for the
+     * RSI/MACD subplot, or null.
+     */
+    static build(series, settings, startDate) {
+        // Calculate on the observed points only and put gaps (null values) back afterwards
+        const points = [];
+        series.values.forEach((value, i) => {
+            if (typeof value === 'number') {
+                points.push(i);
+            }
+        });
+        const values = points.map(i => series.values[i]);
+        const expand = calculated => {
+            const full = series.dates.map(() => null);
+            points.forEach((index, k) => {
+                full[index] = calculated[k];
+            });
+            return full;
+        };
+
+        const firstIndex = series.dates.findIndex(date => date >= startDate);
+        const start = firstIndex === -1 ? series.dates.length : firstIndex;
+        const dates = series.dates.slice(start);
+        const visible = calculated => expand(calculated).slice(start);
+        const line = (name, y, color, extra = {}) => ({
+            x: dates,
+            y: y,
+            type: 'scatter',
+            mode: 'lines',
+            name: name,
+            connectgaps: true,
+            line: { color: color, width: 1.5, ...extra.line },
+            hovertemplate: `<b>${name}:</b> %{y:.2f}<extra></extra>`,
+            ...extra.trace
+        });
+
+        const traces = [];
+        let colorIndex = 0;
+        const nextColor = () => IndicatorOverlays.COLORS[colorIndex++ % IndicatorOverlays.COLORS.length];
+
+        if (settings.sma) {
+            settings.smaWindows.forEach(window => {
+                traces.push(line(`SMA ${window}`, visible(IndicatorOverlays.sma(values, window)), nextColor()));
+            });
+        }
+        if (settings.ema) {
+            settings.emaWindows.forEach(window => {
+                traces.push(line(`EMA ${window}`, visible(IndicatorOverlays.ema(values, window)), nextColor(), { line: { dash: 'dot' } }));
+            });
+        }
+        if (settings.bollinger) {
+            const bands = IndicatorOverlays.bollinger(values, settings.bollingerWindow, settings.bollingerWidth);
+            const bandColor = 'rgba(100, 100, 160, 0.6)';
+            traces.push(line(`BB upper`, visible(bands.upper), bandColor, { line: { width: 1 } }));
+            traces.push(line(`BB lower`, visible(bands.lower), bandColor, {
+                line: { width: 1 },
+                trace: { fill: 'tonexty', fillcolor: 'rgba(100, 100, 160, 0.08)' }
+            }));
+            traces.push(line(`BB ${settings.bollingerWindow}`, visible(bands.middle), bandColor, { line: { width: 1, dash: 'dash' } }));
+        }
+
+        let lower = null;
+        if (settings.lower === 'rsi') {
+            lower = {
+                title: `RSI ${settings.rsiWindow}`,
+                range: [0, 100],
+                levels: [30, 70],
+                traces: [line('RSI', visible(IndicatorOverlays.rsi(values, settings.rsiWindow)), '#6A1B9A')]
+            };
+        } else if (settings.lower === 'macd') {
+            const macd = IndicatorOverlays.macd(values);
+            const histogram = visible(macd.histogram);
+            lower = {
+                title: 'MACD',
+                range: null,
+                levels: [0],
+                traces: [
+                    {
+                        x: dates,
+                        y: histogram,
+                        type: 'bar',
+                        name: 'Histogram',
+                        marker: { color: histogram.map(v => (v !== null && v < 0 ? 'rgba(198, 40, 40, 0.5)' : 'rgba(46, 125, 50, 0.5)')) },
+                        hovertemplate: '<b>Histogram:</b> %{y:.2f}<extra></extra>'
+                    },
+                    line('MACD', visible(macd.line), '#1565C0'),
+                    line('Signal', visible(macd.signal), '#EF6C00')
+                ]
+            };
+        }
+
+        return { traces, lower };
+    }
+}
+
+IndicatorOverlays.STORAGE_KEY = 'indicatorOverlays';
+
+IndicatorOverlays.DEFAULTS = {
+    sma: false,
+    smaWindows: [50, 200],
+    ema: false,
+    emaWindows: [20],
+    bollinger: false,
+    bollingerWindow: 20,
+    bollingerWidth: 2,
+    rsiWindow: 14,
+    lower: 'none',
+    recessions: false,
+    events: false
+};
+
+IndicatorOverlays.COLORS = ['#F9A825', '#00897B', '#8E24AA', '#5D4037', '#D81B60', '#3949AB'];
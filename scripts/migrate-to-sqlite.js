@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+// Copy the JSON files in data/ into the SQLite database (lib/sqlite-store.js)
+// Run once before switching the server to STORAGE_BACKEND=sqlite:
+//   npm run migrate:sqlite                      -> SQLITE_PATH or data/economic-charts.db
+//   npm run migrate:sqlite -- --db /var/data/economic-charts.db
+// Running it again replaces what is in the database with the current files.
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const storage = require('../lib/storage');
+
+// Subdirectories of data/ whose JSON files are stored as well
+const SUBDIRECTORIES = ['quarantine'];
+
+// Pass --db <path> to write somewhere else than SQLITE_PATH / data/economic-charts.db
+function getDbFile() {
+    const index = process.argv.indexOf('--db');
+    return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+// Every JSON file of data/ (backups and temp files end in .bak/.tmp and are skipped)
+async function listDataFiles() {
+    const files = [];
+    for (const dir of ['', ...SUBDIRECTORIES]) {
+        let names;
+        try {
+            names = await fs.readdir(path.join(storage.DATA_DIR, dir));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                continue;
+            }
+            throw error;
+        }
+        names.filter(name => name.endsWith('.json')).sort().forEach(name => {
+            files.push(path.join(storage.DATA_DIR, dir, name));
+        });
+    }
+    return files;
+}
+
+// Short description of what was copied
+function describe(data) {
+    if (Array.isArray(data)) {
+        return `${data.length} entries`;
+    }
+    if (Array.isArray(data.dates)) {
+        return `${data.dates.length} observations`;
+    }
+    return 'document';
+}
+
+async function main() {
+    const dbFile = getDbFile();
+    const source = storage.createBackend('json');
+    const target = storage.createBackend('sqlite', dbFile ? { dbFile } : {});
+
+    console.log('🗄️  Migrating data/ to SQLite');
+    console.log('='.repeat(60));
+
+    let copied = 0;
+    let failed = 0;
+    try {
+        for (const filePath of await listDataFiles()) {
+            const name = path.relative(storage.DATA_DIR, filePath);
+            try {
+                const data = await source.read(filePath);
+                await target.write(filePath, data);
+                console.log(`✅ ${name}: ${describe(data)}`);
+                copied++;
+            } catch (error) {
+                console.error(`❌ ${name}: ${error.message}`);
+                failed++;
+            }
+        }
+    } finally {
+        target.close();
+    }
+
+    console.log('='.repeat(60));
+    console.log(`✨ Migration complete: ${copied} copied, ${failed} failed`);
+    console.log('   Start the server with STORAGE_BACKEND=sqlite to use the database');
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
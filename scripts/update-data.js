@@ -6,78 +6,18 @@
 require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
-const fetch = require('node-fetch');
-const yahooFinance = require('yahoo-finance2').default;
+const { refreshIndicatorData } = require('../lib/market-data');
+const catalog = require('../lib/catalog');
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
 
-// Data source configuration
-const DATA_SOURCES = {
-    sp500: { type: 'yahoo', symbol: '^GSPC', name: 'S&P 500 Index' },
-    treasury: { type: 'yahoo', symbol: 'IEF', name: 'iShares 7-10 Year Treasury Bond ETF' },
-    oil: { type: 'fred', seriesId: 'DCOILWTICO', name: 'Crude Oil Prices: WTI' },
-    gold: { type: 'yahoo', symbol: 'GC=F', name: 'Gold Futures' },
-    dollar: { type: 'fred', seriesId: 'DTWEXAFEGS', name: 'Advanced Foreign Economies Dollar Index' },
-    nikkei: { type: 'yahoo', symbol: '^N225', name: 'Nikkei 225 Index' },
-    topix: { type: 'yahoo', symbol: '1306.T', name: 'NEXT FUNDS TOPIX ETF' },
-    usdjpy: { type: 'yahoo', symbol: 'JPY=X', name: 'USD/JPY Exchange Rate' },
-    jgb: { type: 'fred', seriesId: 'IRLTLT01JPM156N', name: 'Japanese Government Bond 10-Year Yield' }
-};
+// Data source configuration (from the indicator catalog)
+const DATA_SOURCES = catalog.getDataSources();
 
 const FRED_API_KEY = process.env.FRED_API_KEY;
-const FRED_API_BASE_URL = 'https://api.stlouisfed.org/fred/series/observations';
 
-// Helper function to fetch from FRED API
-async function fetchFromFRED(seriesId, startDate = '1950-01-01') {
-    const url = new URL(FRED_API_BASE_URL);
-    url.searchParams.append('series_id', seriesId);
-    url.searchParams.append('api_key', FRED_API_KEY);
-    url.searchParams.append('file_type', 'json');
-    url.searchParams.append('observation_start', startDate);
-
-    const response = await fetch(url);
-
-    if (response.status === 429) {
-        throw new Error('FRED API rate limit exceeded');
-    }
-
-    if (!response.ok) {
-        throw new Error(`FRED API error! status: ${response.status}`);
-    }
-
-    const fredData = await response.json();
-    const validData = fredData.observations.filter(obs => obs.value !== '.');
-
-    return {
-        dates: validData.map(obs => obs.date),
-        values: validData.map(obs => parseFloat(obs.value))
-    };
-}
-
-// Helper function to fetch from Yahoo Finance
-async function fetchFromYahoo(symbol) {
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setFullYear(startDate.getFullYear() - 20); // Get 20 years of data
-
-    const result = await yahooFinance.historical(symbol, {
-        period1: startDate,
-        period2: endDate,
-        interval: '1d'
-    });
-
-    if (!result || result.length === 0) {
-        throw new Error(`No data returned from Yahoo Finance for ${symbol}`);
-    }
-
-    // Sort by date
-    result.sort((a, b) => a.date - b.date);
-
-    return {
-        dates: result.map(item => item.date.toISOString().split('T')[0]),
-        values: result.map(item => item.close)
-    };
-}
+// Pass --full to re-download complete histories instead of only the newest data
+const FULL_REFRESH = process.argv.includes('--full');
 
 // Ensure data directory exists
 async function ensureDataDir() {
@@ -93,40 +33,26 @@ async function updateIndicator(indicator, config) {
     console.log(`\nFetching ${config.name}...`);
 
     try {
-        let fetchedData;
-
-        if (config.type === 'fred') {
-            if (!FRED_API_KEY) {
-                console.log(`⚠️  Skipping ${indicator} - FRED_API_KEY not set`);
-                return false;
-            }
-            fetchedData = await fetchFromFRED(config.seriesId);
-        } else if (config.type === 'yahoo') {
-            fetchedData = await fetchFromYahoo(config.symbol);
-        } else {
-            throw new Error('Unknown data source type');
+        if (config.type === 'fred' && !FRED_API_KEY) {
+            console.log(`⚠️  Skipping ${indicator} - FRED_API_KEY not set`);
+            return false;
         }
 
-        // Prepare data structure
-        const dataToSave = {
-            lastUpdated: new Date().toISOString(),
-            indicator: indicator,
-            name: config.name,
-            source: config.type,
-            sourceId: config.seriesId || config.symbol,
-            dates: fetchedData.dates,
-            values: fetchedData.values
-        };
-
-        // Save to file
         const filePath = path.join(DATA_DIR, `${indicator}_data.json`);
-        await fs.writeFile(filePath, JSON.stringify(dataToSave, null, 2));
+        const { data, mode, added, warnings } = await refreshIndicatorData(indicator, config, filePath, { full: FULL_REFRESH });
 
-        console.log(`✅ ${config.name} updated successfully (${fetchedData.dates.length} data points)`);
-        console.log(`   Latest: ${fetchedData.dates[fetchedData.dates.length - 1]} = ${fetchedData.values[fetchedData.values.length - 1]}`);
+        console.log(`✅ ${config.name} updated successfully (${mode}: ${added} new, ${data.dates.length} data points)`);
+        console.log(`   Latest: ${data.dates[data.dates.length - 1]} = ${data.values[data.values.length - 1]}`);
+        warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
 
         return true;
     } catch (error) {
+        if (error.code === 'VALIDATION_FAILED') {
+            // The stored file is untouched; the rejected data waits in data/quarantine/
+            console.error(`🚫 ${config.name} refresh rejected and quarantined:`);
+            error.validation.errors.forEach(reason => console.error(`   - ${reason}`));
+            return false;
+        }
         console.error(`❌ Error updating ${indicator}:`, error.message);
         return false;
     }
@@ -134,7 +60,7 @@ async function updateIndicator(indicator, config) {
 
 // Main function
 async function main() {
-    console.log('🚀 Starting data update...');
+    console.log(`🚀 Starting data update (${FULL_REFRESH ? 'full' : 'incremental'})...`);
     console.log(`📅 ${new Date().toISOString()}\n`);
 
     await ensureDataDir();
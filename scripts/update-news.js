@@ -7,20 +7,16 @@ require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
 const fetch = require('node-fetch');
+const catalog = require('../lib/catalog');
+const storage = require('../lib/storage');
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const NEWS_FILE = path.join(DATA_DIR, 'news.json');
 
 const SERPAPI_API_KEY = process.env.SERPAPI_API_KEY;
 
-// Indicator search queries
-const INDICATORS = {
-    sp500: 'S&P 500',
-    treasury: 'US treasury',
-    oil: 'oil price',
-    gold: 'gold price',
-    dollar: 'USD'
-};
+// Indicator search queries (from the indicator catalog)
+const INDICATORS = catalog.getNewsQueries();
 
 // Allowed media sources
 const ALLOWED_SOURCES = [
@@ -148,22 +144,20 @@ async function main() {
     try {
         await ensureDataDir();
 
-        const newsData = {
-            sp500: [],
-            treasury: [],
-            oil: [],
-            gold: [],
-            dollar: [],
-            lastUpdated: new Date().toISOString()
-        };
+        const newsData = {};
+        for (const indicator of Object.keys(INDICATORS)) {
+            newsData[indicator] = [];
+        }
+        newsData.lastUpdated = new Date().toISOString();
 
         // Fetch news for each indicator with delay between requests
-        for (const [indicator, query] of Object.entries(INDICATORS)) {
+        const entries = Object.entries(INDICATORS);
+        for (const [index, [indicator, query]] of entries.entries()) {
             try {
                 newsData[indicator] = await fetchNewsForQuery(query, 5);
 
                 // Add 2 second delay between requests to avoid rate limiting
-                if (indicator !== 'dollar') { // Don't delay after last request
+                if (index < entries.length - 1) { // Don't delay after last request
                     console.log('⏳ Waiting 2 seconds before next request...\n');
                     await delay(2000);
                 }
@@ -173,7 +167,7 @@ async function main() {
             }
         }
 
-        await fs.writeFile(NEWS_FILE, JSON.stringify(newsData, null, 2));
+        await storage.writeJson(NEWS_FILE, newsData);
 
         const totalArticles = Object.values(newsData).reduce((sum, articles) => {
             return sum + (Array.isArray(articles) ? articles.length : 0);
@@ -182,11 +176,10 @@ async function main() {
         console.log('\n' + '='.repeat(60));
         console.log('✨ News update complete!');
         console.log(`   Total articles collected: ${totalArticles}`);
-        console.log(`   - S&P 500: ${newsData.sp500.length} articles`);
-        console.log(`   - Treasury: ${newsData.treasury.length} articles`);
-        console.log(`   - Oil: ${newsData.oil.length} articles`);
-        console.log(`   - Gold: ${newsData.gold.length} articles`);
-        console.log(`   - Dollar: ${newsData.dollar.length} articles`);
+        for (const indicator of Object.keys(INDICATORS)) {
+            const shortName = catalog.getIndicator(indicator).shortName;
+            console.log(`   - ${shortName}: ${newsData[indicator].length} articles`);
+        }
         console.log(`   Saved to: ${NEWS_FILE}`);
         console.log('='.repeat(60));
 
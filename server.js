@@ -6,26 +6,38 @@ const cors = require('cors');
 const fs = require('fs').promises;
 const path = require('path');
 const fetch = require('node-fetch');
-const yahooFinance = require('yahoo-finance2').default;
 const { JSDOM } = require('jsdom');
+const { refreshIndicatorData, fetchFromFRED, readQuarantine, removeQuarantine } = require('./lib/market-data');
+const catalog = require('./lib/catalog');
+const auth = require('./lib/auth');
+const rounds = require('./lib/estimates');
+const alignment = require('./lib/alignment');
+const momentum = require('./lib/momentum');
+const { GROWTH_FREQUENCIES, GROWTH_MODES, calculateGrowth } = require('./lib/growth');
+const stats = require('./lib/stats');
+const correlation = require('./lib/correlation');
+const chartEvents = require('./lib/events');
+const inflation = require('./lib/inflation');
+const derived = require('./lib/derived');
+const storage = require('./lib/storage');
+const { createGitSync } = require('./lib/git-sync');
+const { VALIDATION_DEFAULTS, checkFreshness } = require('./lib/validation');
 
 const app = express();
 const PORT = 3000;
+const SERVER_STARTED = new Date();
 const DATA_DIR = path.join(__dirname, 'data');
 
-// Data file paths
+// Data file paths (indicator files come from the catalog in indicators.json)
 const DATA_FILES = {
-    sp500: path.join(DATA_DIR, 'sp500_data.json'),
-    treasury: path.join(DATA_DIR, 'treasury_data.json'),
-    oil: path.join(DATA_DIR, 'oil_data.json'),
-    gold: path.join(DATA_DIR, 'gold_data.json'),
-    dollar: path.join(DATA_DIR, 'dollar_data.json'),
-    nikkei: path.join(DATA_DIR, 'nikkei_data.json'),
-    topix: path.join(DATA_DIR, 'topix_data.json'),
-    usdjpy: path.join(DATA_DIR, 'usdjpy_data.json'),
-    jgb: path.join(DATA_DIR, 'jgb_data.json'),
+    ...catalog.getDataFiles(DATA_DIR),
     estimates: path.join(DATA_DIR, 'estimates.json'),
-    news: path.join(DATA_DIR, 'news.json')
+    rounds: path.join(DATA_DIR, 'estimate_rounds.json'),
+    estimatesArchive: path.join(DATA_DIR, 'estimates_archive.json'),
+    participants: path.join(DATA_DIR, 'participants.json'),
+    revokedTokens: path.join(DATA_DIR, 'revoked_tokens.json'),
+    news: path.join(DATA_DIR, 'news.json'),
+    events: path.join(DATA_DIR, 'events.json')
 };
 
 // Middleware
@@ -35,13 +47,20 @@ app.use(express.static(__dirname));
 
 // API Configuration - load from environment variables only
 const FRED_API_KEY = process.env.FRED_API_KEY || '';
-const FRED_API_BASE_URL = 'https://api.stlouisfed.org/fred/series/observations';
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
 const GOOGLE_SEARCH_API_KEY = process.env.GOOGLE_SEARCH_API_KEY || '';
 const GOOGLE_SEARCH_ENGINE_ID = process.env.GOOGLE_SEARCH_ENGINE_ID || '';
 const SERPAPI_API_KEY = process.env.SERPAPI_API_KEY || '';
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
 
+// Optional commits of data changed on the server to a git remote (lib/git-sync.js)
+const gitSync = createGitSync({
+    remote: process.env.GIT_SYNC_REMOTE || '',
+    branch: process.env.GIT_SYNC_BRANCH || 'main',
+    workDir: process.env.GIT_SYNC_DIR || undefined,
+    debounceMs: (parseFloat(process.env.GIT_SYNC_DEBOUNCE_SECONDS) || 60) * 1000
+});
+
 // Validate required API keys
 if (!FRED_API_KEY) {
     console.warn('WARNING: FRED_API_KEY not set in environment variables');
@@ -52,19 +71,27 @@ if (!SERPAPI_API_KEY) {
 if (!ADMIN_PASSWORD) {
     console.warn('WARNING: ADMIN_PASSWORD not set in environment variables');
 }
+if (auth.usingGeneratedSecret) {
+    console.warn('WARNING: ADMIN_TOKEN_SECRET not set - admin sessions will not survive a restart');
+}
 
 // Data source configuration
-const DATA_SOURCES = {
-    sp500: { type: 'yahoo', symbol: '^GSPC', name: 'S&P 500 Index' },
-    treasury: { type: 'yahoo', symbol: 'IEF', name: 'iShares 7-10 Year Treasury Bond ETF' },
-    oil: { type: 'fred', seriesId: 'DCOILWTICO', name: 'Crude Oil Prices: WTI' },
-    gold: { type: 'yahoo', symbol: 'GC=F', name: 'Gold Futures' },
-    dollar: { type: 'fred', seriesId: 'DTWEXAFEGS', name: 'Advanced Foreign Economies Dollar Index' },
-    nikkei: { type: 'yahoo', symbol: '^N225', name: 'Nikkei 225 Index' },
-    topix: { type: 'yahoo', symbol: '1306.T', name: 'NEXT FUNDS TOPIX ETF' },
-    usdjpy: { type: 'yahoo', symbol: 'JPY=X', name: 'USD/JPY Exchange Rate' },
-    jgb: { type: 'fred', seriesId: 'IRLTLT01JPM156N', name: 'Japanese Government Bond 10-Year Yield' }
-};
+const DATA_SOURCES = catalog.getDataSources();
+
+// Series calculated from two stored (or derived) series, configured in indicators.json.
+// A misconfigured entry is logged and left out instead of stopping the server.
+const DERIVED_SERIES = {};
+for (const ind of catalog.getDerivedIndicators()) {
+    const error = derived.validateSpec(ind.derive, id => Boolean(DATA_SOURCES[id] || DERIVED_SERIES[id]));
+    if (error) {
+        console.error(`Skipping derived series ${ind.id}: ${error}`);
+        continue;
+    }
+    DERIVED_SERIES[ind.id] = ind.derive;
+}
+
+// Indicators shown in the US momentum and growth comparisons
+const US_INDICATORS = catalog.getFetchedIndicators({ region: 'us' }).map(ind => ind.id);
 
 // Ensure data directory exists
 async function ensureDataDir() {
@@ -75,6 +102,84 @@ async function ensureDataDir() {
     }
 }
 
+// Helper function to describe one entry of DATA_FILES for the health endpoint.
+// Indicator files get a stale/ok status from their frequency (lib/validation.js);
+// other files (estimates, news...) are only ok or missing.
+async function describeDataFile(key, filePath) {
+    const config = DATA_SOURCES[key];
+    const entry = config ? { file: key, indicator: key, name: config.name } : { file: key, name: path.basename(filePath) };
+
+    let jsonData;
+    try {
+        jsonData = await storage.readJson(filePath);
+        entry.lastUpdated = jsonData.lastUpdated || null;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { ...entry, status: 'missing' };
+        }
+        return { ...entry, status: 'error', message: error.message };
+    }
+
+    if (!config) {
+        entry.points = Array.isArray(jsonData) ? jsonData.length : null;
+        return { ...entry, status: 'ok' };
+    }
+
+    const dates = Array.isArray(jsonData.dates) ? jsonData.dates : [];
+    if (dates.length === 0) {
+        return { ...entry, points: 0, status: 'missing' };
+    }
+    const freshness = checkFreshness(dates, { ...VALIDATION_DEFAULTS.staleDays, ...config.validation.staleDays });
+    return {
+        ...entry,
+        lastDate: freshness.lastDate,
+        points: dates.length,
+        frequency: freshness.frequency,
+        ageDays: freshness.ageDays,
+        status: freshness.stale ? 'stale' : 'ok',
+        quarantined: Boolean(await readQuarantine(filePath))
+    };
+}
+
+// Server health: uptime, which API keys are configured (never their values) and
+// the freshness of every data file. Overall status is "degraded" if any indicator
+// file is stale, missing or unreadable.
+app.get('/api/health', async (req, res) => {
+    try {
+        const files = [];
+        for (const [key, filePath] of Object.entries(DATA_FILES)) {
+            files.push(await describeDataFile(key, filePath));
+        }
+        const degraded = files.some(file => DATA_SOURCES[file.file] && file.status !== 'ok');
+
+        res.json({
+            success: true,
+            data: {
+                status: degraded ? 'degraded' : 'ok',
+                startedAt: SERVER_STARTED.toISOString(),
+                uptimeSeconds: Math.round(process.uptime()),
+                apiKeys: {
+                    fred: Boolean(FRED_API_KEY),
+                    serpapi: Boolean(SERPAPI_API_KEY),
+                    openai: Boolean(OPENAI_API_KEY),
+                    googleSearch: Boolean(GOOGLE_SEARCH_API_KEY && GOOGLE_SEARCH_ENGINE_ID),
+                    adminPassword: Boolean(ADMIN_PASSWORD),
+                    adminTokenSecret: !auth.usingGeneratedSecret
+                },
+                files: files
+            }
+        });
+    } catch (error) {
+        console.error('Error checking health:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Indicator catalog endpoint - every frontend builds its charts from this list
+app.get('/api/indicators', (req, res) => {
+    res.json({ success: true, data: catalog.getIndicators({ region: req.query.region }) });
+});
+
 // Admin authentication endpoint
 app.post('/api/auth/login', async (req, res) => {
     try {
@@ -84,13 +189,14 @@ app.post('/api/auth/login', async (req, res) => {
             return res.status(400).json({ success: false, message: 'Password required' });
         }
 
-        if (password === ADMIN_PASSWORD) {
-            // Generate a simple session token (in production, use JWT or proper sessions)
-            const token = Buffer.from(`admin:${Date.now()}`).toString('base64');
+        if (auth.checkPassword(password, ADMIN_PASSWORD)) {
+            // Signed token that expires on its own (see lib/auth.js)
+            const { token, expiresAt } = auth.issueToken('admin');
             res.json({
                 success: true,
                 message: 'Login successful',
-                token: token
+                token: token,
+                expiresAt: expiresAt
             });
         } else {
             res.status(401).json({ success: false, message: 'Invalid password' });
@@ -101,129 +207,182 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
-// Middleware to verify admin token (simple version)
-function verifyAdmin(req, res, next) {
-    const authHeader = req.headers.authorization;
-
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ success: false, message: 'Unauthorized - No token provided' });
-    }
+// Admin logout endpoint - revokes the token so it cannot be reused, also after a restart
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const token = auth.getBearerToken(req);
 
-    const token = authHeader.substring(7);
+        if (!token) {
+            return res.status(401).json({ success: false, message: 'Unauthorized - No token provided' });
+        }
 
-    // Simple token validation (in production, use JWT)
-    try {
-        const decoded = Buffer.from(token, 'base64').toString();
-        if (decoded.startsWith('admin:')) {
-            next();
-        } else {
-            res.status(401).json({ success: false, message: 'Unauthorized - Invalid token' });
+        // Logging out with an already invalid token is not an error for the client
+        const revoked = await auth.revokeToken(token);
+        if (revoked) {
+            gitSync.recordChange(DATA_FILES.revokedTokens, 'Revoke admin session');
         }
+        res.json({ success: true, message: revoked ? 'Logged out' : 'Session already ended' });
     } catch (error) {
-        res.status(401).json({ success: false, message: 'Unauthorized - Invalid token' });
+        console.error('Logout error:', error);
+        res.status(500).json({ success: false, message: error.message });
     }
-}
+});
 
-// Helper function to fetch from FRED API
-async function fetchFromFRED(seriesId, startDate = '1950-01-01') {
-    const url = new URL(FRED_API_BASE_URL);
-    url.searchParams.append('series_id', seriesId);
-    url.searchParams.append('api_key', FRED_API_KEY);
-    url.searchParams.append('file_type', 'json');
-    url.searchParams.append('observation_start', startDate);
+// Current session endpoint - lets the frontends check a stored token
+app.get('/api/auth/session', (req, res) => {
+    const token = auth.getBearerToken(req);
 
-    const response = await fetch(url);
+    if (!token) {
+        return res.json({ success: true, data: { authenticated: false } });
+    }
 
-    // Handle rate limit
-    if (response.status === 429) {
-        throw new Error('FRED API rate limit exceeded (120 requests/minute). Please wait a moment.');
+    const result = auth.verifyToken(token);
+    if (!result.valid) {
+        return res.json({ success: true, data: { authenticated: false, reason: result.reason } });
     }
 
-    if (!response.ok) {
-        throw new Error(`FRED API error! status: ${response.status}`);
+    res.json({
+        success: true,
+        data: {
+            authenticated: true,
+            subject: result.claims.sub,
+            issuedAt: new Date(result.claims.iat).toISOString(),
+            expiresAt: new Date(result.claims.exp).toISOString()
+        }
+    });
+});
+
+// Middleware to verify admin token
+function verifyAdmin(req, res, next) {
+    const token = auth.getBearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'Unauthorized - No token provided' });
     }
 
-    const fredData = await response.json();
-    const validData = fredData.observations.filter(obs => obs.value !== '.');
+    const result = auth.verifyToken(token);
+    if (!result.valid) {
+        const message = result.reason === 'expired' || result.reason === 'revoked'
+            ? 'Unauthorized - Session expired, please log in again'
+            : 'Unauthorized - Invalid token';
+        return res.status(401).json({ success: false, message: message, reason: result.reason });
+    }
 
-    return {
-        dates: validData.map(obs => obs.date),
-        values: validData.map(obs => parseFloat(obs.value))
-    };
+    req.admin = result.claims;
+    next();
 }
 
-// Helper function to fetch from Yahoo Finance
-async function fetchFromYahoo(symbol) {
-    try {
-        const endDate = new Date();
-        const startDate = new Date();
-        startDate.setFullYear(startDate.getFullYear() - 20); // Get 20 years of data
+// Pick the price or total-return values of an indicator file.
+// Series without a stored total return (indices, FRED data) fall back to price.
+function selectBasis(jsonData, basis) {
+    if (basis === 'total' && Array.isArray(jsonData.totalReturn)) {
+        return { values: jsonData.totalReturn, basis: 'total' };
+    }
+    return { values: jsonData.values, basis: 'price' };
+}
 
-        const result = await yahooFinance.historical(symbol, {
-            period1: startDate,
-            period2: endDate,
-            interval: '1d'
-        });
+// Helper function to deflate a stored or derived series by the CPI named in its
+// catalog entry (?real=true). Series without a deflator (yields, exchange rates)
+// come back unchanged with `real: false`; throws if the CPI file is missing.
+async function toRealTerms(indicator, jsonData) {
+    const entry = catalog.getIndicator(indicator);
+    if (!entry || !entry.deflator) {
+        return { ...jsonData, real: false };
+    }
 
-        if (!result || result.length === 0) {
-            throw new Error(`No data returned from Yahoo Finance for ${symbol}`);
-        }
+    let index;
+    try {
+        index = await storage.readJson(DATA_FILES[entry.deflator]);
+    } catch (error) {
+        throw new Error(`No ${entry.deflator} data available for real terms - refresh ${entry.deflator} first`);
+    }
+    return { ...inflation.deflateSeries(jsonData, index), real: true, deflator: entry.deflator };
+}
 
-        // Sort by date
-        result.sort((a, b) => a.date - b.date);
+// Helper function to parse an ?indicators=a,b,c list of stored or derived catalog ids.
+// Returns the US indicators when the list is absent, or { error } for unknown ids.
+function parseIndicatorList(param) {
+    if (!param) {
+        return { indicators: US_INDICATORS };
+    }
 
-        return {
-            dates: result.map(item => item.date.toISOString().split('T')[0]),
-            values: result.map(item => item.close)
-        };
-    } catch (error) {
-        // Check for JSON parsing errors (usually indicates rate limiting)
-        if (error.message && error.message.includes('Unexpected token')) {
-            throw new Error('Yahoo Finance rate limit exceeded. Please wait 5-10 minutes and try again. Try refreshing indicators one at a time instead of all at once.');
-        }
-        // Check for rate limiting
-        if (error.message && (error.message.includes('Too Many Requests') || error.message.includes('429'))) {
-            throw new Error('Yahoo Finance rate limit exceeded. Please wait 5-10 minutes and try again.');
-        }
-        // Check for other common errors
-        if (error.message && error.message.includes('Invalid symbol')) {
-            throw new Error(`Invalid symbol: ${symbol}`);
-        }
-        // Re-throw with more context
-        throw new Error(`Yahoo Finance error for ${symbol}: ${error.message}`);
+    const indicators = [...new Set(param.split(',').map(id => id.trim()).filter(Boolean))];
+    const unknown = indicators.filter(id => !DATA_SOURCES[id] && !DERIVED_SERIES[id]);
+    if (indicators.length === 0 || unknown.length > 0) {
+        return { error: `Unknown indicator: ${unknown.join(', ') || param}` };
+    }
+    return { indicators };
+}
+
+// Helper function to check a YYYY-MM-DD calendar date
+function isValidDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return false;
     }
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+}
+
+// Helper function to check a YYYY-MM-DD date that is not in the future
+function isValidBaselineDate(date) {
+    return isValidDate(date) && new Date(`${date}T00:00:00Z`) <= new Date();
 }
 
 // Momentum comparison endpoint (MUST be before generic :indicator route)
+// ?basis=total uses total-return series where available
+// ?baseline=YYYY-MM-DD rebases to a specific date instead of a `period` preset
+// ?indicators=sp500,nikkei,... compares any fetched catalog series (default: US indicators)
+// ?align=intersection|union|business|weekly|monthly picks the date alignment (see lib/alignment.js)
+// ?real=true deflates price series by CPI (see lib/inflation.js)
 app.get('/api/data/momentum', async (req, res) => {
     try {
-        const indicators = ['sp500', 'treasury', 'oil', 'gold', 'dollar'];
+        const selection = parseIndicatorList(req.query.indicators);
+        if (selection.error) {
+            return res.status(400).json({ success: false, message: selection.error });
+        }
+        const indicators = selection.indicators;
         const momentumData = {};
         let successCount = 0;
 
-        // Get baseline period from query parameter (default: 1m)
+        // Get baseline period from query parameter (default: 1m); an explicit baseline date wins
         const baselinePeriod = req.query.period || '1m';
+        const baseline = req.query.baseline || null;
+        if (baseline && !isValidBaselineDate(baseline)) {
+            return res.status(400).json({ success: false, message: 'Baseline must be a past date (YYYY-MM-DD)' });
+        }
+        const requestedBasis = req.query.basis === 'total' ? 'total' : 'price';
+        const real = req.query.real === 'true';
+
+        // How series with different trading calendars are put on one date axis
+        const alignMode = req.query.align || 'intersection';
+        if (!alignment.ALIGN_MODES.includes(alignMode)) {
+            return res.status(400).json({ success: false, message: `Alignment must be one of: ${alignment.ALIGN_MODES.join(', ')}` });
+        }
 
         // Read all indicator data
         for (const indicator of indicators) {
-            const filePath = DATA_FILES[indicator];
             try {
-                const data = await fs.readFile(filePath, 'utf8');
-                const jsonData = JSON.parse(data);
+                let jsonData = await readIndicatorSeries(indicator);
+                if (real) {
+                    jsonData = await toRealTerms(indicator, jsonData);
+                }
 
-                console.log(`Processing ${indicator}: ${jsonData.dates.length} dates, baseline period: ${baselinePeriod}`);
+                console.log(`Processing ${indicator}: ${jsonData.dates.length} dates, baseline: ${baseline || baselinePeriod}`);
 
-                // Calculate momentum with specified baseline period
-                const normalized = calculateMomentum(jsonData.dates, jsonData.values, baselinePeriod);
+                // Calculate momentum with specified baseline period or date
+                const { values, basis } = selectBasis(jsonData, requestedBasis);
+                const normalized = momentum.calculateMomentum(jsonData.dates, values, baselinePeriod, baseline);
 
                 console.log(`Normalized ${indicator}: ${normalized.dates.length} dates`);
 
                 if (normalized.dates.length > 0) {
                     momentumData[indicator] = {
-                        name: jsonData.name || DATA_SOURCES[indicator].name,
+                        name: jsonData.name || indicator,
                         dates: normalized.dates,
                         values: normalized.values,
-                        baselineDate: normalized.baselineDate
+                        baselineDate: normalized.baselineDate,
+                        basis: basis,
+                        real: Boolean(jsonData.real)
                     };
                     successCount++;
                 } else {
@@ -236,35 +395,28 @@ app.get('/api/data/momentum', async (req, res) => {
 
         console.log(`Momentum data ready for ${successCount} indicators`);
 
-        // Align all indicators to common dates
+        // Align all indicators to one date grid
         if (successCount > 0) {
-            // Find the common date range (intersection of all dates)
-            const allDateSets = Object.values(momentumData).map(ind => new Set(ind.dates));
-            const commonDates = [...allDateSets[0]].filter(date =>
-                allDateSets.every(dateSet => dateSet.has(date))
-            ).sort();
+            const aligned = alignment.alignSeries(momentumData, alignMode);
 
-            console.log(`Common dates after alignment: ${commonDates.length}`);
+            console.log(`Dates after ${alignMode} alignment: ${aligned.dates.length}`);
 
-            // Filter each indicator to only include common dates
             for (const indicator in momentumData) {
-                const filtered = momentumData[indicator].dates.reduce((acc, date, idx) => {
-                    if (commonDates.includes(date)) {
-                        acc.dates.push(date);
-                        acc.values.push(momentumData[indicator].values[idx]);
-                    }
-                    return acc;
-                }, { dates: [], values: [] });
-
-                momentumData[indicator].dates = filtered.dates;
-                momentumData[indicator].values = filtered.values;
+                momentumData[indicator].dates = aligned.dates;
+                momentumData[indicator].values = aligned.series[indicator].values;
+                momentumData[indicator].filled = aligned.series[indicator].filled;
+                momentumData[indicator].filledCount = aligned.series[indicator].filledCount;
             }
         }
 
         res.json({
             success: successCount > 0,
             data: momentumData,
-            count: successCount
+            count: successCount,
+            basis: requestedBasis,
+            baseline: baseline || baselinePeriod,
+            align: alignMode,
+            real: real
         });
 
     } catch (error) {
@@ -276,34 +428,70 @@ app.get('/api/data/momentum', async (req, res) => {
     }
 });
 
-// Month-over-month growth rate endpoint (MUST be before generic :indicator route)
+// Growth rate endpoint (MUST be before generic :indicator route)
+// ?basis=total uses total-return series where available
+// ?freq=weekly|monthly|quarterly|yearly and ?mode=pop|yoy choose the comparison
+// (default: month-over-month); ?start= and ?end= (YYYY-MM-DD) limit the range
+// ?real=true deflates price series by CPI (see lib/inflation.js)
+// ?indicators=a,b,c picks stored or derived series (default: US indicators)
 app.get('/api/data/growth', async (req, res) => {
     try {
-        const indicators = ['sp500', 'treasury', 'oil', 'gold', 'dollar'];
+        const selection = parseIndicatorList(req.query.indicators);
+        if (selection.error) {
+            return res.status(400).json({ success: false, message: selection.error });
+        }
+        const indicators = selection.indicators;
         const growthData = {};
         let successCount = 0;
+        const requestedBasis = req.query.basis === 'total' ? 'total' : 'price';
+        const freq = req.query.freq || 'monthly';
+        const mode = req.query.mode || 'pop';
+        const start = req.query.start || null;
+        const end = req.query.end || null;
+        const real = req.query.real === 'true';
+
+        if (!GROWTH_FREQUENCIES.includes(freq)) {
+            return res.status(400).json({ success: false, message: `Frequency must be one of: ${GROWTH_FREQUENCIES.join(', ')}` });
+        }
+        if (!GROWTH_MODES.includes(mode)) {
+            return res.status(400).json({ success: false, message: `Mode must be one of: ${GROWTH_MODES.join(', ')}` });
+        }
+        if ((start && !isValidDate(start)) || (end && !isValidDate(end)) || (start && end && start > end)) {
+            return res.status(400).json({ success: false, message: 'Start and end must be dates (YYYY-MM-DD), start before end' });
+        }
 
         // Read all indicator data
         for (const indicator of indicators) {
-            const filePath = DATA_FILES[indicator];
             try {
-                const data = await fs.readFile(filePath, 'utf8');
-                const jsonData = JSON.parse(data);
+                let jsonData = await readIndicatorSeries(indicator);
+                if (real) {
+                    jsonData = await toRealTerms(indicator, jsonData);
+                }
 
-                console.log(`Calculating growth for ${indicator}: ${jsonData.dates.length} dates`);
+                console.log(`Calculating ${freq} ${mode} growth for ${indicator}: ${jsonData.dates.length} dates`);
 
-                // Calculate month-over-month growth rates
-                const growth = calculateMonthOverMonthGrowth(jsonData.dates, jsonData.values);
+                // Data after `end` is left out so the last period is cut off there
+                const { values, basis } = selectBasis(jsonData, requestedBasis);
+                const cutoff = end ? jsonData.dates.findIndex(date => date > end) : -1;
+                const dates = cutoff === -1 ? jsonData.dates : jsonData.dates.slice(0, cutoff);
+                const growth = calculateGrowth(dates, values.slice(0, dates.length), freq, mode);
 
-                console.log(`Growth calculation for ${indicator}: ${growth.dates.length} months`);
+                // Keep periods whose last data point is on or after `start`
+                const first = start ? growth.asOf.findIndex(date => date >= start) : 0;
+                const keepFrom = first === -1 ? growth.dates.length : first;
 
-                if (growth.dates.length > 0) {
+                if (growth.dates.length > keepFrom) {
                     growthData[indicator] = {
-                        name: jsonData.name || DATA_SOURCES[indicator].name,
-                        dates: growth.dates,
-                        values: growth.values
+                        name: jsonData.name || indicator,
+                        dates: growth.dates.slice(keepFrom),
+                        values: growth.values.slice(keepFrom),
+                        periods: growth.periods.slice(keepFrom),
+                        basis: basis,
+                        real: Boolean(jsonData.real)
                     };
                     successCount++;
+
+                    console.log(`${indicator}: ${growthData[indicator].dates.length} ${freq} periods of growth data`);
                 } else {
                     console.log(`Warning: No growth data for ${indicator}`);
                 }
@@ -314,26 +502,14 @@ app.get('/api/data/growth', async (req, res) => {
 
         console.log(`Growth data ready for ${successCount} indicators`);
 
-        // Limit each indicator to its own last 24 months (don't force alignment)
-        if (successCount > 0) {
-            for (const indicator in growthData) {
-                const dates = growthData[indicator].dates;
-                const values = growthData[indicator].values;
-
-                // Keep only last 24 months for each indicator
-                if (dates.length > 24) {
-                    growthData[indicator].dates = dates.slice(-24);
-                    growthData[indicator].values = values.slice(-24);
-                }
-
-                console.log(`${indicator}: ${growthData[indicator].dates.length} months of growth data`);
-            }
-        }
-
         res.json({
             success: successCount > 0,
             data: growthData,
-            count: successCount
+            count: successCount,
+            basis: requestedBasis,
+            freq: freq,
+            mode: mode,
+            real: real
         });
 
     } catch (error) {
@@ -345,70 +521,84 @@ app.get('/api/data/growth', async (req, res) => {
     }
 });
 
-// Generic read local data file
+// Generic read of an indicator's local data file, or a derived series calculated from its inputs
+// Only indicator series: estimates, participants etc. have their own routes, which leave out token hashes
+// ?real=true returns the series deflated by CPI; ?start= and ?end= (YYYY-MM-DD) limit the dates
 app.get('/api/data/:indicator', async (req, res) => {
     const { indicator } = req.params;
-    const filePath = DATA_FILES[indicator];
+    const start = req.query.start || null;
+    const end = req.query.end || null;
 
-    if (!filePath) {
+    if (!DATA_SOURCES[indicator] && !DERIVED_SERIES[indicator]) {
         return res.status(404).json({ success: false, message: 'Invalid indicator' });
     }
+    if ((start && !isValidDate(start)) || (end && !isValidDate(end)) || (start && end && start > end)) {
+        return res.status(400).json({ success: false, message: 'Start and end must be dates (YYYY-MM-DD), start before end' });
+    }
 
+    let jsonData;
     try {
-        const data = await fs.readFile(filePath, 'utf8');
-        const jsonData = JSON.parse(data);
-        res.json({ success: true, data: jsonData, source: 'local' });
+        jsonData = await readIndicatorSeries(indicator, { start, end });
     } catch (error) {
         // File doesn't exist or can't be read
-        res.json({ success: false, message: 'No local data available', source: 'none' });
+        return res.json({ success: false, message: 'No local data available', source: 'none' });
+    }
+
+    if (req.query.real === 'true') {
+        try {
+            jsonData = await toRealTerms(indicator, jsonData);
+        } catch (error) {
+            return res.json({ success: false, message: error.message, source: 'none' });
+        }
+        if (!jsonData.real) {
+            return res.status(400).json({ success: false, message: `${indicator} is not a price series and has no real terms` });
+        }
     }
+
+    res.json({ success: true, data: jsonData, source: DERIVED_SERIES[indicator] ? 'derived' : 'local' });
 });
 
 // Generic refresh data from API and save locally
+// Only data after the last stored date is requested; pass ?full=true to re-download everything
+// Data that fails validation (lib/validation.js) is quarantined instead of saved: 422 with the reasons
 app.post('/api/data/:indicator/refresh', async (req, res) => {
     const { indicator } = req.params;
     const config = DATA_SOURCES[indicator];
     const filePath = DATA_FILES[indicator];
+    const full = req.query.full === 'true';
 
     if (!config || !filePath) {
         return res.status(404).json({ success: false, message: 'Invalid indicator' });
     }
     try {
-        console.log(`Fetching ${config.name} from ${config.type.toUpperCase()}...`);
-
-        let fetchedData;
-        if (config.type === 'fred') {
-            fetchedData = await fetchFromFRED(config.seriesId);
-        } else if (config.type === 'yahoo') {
-            fetchedData = await fetchFromYahoo(config.symbol);
-        } else {
-            throw new Error('Unknown data source type');
-        }
-
-        // Prepare data structure
-        const dataToSave = {
-            lastUpdated: new Date().toISOString(),
-            indicator: indicator,
-            name: config.name,
-            source: config.type,
-            sourceId: config.seriesId || config.symbol,
-            dates: fetchedData.dates,
-            values: fetchedData.values
-        };
+        console.log(`Fetching ${config.name} from ${config.type.toUpperCase()} (${full ? 'full' : 'incremental'})...`);
 
-        // Save to local file
         await ensureDataDir();
-        await fs.writeFile(filePath, JSON.stringify(dataToSave, null, 2));
+        const { data: dataToSave, mode, added, warnings } = await refreshIndicatorData(indicator, config, filePath, { full });
 
-        console.log(`${config.name} data saved successfully`);
+        console.log(`${config.name} data saved successfully (${mode}, ${added} new points)`);
+        gitSync.recordChange(filePath, `Refresh ${config.name} (${mode}, ${added} new points)`);
+        warnings.forEach(warning => console.warn(`${config.name}: ${warning}`));
         res.json({
             success: true,
             data: dataToSave,
             source: 'api',
-            message: `Data fetched from ${config.type.toUpperCase()} and saved locally`
+            mode: mode,
+            added: added,
+            warnings: warnings,
+            message: `Data fetched from ${config.type.toUpperCase()} and saved locally (${mode} refresh, ${added} new points)` +
+                (warnings.length > 0 ? `; warning: ${warnings.join('; ')}` : '')
         });
 
     } catch (error) {
+        if (error.code === 'VALIDATION_FAILED') {
+            console.warn(`Rejected ${indicator} refresh: ${error.validation.errors.join('; ')}`);
+            return res.status(422).json({
+                success: false,
+                message: error.message,
+                validation: error.validation
+            });
+        }
         console.error(`Error fetching/saving ${indicator} data:`, error);
         res.status(500).json({
             success: false,
@@ -417,256 +607,818 @@ app.post('/api/data/:indicator/refresh', async (req, res) => {
     }
 });
 
-// Helper function to calculate momentum with adjustable baseline period
-function calculateMomentum(dates, values, period = '1m') {
-    if (!dates || !values || dates.length === 0) {
-        console.log('calculateMomentum: No dates or values provided');
-        return { dates: [], values: [], baselineDate: null };
-    }
-
-    const today = new Date();
-    let targetDate;
-
-    // Calculate baseline date based on period
-    switch(period) {
-        case '1m':
-            // Last day of the month before previous month (2 months ago)
-            targetDate = new Date(today.getFullYear(), today.getMonth() - 1, 0);
-            break;
-        case '6m':
-            // End of first month, 6 months ago
-            targetDate = new Date(today.getFullYear(), today.getMonth() - 6, 0);
-            break;
-        case '1y':
-            // End of first month, 1 year ago
-            targetDate = new Date(today.getFullYear() - 1, today.getMonth(), 0);
-            break;
-        case '2y':
-            // End of first month, 2 years ago
-            targetDate = new Date(today.getFullYear() - 2, today.getMonth(), 0);
-            break;
-        case '3y':
-            // End of first month, 3 years ago
-            targetDate = new Date(today.getFullYear() - 3, today.getMonth(), 0);
-            break;
-        case '4y':
-            // End of first month, 4 years ago
-            targetDate = new Date(today.getFullYear() - 4, today.getMonth(), 0);
-            break;
-        case '5y':
-            // End of first month, 5 years ago
-            targetDate = new Date(today.getFullYear() - 5, today.getMonth(), 0);
-            break;
-        default:
-            targetDate = new Date(today.getFullYear(), today.getMonth(), 0);
-    }
-
-    const baselineDate = targetDate.toISOString().split('T')[0];
-    console.log(`Looking for baseline date (${period}): ${baselineDate}`);
-
-    // Find the baseline value (closest date to or before last day of previous month)
-    let baselineIndex = -1;
-    let minDiff = Infinity;
-
-    for (let i = 0; i < dates.length; i++) {
-        const currentDate = new Date(dates[i]);
-        const targetDate = new Date(baselineDate);
-        const diff = targetDate - currentDate; // positive if current is before target
-
-        // Find the closest date that is on or before the baseline date
-        if (diff >= 0 && diff < minDiff) {
-            minDiff = diff;
-            baselineIndex = i;
-        }
-    }
-
-    console.log(`Baseline index found: ${baselineIndex} (out of ${dates.length} dates)`);
-
-    // If no baseline found before the target date, find the closest date after
-    if (baselineIndex === -1) {
-        console.log('No date before baseline found, looking for closest after...');
-        for (let i = 0; i < dates.length; i++) {
-            const currentDate = new Date(dates[i]);
-            const targetDate = new Date(baselineDate);
-            const diff = Math.abs(currentDate - targetDate);
-
-            if (diff < minDiff) {
-                minDiff = diff;
-                baselineIndex = i;
-            }
-        }
+// Helper function to read a stored or derived series as `{ name, dates, values, ... }`.
+// Derived series are calculated from their inputs on every read (see lib/derived.js).
+// `range` ({ start, end }, YYYY-MM-DD or null) limits the dates returned.
+// Returns null for unknown indicators; throws if a data file cannot be read.
+async function readIndicatorSeries(indicator, range = {}) {
+    if (DATA_SOURCES[indicator]) {
+        return storage.readSeries(DATA_FILES[indicator], range);
     }
 
-    // If still no baseline found, return empty
-    if (baselineIndex === -1 || baselineIndex >= dates.length) {
-        console.log('Could not find valid baseline index');
-        return { dates: [], values: [] };
+    const spec = DERIVED_SERIES[indicator];
+    if (!spec) {
+        return null;
     }
 
-    const baselineValue = values[baselineIndex];
-    console.log(`Baseline value at ${dates[baselineIndex]}: ${baselineValue}`);
-
-    // Normalize all values from baseline onwards to baseline = 100
-    const normalizedDates = [];
-    const normalizedValues = [];
+    const left = await readIndicatorSeries(spec.left);
+    const right = await readIndicatorSeries(spec.right);
+    const entry = catalog.getIndicator(indicator);
 
-    for (let i = baselineIndex; i < dates.length; i++) {
-        normalizedDates.push(dates[i]);
-        normalizedValues.push((values[i] / baselineValue) * 100);
-    }
+    // A derived series is as fresh as its oldest input
+    const lastUpdated = [left.lastUpdated, right.lastUpdated].filter(Boolean).sort()[0] || null;
 
-    console.log(`Normalized ${normalizedDates.length} data points`);
+    // Inputs are read in full: carrying values forward needs the points before `start`
+    const series = derived.deriveSeries(spec, left, right);
+    const { start = null, end = null } = range;
+    const keep = series.dates.map(date => (!start || date >= start) && (!end || date <= end));
 
     return {
-        dates: normalizedDates,
-        values: normalizedValues,
-        baselineDate: dates[baselineIndex]
+        lastUpdated: lastUpdated,
+        indicator: indicator,
+        name: entry.name,
+        source: 'derived',
+        derive: spec,
+        dates: series.dates.filter((date, i) => keep[i]),
+        values: series.values.filter((value, i) => keep[i])
     };
 }
 
-// Helper function to calculate month-over-month growth rate
-function calculateMonthOverMonthGrowth(dates, values) {
-    if (!dates || !values || dates.length === 0) {
-        console.log('calculateMonthOverMonthGrowth: No dates or values provided');
-        return { dates: [], values: [] };
+// Helper function to validate ?start=&end= and read a series limited to that range.
+// Sends the error response itself and returns null when the request cannot be served.
+async function readSeriesRange(req, res) {
+    const { indicator } = req.params;
+    const start = req.query.start || null;
+    const end = req.query.end || null;
+
+    if (!DATA_SOURCES[indicator] && !DERIVED_SERIES[indicator]) {
+        res.status(404).json({ success: false, message: 'Invalid indicator' });
+        return null;
+    }
+    if ((start && !isValidDate(start)) || (end && !isValidDate(end)) || (start && end && start > end)) {
+        res.status(400).json({ success: false, message: 'Start and end must be dates (YYYY-MM-DD), start before end' });
+        return null;
+    }
+
+    let jsonData;
+    try {
+        // Only the points inside [start, end] are read
+        jsonData = await readIndicatorSeries(indicator, { start, end });
+        if (req.query.real === 'true') {
+            jsonData = await toRealTerms(indicator, jsonData);
+        }
+    } catch (error) {
+        res.json({ success: false, message: error.code === 'ENOENT' ? 'No local data available' : error.message });
+        return null;
+    }
+    if (jsonData.real === false) {
+        res.status(400).json({ success: false, message: `${indicator} is not a price series and has no real terms` });
+        return null;
+    }
+
+    const { values, basis } = selectBasis(jsonData, req.query.basis === 'total' ? 'total' : 'price');
+    return { indicator, name: jsonData.name || indicator, basis, real: Boolean(jsonData.real), dates: jsonData.dates, values };
+}
+
+// Risk and return statistics for one series (stored or derived)
+// ?start= and ?end= (YYYY-MM-DD) limit the range; ?basis=total uses the total-return index;
+// ?real=true deflates the series by CPI first
+app.get('/api/stats/:indicator', async (req, res) => {
+    try {
+        const series = await readSeriesRange(req, res);
+        if (!series) return;
+        const invalid = stats.checkPriceSeries(series.values);
+        if (invalid) {
+            return res.status(400).json({ success: false, message: `${series.name} ${invalid}` });
+        }
+
+        const result = stats.calculateStats(series.dates, series.values);
+        if (!result) {
+            return res.json({ success: false, message: 'Not enough data in the selected range' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                indicator: series.indicator,
+                name: series.name,
+                basis: series.basis,
+                real: series.real,
+                ...result
+            }
+        });
+    } catch (error) {
+        console.error(`Error calculating stats for ${req.params.indicator}:`, error);
+        res.status(500).json({ success: false, message: error.message });
     }
+});
 
-    // Group data by month and get the last value of each month
-    const monthlyData = {};
+// Drawdown from the running peak (underwater series) and the top N drawdown episodes
+// Same ?start=, ?end=, ?basis= and ?real= as the stats endpoint; ?top=N episodes (default 5)
+app.get('/api/drawdown/:indicator', async (req, res) => {
+    try {
+        const top = req.query.top ? parseInt(req.query.top) : 5;
+        if (isNaN(top) || top < 1 || top > 50) {
+            return res.status(400).json({ success: false, message: 'Top must be between 1 and 50' });
+        }
 
-    for (let i = 0; i < dates.length; i++) {
-        // Extract year-month directly from date string (YYYY-MM-DD format)
-        const yearMonth = dates[i].substring(0, 7); // Gets 'YYYY-MM'
+        const series = await readSeriesRange(req, res);
+        if (!series) return;
+        const invalid = stats.checkPriceSeries(series.values);
+        if (invalid) {
+            return res.status(400).json({ success: false, message: `${series.name} ${invalid}` });
+        }
 
-        // Keep the last value for each month (since dates are sorted, just overwrite)
-        if (!monthlyData[yearMonth] || dates[i] > monthlyData[yearMonth].date) {
-            monthlyData[yearMonth] = {
-                date: dates[i],
-                value: values[i]
-            };
+        const result = stats.calculateDrawdowns(series.dates, series.values);
+        if (result.dates.length < 2) {
+            return res.json({ success: false, message: 'Not enough data in the selected range' });
         }
+
+        res.json({
+            success: true,
+            data: {
+                indicator: series.indicator,
+                name: series.name,
+                basis: series.basis,
+                real: series.real,
+                dates: result.dates,
+                values: result.values,
+                episodes: result.episodes.slice(0, top),
+                totalEpisodes: result.episodes.length
+            }
+        });
+    } catch (error) {
+        console.error(`Error calculating drawdowns for ${req.params.indicator}:`, error);
+        res.status(500).json({ success: false, message: error.message });
     }
+});
+
+// Correlation lookback windows and default rolling window length per return frequency
+const CORRELATION_WINDOWS = { '3m': 3, '6m': 6, '1y': 12, '2y': 24, '5y': 60, '10y': 120 };
+const DEFAULT_ROLLING_WINDOW = { daily: 63, weekly: 26 };
+
+// Return correlations across all catalog indicators (US and Japan, derived included)
+// ?freq=daily|weekly picks the returns, ?window=3m..10y the lookback for the matrix
+// (counted back from the latest data), ?rolling=N the rolling window in returns and
+// ?pairs=sp500:treasury,nikkei:usdjpy the rolling pairwise series to include
+app.get('/api/correlation', async (req, res) => {
+    try {
+        const freq = req.query.freq || 'daily';
+        const windowKey = req.query.window || '1y';
+        const rollingWindow = req.query.rolling ? parseInt(req.query.rolling) : DEFAULT_ROLLING_WINDOW[freq];
+
+        if (!DEFAULT_ROLLING_WINDOW[freq]) {
+            return res.status(400).json({ success: false, message: 'Frequency must be daily or weekly' });
+        }
+        if (!CORRELATION_WINDOWS[windowKey]) {
+            return res.status(400).json({ success: false, message: `Window must be one of: ${Object.keys(CORRELATION_WINDOWS).join(', ')}` });
+        }
+        if (isNaN(rollingWindow) || rollingWindow < correlation.MIN_OBSERVATIONS || rollingWindow > 520) {
+            return res.status(400).json({ success: false, message: `Rolling window must be between ${correlation.MIN_OBSERVATIONS} and 520 returns` });
+        }
+
+        // Every catalog series that has data
+        let series = {};
+        for (const ind of catalog.getIndicators()) {
+            if (!DATA_SOURCES[ind.id] && !DERIVED_SERIES[ind.id]) continue;
+            try {
+                const jsonData = await readIndicatorSeries(ind.id);
+                series[ind.id] = { dates: jsonData.dates, values: jsonData.values };
+            } catch (error) {
+                console.log(`No data available for ${ind.id}: ${error.message}`);
+            }
+        }
+
+        if (Object.keys(series).length < 2) {
+            return res.json({ success: false, message: 'Not enough indicators with data' });
+        }
 
-    // Sort by year-month
-    const sortedMonths = Object.keys(monthlyData).sort();
+        // Weekly returns use one common Friday grid
+        if (freq === 'weekly') {
+            const aligned = alignment.alignSeries(series, 'weekly');
+            series = Object.fromEntries(Object.entries(aligned.series).map(([id, { values }]) => {
+                const kept = aligned.dates.map((date, i) => [date, values[i]]).filter(([, value]) => value !== null);
+                return [id, { dates: kept.map(([date]) => date), values: kept.map(([, value]) => value) }];
+            }));
+        }
 
-    console.log(`Found ${sortedMonths.length} months of data`);
+        // Lookback start, counted back from the latest date of any series
+        const latest = Object.values(series).reduce((max, s) => (s.dates.length && s.dates[s.dates.length - 1] > max ? s.dates[s.dates.length - 1] : max), '');
+        const startDate = new Date(`${latest}T00:00:00Z`);
+        startDate.setUTCMonth(startDate.getUTCMonth() - CORRELATION_WINDOWS[windowKey]);
+        const start = startDate.toISOString().split('T')[0];
+
+        const inWindow = {};
+        for (const [id, s] of Object.entries(series)) {
+            const first = s.dates.findIndex(date => date >= start);
+            inWindow[id] = first === -1 ? { dates: [], values: [] } : { dates: s.dates.slice(first), values: s.values.slice(first) };
+        }
+        const { ids, matrix, observations } = correlation.correlationMatrix(inWindow);
+
+        // Rolling series use the full history so the first point of the window already has a value
+        const rolling = {};
+        const pairs = (req.query.pairs || 'sp500:treasury').split(',').map(pair => pair.trim()).filter(Boolean);
+        for (const pair of pairs) {
+            const [a, b] = pair.split(':');
+            if (!series[a] || !series[b] || a === b) {
+                return res.status(400).json({ success: false, message: `Invalid pair: ${pair}` });
+            }
+            const result = correlation.rollingCorrelation(series[a], series[b], rollingWindow);
+            const first = result.dates.findIndex(date => date >= start);
+            rolling[pair] = first === -1
+                ? { dates: [], values: [] }
+                : { dates: result.dates.slice(first), values: result.values.slice(first) };
+        }
 
-    // Calculate month-over-month growth rates
-    const growthDates = [];
-    const growthValues = [];
+        res.json({
+            success: true,
+            data: {
+                indicators: ids,
+                names: ids.map(id => catalog.getIndicator(id).shortName),
+                matrix: matrix,
+                observations: observations,
+                rolling: rolling
+            },
+            freq: freq,
+            window: windowKey,
+            rollingWindow: rollingWindow,
+            start: start,
+            end: latest
+        });
+    } catch (error) {
+        console.error('Error calculating correlations:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
 
-    for (let i = 1; i < sortedMonths.length; i++) {
-        const currentMonth = sortedMonths[i];
-        const previousMonth = sortedMonths[i - 1];
+// Helper function to read all estimates (empty list if the file does not exist yet)
+async function readEstimates() {
+    return storage.readJson(DATA_FILES.estimates, []);
+}
 
-        const currentValue = monthlyData[currentMonth].value;
-        const previousValue = monthlyData[previousMonth].value;
+// Helper function to read estimates that were moved out of estimates.json
+async function readEstimateArchive() {
+    return storage.readJson(DATA_FILES.estimatesArchive, []);
+}
 
-        // Calculate percentage change
-        const growthRate = ((currentValue - previousValue) / previousValue) * 100;
+/**
+ * Find or register the participant behind a submission.
+ * A browser that already has an id proves it with the participant token it was
+ * given at registration; otherwise a new participant is created. So is one for
+ * an id that is not on file (participants.json was lost, e.g. on a redeploy),
+ * under a new id: nothing proves the browser owned the old one.
+ * Returns { participant, token } (token only for new participants) or null
+ * when the credentials do not match.
+ */
+async function resolveParticipant(participantId, participantToken, name) {
+    let resolved = null;
+    let change = null;
+
+    await storage.updateJson(DATA_FILES.participants, [], participants => {
+        const known = participantId ? participants.find(p => p.id === participantId) : null;
+        if (known) {
+            if (!auth.checkEditToken(participantToken, known.tokenHash)) {
+                return false;
+            }
+            resolved = { participant: known, token: null };
+            if (known.name === name) {
+                return false;
+            }
+            change = `Rename participant ${known.id} to ${name}`;
+            known.name = name;
+            return;
+        }
+        if (participantId) {
+            console.log(`Unknown participant ${participantId}, registering ${name} again`);
+        }
 
-        // Format date as "MMM YYYY" (e.g., "Aug 2025")
-        const [year, month] = currentMonth.split('-');
-        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const formattedDate = `${monthNames[parseInt(month) - 1]} ${year}`;
+        const token = auth.issueEditToken();
+        const participant = {
+            id: `p_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`,
+            name: name,
+            createdAt: new Date().toISOString(),
+            tokenHash: token.hash
+        };
+        participants.push(participant);
+        resolved = { participant, token: token.token };
+        change = `Register participant ${name}`;
+    });
 
-        growthDates.push(formattedDate);
-        growthValues.push(growthRate);
+    if (change) {
+        gitSync.recordChange(DATA_FILES.participants, change);
     }
+    return resolved;
+}
 
-    console.log(`Calculated ${growthValues.length} month-over-month growth rates`);
+// Estimate as returned to clients - the edit token hash never leaves the server
+function publicEstimate(estimate) {
+    const { editTokenHash, ...rest } = estimate;
+    return rest;
+}
 
-    return {
-        dates: growthDates,
-        values: growthValues
-    };
+// Middleware allowing changes to an estimate by its owner (X-Edit-Token header)
+// or by an admin (bearer token checked by verifyAdmin)
+async function verifyEstimateAccess(req, res, next) {
+    try {
+        const allEstimates = await readEstimates();
+        const estimate = allEstimates.find(est => est.id === parseInt(req.params.id));
+
+        if (!estimate) {
+            return res.status(404).json({ success: false, message: 'Estimate not found' });
+        }
+
+        const editToken = req.headers['x-edit-token'];
+        if (editToken && auth.checkEditToken(editToken, estimate.editTokenHash)) {
+            return next();
+        }
+
+        if (auth.getBearerToken(req)) {
+            return verifyAdmin(req, res, next);
+        }
+
+        res.status(403).json({ success: false, message: 'Only the author or an admin can change this estimate' });
+    } catch (error) {
+        console.error('Error checking estimate access:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+}
+
+// Helper function to check the forecast of a submission or an edit (see rounds.buildForecast).
+// Looking up the round's bands records them, so the round is scored with the bands
+// its point forecasts were classified with.
+async function buildEstimateForecast(body, targetMonth) {
+    const bands = await readRoundBands(targetMonth);
+    return rounds.buildForecast(body, bands.flatBands, US_INDICATORS);
 }
 
 // Submit estimate endpoint (no auth required - public can submit)
+// The response carries a one-time edit token that the browser keeps to edit or delete it later
 app.post('/api/estimates/submit', async (req, res) => {
     try {
-        const { name, estimates } = req.body;
+        const name = rounds.cleanName(req.body.name);
+        const openMonths = rounds.getOpenMonths();
+        const targetMonth = req.body.targetMonth || openMonths[0];
 
-        if (!name || !estimates) {
+        if (!name) {
+            return res.status(400).json({ success: false, message: `Name must be text of 1 to ${rounds.MAX_NAME_LENGTH} characters` });
+        }
+        if (!req.body.estimates && !req.body.probabilities && !req.body.points) {
             return res.status(400).json({ success: false, message: 'Name and estimates are required' });
         }
 
-        // Read existing estimates
-        let allEstimates = [];
-        try {
-            const data = await fs.readFile(DATA_FILES.estimates, 'utf8');
-            allEstimates = JSON.parse(data);
-        } catch (error) {
-            // File doesn't exist yet, start with empty array
-            allEstimates = [];
+        // Only rounds whose month has not started yet accept estimates
+        if (!openMonths.includes(targetMonth)) {
+            return res.status(400).json({ success: false, message: `Target month must be one of: ${openMonths.join(', ')}` });
+        }
+
+        // Directions plus an optional probability split and/or point forecast per indicator
+        const forecast = await buildEstimateForecast(req.body, targetMonth);
+        if (forecast.error) {
+            return res.status(400).json({ success: false, message: forecast.error });
+        }
+
+        // Identify the participant (registers a new one on their first submission)
+        const resolved = await resolveParticipant(req.body.participantId, req.body.participantToken, name);
+        if (!resolved) {
+            return res.status(403).json({ success: false, message: 'Invalid participant credentials' });
         }
 
         // Add new estimate
+        const editToken = auth.issueEditToken();
         const newEstimate = {
             id: Date.now(),
+            participantId: resolved.participant.id,
             name: name,
             timestamp: new Date().toISOString(),
-            estimates: estimates
+            targetMonth: targetMonth,
+            editTokenHash: editToken.hash
+        };
+        rounds.setForecast(newEstimate, forecast);
+
+        // Save to file, one submission at a time
+        await storage.updateJson(DATA_FILES.estimates, [], async allEstimates => {
+            // Ids are timestamps; two submissions in the same millisecond still get different ones
+            const lastId = allEstimates.reduce((max, est) => Math.max(max, est.id || 0), 0);
+            newEstimate.id = Math.max(newEstimate.id, lastId + 1);
+            allEstimates.push(newEstimate);
+
+            // Keep only last 100 submissions, moving older ones to the archive
+            if (allEstimates.length > 100) {
+                const moved = allEstimates.slice(0, -100);
+                await storage.updateJson(DATA_FILES.estimatesArchive, [], archive => {
+                    archive.push(...moved);
+                });
+                gitSync.recordChange(DATA_FILES.estimatesArchive, `Archive ${moved.length} old estimates`);
+                return allEstimates.slice(-100);
+            }
+        });
+        gitSync.recordChange(DATA_FILES.estimates, `New estimate by ${name} for ${targetMonth}`);
+
+        console.log(`New estimate submitted by ${name} (${resolved.participant.id})`);
+        res.json({
+            success: true,
+            message: 'Estimate submitted successfully',
+            data: publicEstimate(newEstimate),
+            editToken: editToken.token,
+            participant: { id: resolved.participant.id, name: resolved.participant.name },
+            participantToken: resolved.token
+        });
+
+    } catch (error) {
+        console.error('Error submitting estimate:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Get all estimates endpoint
+app.get('/api/estimates', async (req, res) => {
+    try {
+        const allEstimates = await readEstimates();
+        res.json({ success: true, data: allEstimates.map(publicEstimate) });
+    } catch (error) {
+        console.error('Error reading estimates:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Helper function to read frozen round results and the flat bands fixed for each round
+async function readRounds() {
+    const stored = await storage.readJson(DATA_FILES.rounds, { rounds: {} });
+    stored.bands = stored.bands || {};
+    return stored;
+}
+
+// Helper function to save rounds frozen and bands fixed since readRounds(). What is
+// already in the file wins, so a round frozen by a concurrent request stays as it was,
+// except for the `rescored` months, whose new results replace the stored ones.
+async function saveRounds(stored, rescored = []) {
+    await storage.updateJson(DATA_FILES.rounds, { rounds: {} }, current => {
+        const merged = {
+            ...stored,
+            ...current,
+            rounds: { ...stored.rounds, ...current.rounds },
+            bands: { ...stored.bands, ...(current.bands || {}) }
         };
+        rescored.forEach(month => { merged.rounds[month] = stored.rounds[month]; });
+        return merged;
+    });
+    gitSync.recordChange(DATA_FILES.rounds, 'Freeze estimate rounds and flat bands');
+}
 
-        allEstimates.push(newEstimate);
+// Helper function to read the stored series of every US indicator
+async function readUsSeries() {
+    const series = {};
+    for (const indicator of US_INDICATORS) {
+        try {
+            series[indicator] = await storage.readJson(DATA_FILES[indicator]);
+        } catch (error) {
+            console.log(`No data available for ${indicator}: ${error.message}`);
+        }
+    }
+    return series;
+}
 
-        // Keep only last 100 submissions
-        if (allEstimates.length > 100) {
-            allEstimates = allEstimates.slice(-100);
+/**
+ * Flat band of every US indicator for one round: the catalog's `flatBand` if
+ * configured, else volatility-scaled, else the default. The band set is recorded
+ * in `stored.bands` the first time an open round is looked at (its form, a
+ * submission or the scores), and the round keeps it until it is scored, so
+ * forecasts are judged by the bands they were made with. A round that started
+ * without a recorded set keeps the ±1% it was played with (see
+ * rounds.selectRoundBands). Returns true in `changed` when a set was recorded.
+ */
+function getRoundBands(month, series, stored) {
+    const selected = rounds.selectRoundBands(month, stored.bands[month], US_INDICATORS);
+    if (selected) {
+        return { ...selected, changed: false };
+    }
+
+    const flatBands = {};
+    const bandSources = {};
+
+    for (const indicator of US_INDICATORS) {
+        const configured = catalog.getIndicator(indicator).flatBand;
+        const jsonData = series[indicator];
+        const band = typeof configured === 'number'
+            ? configured
+            : jsonData ? rounds.calculateFlatBand(jsonData.dates, jsonData.values, month) : null;
+
+        flatBands[indicator] = band === null ? rounds.FLAT_BAND : band;
+        bandSources[indicator] = typeof configured === 'number' ? 'configured' : band === null ? 'default' : 'volatility';
+    }
+
+    // A missing band usually means the data has not been refreshed yet, so the
+    // set stays provisional until it can be calculated in full
+    if (Object.values(bandSources).includes('default')) {
+        return { flatBands, bandSources, changed: false };
+    }
+
+    stored.bands[month] = { flatBands, bandSources, openedAt: new Date().toISOString() };
+    return { flatBands, bandSources, changed: true };
+}
+
+// Helper function to get the bands of one round, recording its band set if it has none yet
+async function readRoundBands(month) {
+    const stored = await readRounds();
+    const selected = rounds.selectRoundBands(month, stored.bands[month], US_INDICATORS);
+    if (selected) {
+        return selected;
+    }
+
+    const bands = getRoundBands(month, await readUsSeries(), stored);
+    if (bands.changed) {
+        await saveRounds(stored);
+    }
+    return bands;
+}
+
+// Month-over-month growth of every US indicator for one round
+function calculateRoundGrowth(month, series) {
+    const growth = {};
+    const asOf = {};
+    let final = true;
+
+    for (const indicator of US_INDICATORS) {
+        const jsonData = series[indicator];
+        const result = jsonData ? rounds.calculateMonthGrowth(jsonData.dates, jsonData.values, month) : null;
+
+        growth[indicator] = result ? result.growth : null;
+        asOf[indicator] = result ? result.asOf : null;
+        if (!result || !result.final) {
+            final = false;
         }
+    }
 
-        // Save to file
-        await ensureDataDir();
-        await fs.writeFile(DATA_FILES.estimates, JSON.stringify(allEstimates, null, 2));
+    return { growth, asOf, final };
+}
+
+// Helper function to spot a round without a recorded band set that was frozen with
+// volatility bands (picked after it had started), so that it is scored again with
+// the ±1% band it was played with
+function isFrozenWithWrongBands(month, frozen, stored) {
+    return !rounds.isRecordedBandSet(stored.bands[month]) &&
+        Object.values(frozen.bandSources || {}).some(source => source !== 'legacy');
+}
+
+/**
+ * Score every estimate round, newest first.
+ * Open rounds are scored provisionally on month-to-date growth. A closed round
+ * whose data is complete is frozen into estimate_rounds.json and served from
+ * there from then on, so its results are reproducible.
+ */
+async function getEstimateRounds() {
+    const allEstimates = [...await readEstimateArchive(), ...await readEstimates()];
+    const stored = await readRounds();
+    let changed = false;
+
+    // Group estimates by target month
+    const byMonth = {};
+    for (const estimate of allEstimates) {
+        const month = rounds.getTargetMonth(estimate);
+        if (month) {
+            (byMonth[month] = byMonth[month] || []).push(estimate);
+        }
+    }
+
+    const months = [...new Set([...Object.keys(byMonth), ...Object.keys(stored.rounds)])].sort().reverse();
+    let series = null;
+
+    const result = [];
+    const rescored = [];
+    for (const month of months) {
+        const frozen = stored.rounds[month];
+        if (frozen && !isFrozenWithWrongBands(month, frozen, stored)) {
+            result.push({ ...frozen, status: 'closed', frozen: true });
+            continue;
+        }
+
+        series = series || await readUsSeries();
+        const { growth, asOf, final } = calculateRoundGrowth(month, series);
+        const bands = getRoundBands(month, series, stored);
+        changed = changed || bands.changed;
+
+        const round = {
+            month: month,
+            flatBands: bands.flatBands,
+            bandSources: bands.bandSources,
+            growth: growth,
+            asOf: asOf,
+            scores: rounds.scoreRound(byMonth[month] || [], growth, bands.flatBands)
+        };
+
+        if (rounds.isRoundClosed(month) && final) {
+            round.frozenAt = new Date().toISOString();
+            if (frozen) {
+                rescored.push(month);
+                console.log(`Estimate round ${month} rescored with the ±${rounds.FLAT_BAND}% band it was played with`);
+            } else {
+                console.log(`Estimate round ${month} closed and frozen`);
+            }
+            stored.rounds[month] = round;
+            changed = true;
+            result.push({ ...round, status: 'closed', frozen: true });
+        } else {
+            // Closed rounds still waiting for month-end data are 'pending'
+            result.push({ ...round, status: rounds.isRoundClosed(month) ? 'pending' : 'open', frozen: false });
+        }
+    }
+
+    if (changed) {
+        await saveRounds(stored, rescored);
+    }
 
-        console.log(`New estimate submitted by ${name}`);
-        res.json({ success: true, message: 'Estimate submitted successfully', data: newEstimate });
+    return result;
+}
+
+// Estimate scores per monthly round (?month=YYYY-MM for a single round)
+app.get('/api/estimates/scores', async (req, res) => {
+    try {
+        let result = await getEstimateRounds();
+        if (req.query.month) {
+            result = result.filter(round => round.month === req.query.month);
+        }
+        res.json({ success: true, data: result });
 
     } catch (error) {
-        console.error('Error submitting estimate:', error);
+        console.error('Error scoring estimates:', error);
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-// Get all estimates endpoint
-app.get('/api/estimates', async (req, res) => {
+// Flat bands for a round (?month=YYYY-MM, default the next round taking forecasts),
+// so the estimate form can show them before anyone submits
+app.get('/api/estimates/bands', async (req, res) => {
+    try {
+        const month = req.query.month || rounds.getOpenMonths()[0];
+        if (!rounds.isValidMonth(month)) {
+            return res.status(400).json({ success: false, message: 'Month must be YYYY-MM' });
+        }
+
+        const stored = await readRounds();
+        const frozen = stored.rounds[month];
+        const bands = frozen && frozen.flatBands && !isFrozenWithWrongBands(month, frozen, stored)
+            ? { flatBands: frozen.flatBands, bandSources: frozen.bandSources, changed: false }
+            : getRoundBands(month, await readUsSeries(), stored);
+
+        if (bands.changed) {
+            await saveRounds(stored);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                month: month,
+                flatBands: bands.flatBands,
+                bandSources: bands.bandSources,
+                lookbackMonths: rounds.BAND_LOOKBACK_MONTHS,
+                volatilityMultiplier: rounds.BAND_VOL_MULTIPLIER
+            }
+        });
+
+    } catch (error) {
+        console.error('Error calculating flat bands:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Leaderboard ranking metric from ?metric= (hitRate, brier, logLoss or mae)
+function getLeaderboardMetric(req) {
+    return rounds.METRICS[req.query.metric] ? req.query.metric : 'hitRate';
+}
+
+// All-time leaderboard over closed rounds: hit rate, Brier score, log loss and MAE,
+// per-indicator accuracy, streaks and rank history per participant
+// (round details are left to the drill-down). ?metric= picks the ranking.
+app.get('/api/estimates/leaderboard', async (req, res) => {
+    try {
+        const closed = (await getEstimateRounds()).filter(round => round.status === 'closed');
+        const leaderboard = rounds.buildLeaderboard(closed, getLeaderboardMetric(req));
+
+        res.json({
+            success: true,
+            data: {
+                metric: leaderboard.metric,
+                rounds: leaderboard.rounds,
+                entries: leaderboard.entries.map(({ rounds: roundHistory, ...entry }) => entry)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error building leaderboard:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Leaderboard drill-down for one participant (key from the leaderboard entries)
+app.get('/api/estimates/leaderboard/:key', async (req, res) => {
     try {
-        const data = await fs.readFile(DATA_FILES.estimates, 'utf8');
-        const allEstimates = JSON.parse(data);
-        res.json({ success: true, data: allEstimates });
+        const closed = (await getEstimateRounds()).filter(round => round.status === 'closed');
+        const leaderboard = rounds.buildLeaderboard(closed, getLeaderboardMetric(req));
+        const entry = leaderboard.entries.find(e => e.key === req.params.key);
+
+        if (!entry) {
+            return res.status(404).json({ success: false, message: 'Participant not found on the leaderboard' });
+        }
+
+        res.json({ success: true, data: { ...entry, metric: leaderboard.metric, totalParticipants: leaderboard.entries.length } });
+
     } catch (error) {
-        // File doesn't exist yet
-        res.json({ success: true, data: [] });
+        console.error('Error loading participant history:', error);
+        res.status(500).json({ success: false, message: error.message });
     }
 });
 
-// Delete estimate endpoint (public - anyone can delete)
-app.delete('/api/estimates/:id', async (req, res) => {
+// Edit estimate endpoint (author or admin, until the round's month starts)
+app.put('/api/estimates/:id', verifyEstimateAccess, async (req, res) => {
     try {
         const { id } = req.params;
+        const editsName = req.body.name !== undefined;
+        const name = editsName ? rounds.cleanName(req.body.name) : null;
+        const editsForecast = Boolean(req.body.estimates || req.body.probabilities || req.body.points);
 
-        // Read existing estimates
-        let allEstimates = [];
-        try {
-            const data = await fs.readFile(DATA_FILES.estimates, 'utf8');
-            allEstimates = JSON.parse(data);
-        } catch (error) {
-            return res.json({ success: false, message: 'No estimates found' });
+        if (!editsName && !editsForecast) {
+            return res.status(400).json({ success: false, message: 'Name or estimates required' });
+        }
+        if (editsName && !name) {
+            return res.status(400).json({ success: false, message: `Name must be text of 1 to ${rounds.MAX_NAME_LENGTH} characters` });
         }
 
-        // Filter out the estimate to delete
-        const filteredEstimates = allEstimates.filter(est => est.id !== parseInt(id));
+        // A new forecast replaces the old one as a whole and gets the same checks as a submission
+        let estimate = null;
+        let started = false;
+        let forecast = null;
+        await storage.updateJson(DATA_FILES.estimates, [], async allEstimates => {
+            estimate = allEstimates.find(est => est.id === parseInt(id));
+            if (!estimate) {
+                return false;
+            }
+            const targetMonth = rounds.getTargetMonth(estimate);
+            if (!rounds.isRoundOpen(targetMonth)) {
+                started = true;
+                return false;
+            }
+            if (editsForecast) {
+                forecast = await buildEstimateForecast(req.body, targetMonth);
+                if (forecast.error) {
+                    return false;
+                }
+                rounds.setForecast(estimate, forecast);
+            }
+
+            if (name) {
+                estimate.name = name;
+            }
+            estimate.editedAt = new Date().toISOString();
+        });
 
-        if (filteredEstimates.length === allEstimates.length) {
+        // Deleted by someone else since verifyEstimateAccess looked it up
+        if (!estimate) {
             return res.json({ success: false, message: 'Estimate not found' });
         }
+        if (started) {
+            return res.status(409).json({ success: false, message: 'This round has started and can no longer be edited' });
+        }
+        if (forecast && forecast.error) {
+            return res.status(400).json({ success: false, message: forecast.error });
+        }
 
-        // Save updated list
-        await fs.writeFile(DATA_FILES.estimates, JSON.stringify(filteredEstimates, null, 2));
+        console.log(`Estimate ${id} edited${req.admin ? ' by admin' : ''}`);
+        gitSync.recordChange(DATA_FILES.estimates, `Edit estimate ${id} by ${estimate.name}${req.admin ? ' (admin)' : ''}`);
+        res.json({ success: true, message: 'Estimate updated successfully', data: publicEstimate(estimate) });
 
-        console.log(`Estimate ${id} deleted`);
+    } catch (error) {
+        console.error('Error editing estimate:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Delete estimate endpoint (author until the round's month starts, or admin)
+app.delete('/api/estimates/:id', verifyEstimateAccess, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Filter out the estimate to delete. Once its round has started only an admin
+        // can remove it, so a call going wrong cannot be withdrawn.
+        let deleted = null;
+        let started = false;
+        await storage.updateJson(DATA_FILES.estimates, [], allEstimates => {
+            deleted = allEstimates.find(est => est.id === parseInt(id)) || null;
+            if (deleted && !req.admin && !rounds.isRoundOpen(rounds.getTargetMonth(deleted))) {
+                started = true;
+                return false;
+            }
+            return deleted ? allEstimates.filter(est => est !== deleted) : false;
+        });
+
+        if (!deleted) {
+            return res.json({ success: false, message: 'Estimate not found' });
+        }
+        if (started) {
+            return res.status(409).json({ success: false, message: 'This round has started; only an admin can delete its estimates' });
+        }
+
+        console.log(`Estimate ${id} deleted${req.admin ? ' by admin' : ''}`);
+        gitSync.recordChange(DATA_FILES.estimates, `Delete estimate ${id} by ${deleted.name}${req.admin ? ' (admin)' : ''}`);
         res.json({ success: true, message: 'Estimate deleted successfully' });
 
     } catch (error) {
@@ -675,11 +1427,224 @@ app.delete('/api/estimates/:id', async (req, res) => {
     }
 });
 
+// Helper function to read chart events and recession periods (defaults if the file does not exist yet)
+async function readChartEvents() {
+    const data = await storage.readJson(DATA_FILES.events, {});
+    return { ...JSON.parse(JSON.stringify(chartEvents.DEFAULT_EVENTS)), ...data };
+}
+
+// Helper function to change chart events in one read-modify-write (see storage.updateJson)
+async function updateChartEvents(updater) {
+    return storage.updateJson(DATA_FILES.events, {}, async stored => {
+        const data = { ...JSON.parse(JSON.stringify(chartEvents.DEFAULT_EVENTS)), ...stored };
+        if (await updater(data) === false) {
+            return false;
+        }
+        data.events = chartEvents.sortEvents(data.events);
+        return data;
+    });
+}
+
+// Get chart events (FOMC, BoJ, elections...) and recession periods for shading
+app.get('/api/events', async (req, res) => {
+    try {
+        res.json({ success: true, data: await readChartEvents() });
+    } catch (error) {
+        console.error('Error reading events:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Add a chart event (admin only)
+app.post('/api/events', verifyAdmin, async (req, res) => {
+    const { event, error } = chartEvents.validateEvent(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+        event.id = Date.now();
+        await updateChartEvents(data => {
+            data.events.push(event);
+        });
+        gitSync.recordChange(DATA_FILES.events, `Add chart event "${event.label}" (${event.date})`);
+        res.json({ success: true, data: event, message: 'Event added' });
+    } catch (error) {
+        console.error('Error adding event:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Update a chart event (admin only)
+app.put('/api/events/:id', verifyAdmin, async (req, res) => {
+    const { event, error } = chartEvents.validateEvent(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+        let found = false;
+        await updateChartEvents(data => {
+            const index = data.events.findIndex(e => e.id === parseInt(req.params.id));
+            if (index === -1) {
+                return false;
+            }
+            found = true;
+            event.id = data.events[index].id;
+            data.events[index] = event;
+        });
+        if (!found) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        gitSync.recordChange(DATA_FILES.events, `Edit chart event "${event.label}" (${event.date})`);
+        res.json({ success: true, data: event, message: 'Event updated' });
+    } catch (error) {
+        console.error('Error updating event:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Delete a chart event (admin only)
+app.delete('/api/events/:id', verifyAdmin, async (req, res) => {
+    try {
+        let deleted = null;
+        await updateChartEvents(data => {
+            deleted = data.events.find(e => e.id === parseInt(req.params.id)) || null;
+            if (!deleted) {
+                return false;
+            }
+            data.events = data.events.filter(e => e !== deleted);
+        });
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        gitSync.recordChange(DATA_FILES.events, `Delete chart event "${deleted.label}" (${deleted.date})`);
+        res.json({ success: true, message: 'Event deleted' });
+    } catch (error) {
+        console.error('Error deleting event:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Refresh US recession periods from FRED USREC (admin only).
+// Japanese periods follow the Cabinet Office reference dates and are edited in data/events.json.
+app.post('/api/events/recessions/refresh', verifyAdmin, async (req, res) => {
+    try {
+        const usrec = await fetchFromFRED(chartEvents.US_RECESSION_SERIES);
+        const data = await updateChartEvents(stored => {
+            stored.recessions = { ...stored.recessions, us: chartEvents.toRecessionPeriods(usrec.dates, usrec.values) };
+            stored.recessionsUpdated = new Date().toISOString();
+        });
+        gitSync.recordChange(DATA_FILES.events, `Refresh US recession periods (${data.recessions.us.length} from FRED ${chartEvents.US_RECESSION_SERIES})`);
+        res.json({
+            success: true,
+            data: data.recessions,
+            message: `Loaded ${data.recessions.us.length} US recession periods from FRED ${chartEvents.US_RECESSION_SERIES}`
+        });
+    } catch (error) {
+        console.error('Error refreshing recessions:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// List refreshes rejected by the validation gate, with the reasons (admin only)
+app.get('/api/quarantine', verifyAdmin, async (req, res) => {
+    try {
+        const entries = [];
+        for (const [indicator, filePath] of Object.entries(DATA_FILES)) {
+            if (!DATA_SOURCES[indicator]) continue;
+            const quarantined = await readQuarantine(filePath);
+            if (!quarantined) continue;
+            const dates = quarantined.data.dates || [];
+            entries.push({
+                indicator: indicator,
+                name: DATA_SOURCES[indicator].name,
+                quarantinedAt: quarantined.quarantinedAt,
+                errors: quarantined.errors,
+                warnings: quarantined.warnings,
+                points: dates.length,
+                firstDate: dates[0] || null,
+                lastDate: dates[dates.length - 1] || null
+            });
+        }
+        res.json({ success: true, data: entries });
+    } catch (error) {
+        console.error('Error reading quarantine:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Save a quarantined refresh anyway, e.g. after a real market crash (admin only)
+app.post('/api/quarantine/:indicator/accept', verifyAdmin, async (req, res) => {
+    const { indicator } = req.params;
+    if (!DATA_SOURCES[indicator]) {
+        return res.status(404).json({ success: false, message: 'Invalid indicator' });
+    }
+
+    try {
+        const quarantined = await readQuarantine(DATA_FILES[indicator]);
+        if (!quarantined) {
+            return res.status(404).json({ success: false, message: `No quarantined data for ${indicator}` });
+        }
+        await storage.writeJson(DATA_FILES[indicator], quarantined.data);
+        await removeQuarantine(DATA_FILES[indicator]);
+        console.log(`Quarantined ${indicator} data accepted by admin`);
+        gitSync.recordChange(DATA_FILES[indicator], `Accept quarantined ${DATA_SOURCES[indicator].name} refresh`);
+        res.json({ success: true, message: `Quarantined ${indicator} data saved (${quarantined.data.dates.length} points)` });
+    } catch (error) {
+        console.error('Error accepting quarantined data:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Discard a quarantined refresh, keeping the stored file (admin only)
+app.delete('/api/quarantine/:indicator', verifyAdmin, async (req, res) => {
+    const { indicator } = req.params;
+    if (!DATA_SOURCES[indicator]) {
+        return res.status(404).json({ success: false, message: 'Invalid indicator' });
+    }
+
+    try {
+        if (!(await removeQuarantine(DATA_FILES[indicator]))) {
+            return res.status(404).json({ success: false, message: `No quarantined data for ${indicator}` });
+        }
+        res.json({ success: true, message: `Quarantined ${indicator} data discarded` });
+    } catch (error) {
+        console.error('Error discarding quarantined data:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Data changes waiting to be committed and the last pushed commits (admin only)
+app.get('/api/git-sync', verifyAdmin, (req, res) => {
+    res.json({ success: true, data: gitSync.getStatus() });
+});
+
+// Commit and push pending data changes now instead of after the debounce delay (admin only)
+app.post('/api/git-sync/flush', verifyAdmin, async (req, res) => {
+    if (!gitSync.enabled) {
+        return res.status(400).json({ success: false, message: 'Git sync is not configured (set GIT_SYNC_REMOTE)' });
+    }
+
+    try {
+        const result = await gitSync.flush();
+        let message = 'No pending changes';
+        if (result) {
+            message = result.status === 'pushed'
+                ? `Pushed ${result.commit.substring(0, 7)}${result.createdBranch ? ` (created branch ${gitSync.getStatus().branch} on the remote)` : ''}: ${result.message}`
+                : 'The remote already has these changes';
+        }
+        res.json({ success: true, data: gitSync.getStatus(), message: message });
+    } catch (error) {
+        console.error('Error syncing data to git:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 // Get S&P 500 news
 app.get('/api/news/sp500', async (req, res) => {
     try {
-        const newsData = await fs.readFile(DATA_FILES.news, 'utf8');
-        const news = JSON.parse(newsData);
+        const news = await storage.readJson(DATA_FILES.news);
         res.json({ success: true, data: news });
     } catch (error) {
         // If file doesn't exist, return empty array
@@ -802,9 +1767,10 @@ app.post('/api/news/collect', verifyAdmin, async (req, res) => {
             lastUpdated: new Date().toISOString()
         };
 
-        await fs.writeFile(DATA_FILES.news, JSON.stringify(newsData, null, 2));
+        await storage.writeJson(DATA_FILES.news, newsData);
 
         console.log(`Successfully saved ${articles.length} articles to file`);
+        gitSync.recordChange(DATA_FILES.news, `Collect S&P 500 news (${articles.length} articles)`);
 
         res.json({
             success: true,
@@ -821,19 +1787,45 @@ app.post('/api/news/collect', verifyAdmin, async (req, res) => {
 // Reset news cost counter (admin only)
 app.post('/api/news/reset-cost', verifyAdmin, async (req, res) => {
     try {
-        const newsData = await fs.readFile(DATA_FILES.news, 'utf8');
-        const news = JSON.parse(newsData);
-        news.totalCost = 0;
-        await fs.writeFile(DATA_FILES.news, JSON.stringify(news, null, 2));
+        await storage.updateJson(DATA_FILES.news, undefined, news => {
+            news.totalCost = 0;
+        });
+        gitSync.recordChange(DATA_FILES.news, 'Reset news cost counter');
         res.json({ success: true, message: 'Cost counter reset to $0.00' });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-// Start server
-app.listen(PORT, async () => {
-    await ensureDataDir();
-    console.log(`Server running at http://localhost:${PORT}`);
-    console.log(`Data directory: ${DATA_DIR}`);
-});
\ No newline at end of file
+// Start server once the revoked admin sessions are loaded, so none is accepted in between
+auth.loadRevokedTokens(DATA_FILES.revokedTokens).then(() => {
+    app.listen(PORT, async () => {
+        await ensureDataDir();
+        console.log(`Server running at http://localhost:${PORT}`);
+        console.log(`Data directory: ${DATA_DIR}`);
+        if (gitSync.enabled) {
+            const { remote, branch } = gitSync.getStatus();
+            console.log(`Git sync: data changes are pushed to ${remote} (${branch})`);
+        }
+    });
+}).catch(error => {
+    console.error('Could not load revoked admin sessions:', error);
+    process.exit(1);
+});
+
+// Commit pending data changes before the server stops (e.g. a Render redeploy)
+async function shutdown(signal) {
+    console.log(`${signal} received, shutting down`);
+    try {
+        await gitSync.drain();
+        const left = gitSync.getStatus().pending;
+        if (left.length > 0) {
+            console.error(`Pending data changes were not pushed: ${left.map(entry => entry.file).join(', ')}`);
+        }
+    } catch (error) {
+        console.error('Pending data changes could not be pushed:', error.message);
+    }
+    process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
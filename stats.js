@@ -0,0 +1,164 @@
+// Risk and return stats card and drawdown view shown under each indicator chart
+
+class IndicatorStats {
+    /**
+     * Load the stats for an indicator from the server and render them into `${indicator}-stats`.
+     * Only the latest request per card is rendered, so quick range changes cannot show stale stats.
+     */
+    static async load(indicator, startDate, basis = 'price', real = false) {
+        const statsEl = document.getElementById(`${indicator}-stats`);
+        if (!statsEl) return;
+
+        const requestId = String(Date.now() + Math.random());
+        statsEl.dataset.request = requestId;
+
+        try {
+            const params = new URLSearchParams({ start: startDate, basis });
+            if (real) {
+                params.set('real', 'true');
+            }
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/stats/${indicator}?${params}`);
+            const result = await response.json();
+
+            if (statsEl.dataset.request !== requestId) return;
+
+            if (!result.success) {
+                statsEl.style.display = 'none';
+                return;
+            }
+
+            statsEl.innerHTML = IndicatorStats.render(result.data);
+            statsEl.style.display = '';
+        } catch (error) {
+            // Stats need the server; the chart itself still works without them
+            console.log(`Stats unavailable for ${indicator}: ${error.message}`);
+            statsEl.style.display = 'none';
+        }
+    }
+
+    /**
+     * Plot the underwater (drawdown) chart for an indicator and list its deepest drawdowns.
+     * Calculated on the server so every page and export gets the same numbers.
+     */
+    static async loadDrawdown(indicator, startDate, basis = 'price', { top = 5, annotations = null, real = false } = {}) {
+        const tableEl = document.getElementById(`${indicator}-drawdowns`);
+        const errorEl = document.getElementById(`${indicator}-error`);
+
+        const requestId = String(Date.now() + Math.random());
+        tableEl.dataset.request = requestId;
+
+        try {
+            const params = new URLSearchParams({ start: startDate, basis, top });
+            if (real) {
+                params.set('real', 'true');
+            }
+            const response = await fetch(`${CONFIG.SERVER_URL}/api/drawdown/${indicator}?${params}`);
+            const result = await response.json();
+
+            if (tableEl.dataset.request !== requestId) return;
+
+            if (!result.success) {
+                throw new Error(result.message || 'No drawdown data available');
+            }
+
+            errorEl.style.display = 'none';
+            IndicatorChart.plotDrawdown(`${indicator}-chart`, result.data, { filename: `${indicator}_drawdown`, annotations });
+            tableEl.innerHTML = IndicatorStats.renderDrawdowns(result.data.episodes);
+            tableEl.style.display = '';
+        } catch (error) {
+            console.error(`Error loading drawdowns for ${indicator}:`, error);
+            tableEl.style.display = 'none';
+            errorEl.textContent = `Error loading drawdowns: ${error.message}`;
+            errorEl.style.display = 'block';
+        }
+    }
+
+    /**
+     * Hide the drawdown table when the chart goes back to the price view
+     */
+    static hideDrawdowns(indicator) {
+        const tableEl = document.getElementById(`${indicator}-drawdowns`);
+        if (tableEl) {
+            tableEl.dataset.request = '';
+            tableEl.style.display = 'none';
+        }
+    }
+
+    /**
+     * HTML table of drawdown episodes, deepest first
+     */
+    static renderDrawdowns(episodes) {
+        if (episodes.length === 0) {
+            return '<p class="drawdown-none">No drawdowns in this range.</p>';
+        }
+
+        const rows = episodes.map((episode, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td class="negative">${episode.depth.toFixed(2)}%</td>
+                <td>${episode.peak}</td>
+                <td>${episode.trough}</td>
+                <td>${episode.recovery || 'Not yet'}</td>
+                <td>${episode.daysToTrough}</td>
+                <td>${episode.daysToRecover === null ? '--' : episode.daysToRecover}</td>
+                <td>${episode.days}${episode.recovery ? '' : '+'}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="growth-table drawdown-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Depth</th>
+                        <th>Peak</th>
+                        <th>Trough</th>
+                        <th>Recovered</th>
+                        <th title="Calendar days from peak to trough">To Trough</th>
+                        <th title="Calendar days from trough back to the peak">To Recover</th>
+                        <th title="Calendar days from peak to recovery">Total Days</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    static formatPercent(value) {
+        if (value === null || value === undefined) return '--';
+        return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+    }
+
+    static formatRatio(value) {
+        return value === null || value === undefined ? '--' : value.toFixed(2);
+    }
+
+    /**
+     * HTML for the stats grid
+     */
+    static render(stats) {
+        const drawdown = stats.maxDrawdown;
+        const drawdownTitle = drawdown.peakDate
+            ? `Peak ${drawdown.peakDate}, trough ${drawdown.troughDate}${drawdown.recoveryDate ? `, recovered ${drawdown.recoveryDate}` : ', not yet recovered'}`
+            : '';
+        const items = [
+            ['CAGR', IndicatorStats.formatPercent(stats.cagr), `Total return ${IndicatorStats.formatPercent(stats.totalReturn)} from ${stats.start} to ${stats.end}`],
+            ['Volatility', stats.volatility === null ? '--' : `${stats.volatility.toFixed(2)}%`, 'Annualized standard deviation of returns'],
+            ['Max DD', IndicatorStats.formatPercent(drawdown.value), drawdownTitle],
+            ['Sharpe', IndicatorStats.formatRatio(stats.sharpe), `Risk-free rate ${stats.riskFreeRate}%`],
+            ['Sortino', IndicatorStats.formatRatio(stats.sortino), `Risk-free rate ${stats.riskFreeRate}%`],
+            ['Best Day', stats.bestDay ? IndicatorStats.formatPercent(stats.bestDay.value) : '--', stats.bestDay ? stats.bestDay.date : ''],
+            ['Worst Day', stats.worstDay ? IndicatorStats.formatPercent(stats.worstDay.value) : '--', stats.worstDay ? stats.worstDay.date : ''],
+            ['Best Month', stats.bestMonth ? IndicatorStats.formatPercent(stats.bestMonth.value) : '--', stats.bestMonth ? stats.bestMonth.month : ''],
+            ['Worst Month', stats.worstMonth ? IndicatorStats.formatPercent(stats.worstMonth.value) : '--', stats.worstMonth ? stats.worstMonth.month : ''],
+            ['Up Months', stats.positiveMonths === null ? '--' : `${(stats.positiveMonths * 100).toFixed(0)}%`, `${stats.months} full months`]
+        ];
+
+        return items.map(([label, value, title]) => `
+            <div class="stat-item" title="${title}">
+                <span class="stat-label">${label}</span>
+                <span class="stat-value">${value}</span>
+            </div>
+        `).join('');
+    }
+}
@@ -0,0 +1,58 @@
+// Date alignment (lib/alignment.js): grids per mode and carried-forward points
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { alignSeries } = require('../lib/alignment');
+
+// 2026-01-05 is a Monday
+const a = { dates: ['2026-01-05', '2026-01-06', '2026-01-08'], values: [1, 2, 3] };
+const b = { dates: ['2026-01-05', '2026-01-07', '2026-01-08'], values: [10, 20, 30] };
+
+test('intersection keeps only the dates every series has', () => {
+    const aligned = alignSeries({ a, b }, 'intersection');
+    assert.deepStrictEqual(aligned.dates, ['2026-01-05', '2026-01-08']);
+    assert.deepStrictEqual(aligned.series.a, { values: [1, 3], filled: [], filledCount: 0 });
+    assert.deepStrictEqual(aligned.series.b, { values: [10, 30], filled: [], filledCount: 0 });
+});
+
+test('union carries the last value forward and flags it as filled', () => {
+    const aligned = alignSeries({ a, b }, 'union');
+    assert.deepStrictEqual(aligned.dates, ['2026-01-05', '2026-01-06', '2026-01-07', '2026-01-08']);
+    assert.deepStrictEqual(aligned.series.a, { values: [1, 2, 2, 3], filled: [2], filledCount: 1 });
+    assert.deepStrictEqual(aligned.series.b, { values: [10, 10, 20, 30], filled: [1], filledCount: 1 });
+});
+
+test('points before the first observation are null, not filled', () => {
+    const late = { dates: ['2026-01-07'], values: [5] };
+    const aligned = alignSeries({ a, late }, 'union');
+    assert.deepStrictEqual(aligned.series.late.values, [null, null, 5, 5]);
+    assert.deepStrictEqual(aligned.series.late.filled, [3]);
+});
+
+test('business fills weekdays only', () => {
+    const series = { dates: ['2026-01-09', '2026-01-13'], values: [1, 2] };
+    const aligned = alignSeries({ series }, 'business');
+    assert.deepStrictEqual(aligned.dates, ['2026-01-09', '2026-01-12', '2026-01-13']);
+    assert.deepStrictEqual(aligned.series.series.values, [1, 1, 2]);
+    assert.deepStrictEqual(aligned.series.series.filled, [1]);
+});
+
+test('weekly takes the last value of each week, labelled with its Friday', () => {
+    const series = { dates: ['2026-01-05', '2026-01-09', '2026-01-14'], values: [1, 2, 3] };
+    const aligned = alignSeries({ series }, 'weekly');
+    // The current week is labelled with the latest date instead of a future Friday
+    assert.deepStrictEqual(aligned.dates, ['2026-01-09', '2026-01-14']);
+    assert.deepStrictEqual(aligned.series.series.values, [2, 3]);
+});
+
+test('monthly carries a value through a month without observations', () => {
+    const series = { dates: ['2026-01-15', '2026-03-10'], values: [1, 2] };
+    const aligned = alignSeries({ series }, 'monthly');
+    assert.deepStrictEqual(aligned.dates, ['2026-01-31', '2026-02-28', '2026-03-10']);
+    assert.deepStrictEqual(aligned.series.series.values, [1, 1, 2]);
+    assert.deepStrictEqual(aligned.series.series.filled, [1]);
+});
+
+test('an unknown mode is rejected', () => {
+    assert.throws(() => alignSeries({ a }, 'daily'), /Unknown alignment mode/);
+});
@@ -0,0 +1,121 @@
+// Admin session tokens (lib/auth.js): signing, expiry and revocation that survives a restart
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.ADMIN_TOKEN_SECRET = 'test-secret';
+delete process.env.STORAGE_BACKEND;
+
+let dir;
+let revokedFile;
+
+// A fresh copy of the module, as after a server restart
+function loadAuth() {
+    delete require.cache[require.resolve('../lib/auth')];
+    return require('../lib/auth');
+}
+
+// Token with the given claims, signed like lib/auth.js does with the test secret
+function signClaims(claims) {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.createHmac('sha256', 'test-secret').update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+}
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+    revokedFile = path.join(dir, 'revoked_tokens.json');
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('an issued token verifies with its claims', () => {
+    const auth = loadAuth();
+    const { token, expiresAt } = auth.issueToken('admin');
+    const result = auth.verifyToken(token);
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.claims.sub, 'admin');
+    assert.strictEqual(new Date(result.claims.exp).toISOString(), expiresAt);
+    assert.strictEqual(result.claims.exp - result.claims.iat, 12 * 60 * 60 * 1000);
+});
+
+test('malformed and tampered tokens are rejected', () => {
+    const auth = loadAuth();
+    const { token } = auth.issueToken('admin');
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'admin', exp: Date.now() + 60000, jti: 'x' })).toString('base64url');
+
+    assert.deepStrictEqual(auth.verifyToken(undefined), { valid: false, reason: 'malformed' });
+    assert.deepStrictEqual(auth.verifyToken('abc'), { valid: false, reason: 'malformed' });
+    assert.deepStrictEqual(auth.verifyToken(`${payload}.`), { valid: false, reason: 'malformed' });
+    assert.deepStrictEqual(auth.verifyToken(`${forged}.${signature}`), { valid: false, reason: 'signature' });
+    assert.strictEqual(auth.verifyToken(`${payload}.${signature}x`).reason, 'signature');
+});
+
+test('an expired token is rejected', () => {
+    const auth = loadAuth();
+    const now = Date.now();
+    const expired = signClaims({ sub: 'admin', iat: now - 2000, exp: now - 1000, jti: 'old' });
+    const valid = signClaims({ sub: 'admin', iat: now, exp: now + 60000, jti: 'new' });
+
+    assert.deepStrictEqual(auth.verifyToken(expired), { valid: false, reason: 'expired' });
+    assert.strictEqual(auth.verifyToken(valid).valid, true);
+    assert.deepStrictEqual(auth.verifyToken(signClaims({ sub: 'admin', jti: 'none' })), { valid: false, reason: 'expired' });
+});
+
+test('a revoked token stays revoked after a restart', async () => {
+    let auth = loadAuth();
+    await auth.loadRevokedTokens(revokedFile);
+    const { token } = auth.issueToken('admin');
+    const other = auth.issueToken('admin').token;
+
+    assert.strictEqual(await auth.revokeToken(token), true);
+    assert.deepStrictEqual(auth.verifyToken(token), { valid: false, reason: 'revoked' });
+    // Revoking again is a no-op for an invalid token
+    assert.strictEqual(await auth.revokeToken(token), false);
+
+    auth = loadAuth();
+    assert.strictEqual(auth.verifyToken(token).valid, true, 'not loaded yet');
+    await auth.loadRevokedTokens(revokedFile);
+    assert.deepStrictEqual(auth.verifyToken(token), { valid: false, reason: 'revoked' });
+    assert.strictEqual(auth.verifyToken(other).valid, true);
+});
+
+test('expired revocations are dropped from the file', async () => {
+    const now = Date.now();
+    fs.writeFileSync(revokedFile, JSON.stringify({ stale: now - 1000 }));
+
+    const auth = loadAuth();
+    await auth.loadRevokedTokens(revokedFile);
+    const { token } = auth.issueToken('admin');
+    await auth.revokeToken(token);
+
+    const { jti } = JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8'));
+    const stored = JSON.parse(fs.readFileSync(revokedFile, 'utf8'));
+    assert.deepStrictEqual(Object.keys(stored), [jti]);
+});
+
+test('edit tokens are checked against their hash', () => {
+    const auth = loadAuth();
+    const { token, hash } = auth.issueEditToken();
+
+    assert.strictEqual(auth.checkEditToken(token, hash), true);
+    assert.strictEqual(auth.checkEditToken(`${token}x`, hash), false);
+    assert.strictEqual(auth.checkEditToken('', hash), false);
+    assert.strictEqual(auth.checkEditToken(token, undefined), false);
+});
+
+test('an unset admin password never matches', () => {
+    const auth = loadAuth();
+    assert.strictEqual(auth.checkPassword('', ''), false);
+    assert.strictEqual(auth.checkPassword('pw', ''), false);
+    assert.strictEqual(auth.checkPassword('pw', 'pw'), true);
+    assert.strictEqual(auth.checkPassword('pw2', 'pw'), false);
+});
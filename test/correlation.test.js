@@ -0,0 +1,78 @@
+// Correlations (lib/correlation.js): Pearson coefficients of returns on shared dates
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MIN_OBSERVATIONS, pearson, correlationMatrix, rollingCorrelation } = require('../lib/correlation');
+
+// Prices on consecutive days from a list of returns, starting at 100
+function fromReturns(returns, { skip = [] } = {}) {
+    const series = { dates: [], values: [] };
+    let price = 100;
+    returns.forEach((r, i) => {
+        price *= 1 + r;
+        if (!skip.includes(i)) {
+            series.dates.push(new Date(Date.UTC(2026, 0, 1 + i)).toISOString().split('T')[0]);
+            series.values.push(price);
+        }
+    });
+    return series;
+}
+
+const returns = [0, 0.01, -0.02, 0.015, 0.003, -0.007, 0.02, -0.01, 0.004, 0.012, -0.005, 0.008, -0.015, 0.006];
+
+test('pearson needs enough observations and some variance', () => {
+    const xs = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    assert.strictEqual(pearson(xs, xs.map(x => 2 * x + 1)), 1);
+    assert.ok(Math.abs(pearson(xs, xs.map(x => -x)) + 1) < 1e-12);
+    assert.strictEqual(pearson(xs.slice(0, MIN_OBSERVATIONS - 1), xs.slice(0, MIN_OBSERVATIONS - 1)), null);
+    assert.strictEqual(pearson(xs, xs.map(() => 3)), null);
+});
+
+test('the matrix is symmetric with 1 on the diagonal', () => {
+    const up = fromReturns(returns);
+    const down = fromReturns(returns.map(r => -r));
+    const { ids, matrix, observations } = correlationMatrix({ up, down });
+
+    assert.deepStrictEqual(ids, ['up', 'down']);
+    assert.strictEqual(matrix[0][0], 1);
+    assert.strictEqual(matrix[1][1], 1);
+    assert.strictEqual(matrix[0][1], matrix[1][0]);
+    assert.ok(matrix[0][1] < -0.99);
+    assert.strictEqual(observations[0][1], returns.length - 1);
+});
+
+test('a missing day in one series only drops it for its pairs', () => {
+    const full = fromReturns(returns);
+    const copy = fromReturns(returns);
+    const holiday = fromReturns(returns, { skip: [5] });
+    const { matrix, observations } = correlationMatrix({ full, copy, holiday });
+
+    assert.strictEqual(observations[0][1], returns.length - 1);
+    assert.strictEqual(observations[0][2], returns.length - 2);
+    // The return over the gap spans two days in both series, so they still match
+    assert.strictEqual(matrix[0][2], 1);
+});
+
+test('too little overlap gives null', () => {
+    const short = fromReturns(returns.slice(0, MIN_OBSERVATIONS));
+    const { matrix } = correlationMatrix({ short, other: fromReturns(returns) });
+    assert.deepStrictEqual(matrix, [[null, null], [null, 1]]);
+});
+
+test('rolling correlation matches pearson over each window', () => {
+    const a = fromReturns(returns);
+    const b = fromReturns(returns.map((r, i) => (i % 3 === 0 ? r : r / 2 - 0.001)));
+    const window = MIN_OBSERVATIONS;
+    const rolling = rollingCorrelation(a, b, window);
+
+    const ra = returns.slice(1);
+    const rb = returns.slice(1).map((r, i) => ((i + 1) % 3 === 0 ? r : r / 2 - 0.001));
+    assert.strictEqual(rolling.dates.length, ra.length - window + 1);
+    assert.strictEqual(rolling.dates[0], a.dates[window]);
+    rolling.values.forEach((value, k) => {
+        const expected = pearson(ra.slice(k, k + window), rb.slice(k, k + window));
+        assert.ok(Math.abs(value - expected) < 0.001, `window ${k}: ${value} vs ${expected}`);
+    });
+
+    assert.deepStrictEqual(rollingCorrelation(a, b, MIN_OBSERVATIONS - 1), { dates: [], values: [] });
+});
@@ -0,0 +1,48 @@
+// Derived series (lib/derived.js): two stored series combined on one date grid
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateSpec, deriveSeries } = require('../lib/derived');
+
+const known = id => ['nikkei', 'usdjpy', 'us10y', 'jgb'].includes(id);
+
+function rounded(series) {
+    return { dates: series.dates, values: series.values.map(value => Math.round(value * 1e6) / 1e6) };
+}
+
+test('validateSpec names what is wrong with a spec', () => {
+    assert.strictEqual(validateSpec({ op: 'ratio', left: 'nikkei', right: 'usdjpy' }, known), null);
+    assert.match(validateSpec(null, known), /missing/);
+    assert.match(validateSpec({ op: 'sum', left: 'nikkei', right: 'usdjpy' }, known), /op must be one of/);
+    assert.strictEqual(validateSpec({ op: 'ratio', left: 'nikkei', right: 'eurjpy' }, known), 'unknown right series: eurjpy');
+    assert.match(validateSpec({ op: 'spread', left: 'us10y', right: 'jgb', align: 'daily' }, known), /align must be one of/);
+});
+
+test('a ratio keeps only the dates both inputs have by default', () => {
+    const nikkei = { dates: ['2026-01-05', '2026-01-06', '2026-01-07', '2026-01-08'], values: [40000, 40500, 41000, 40800] };
+    const usdjpy = { dates: ['2026-01-05', '2026-01-07', '2026-01-08', '2026-01-09'], values: [160, 164, 0, 162] };
+
+    // Jan 6 is missing from the exchange rate, and a zero rate gives no value
+    const result = deriveSeries({ op: 'ratio', left: 'nikkei', right: 'usdjpy' }, nikkei, usdjpy);
+    assert.deepStrictEqual(rounded(result), { dates: ['2026-01-05', '2026-01-07'], values: [250, 250] });
+});
+
+test('union alignment carries the other input forward once both have started', () => {
+    const sp500 = { dates: ['2026-01-02', '2026-01-05', '2026-01-06', '2026-01-07'], values: [100, 102, 101, 103] };
+    const usdjpy = { dates: ['2026-01-05', '2026-01-07'], values: [150, 160] };
+
+    const result = deriveSeries({ op: 'product', left: 'sp500', right: 'usdjpy', align: 'union' }, sp500, usdjpy);
+    // Jan 2 is before the exchange rate starts; Jan 6 uses the rate of Jan 5
+    assert.deepStrictEqual(result, { dates: ['2026-01-05', '2026-01-06', '2026-01-07'], values: [15300, 15150, 16480] });
+});
+
+test('a monthly spread of two yields is in basis points', () => {
+    const us10y = { dates: ['2026-01-02', '2026-01-30', '2026-02-02', '2026-02-27'], values: [4.5, 4.25, 4.3, 4.1] };
+    const jgb = { dates: ['2026-01-01', '2026-02-01'], values: [1.5, 1.35] };
+
+    const result = deriveSeries({ op: 'spread', left: 'us10y', right: 'jgb', align: 'monthly' }, us10y, jgb);
+    assert.deepStrictEqual(rounded(result), { dates: ['2026-01-31', '2026-02-27'], values: [275, 275] });
+
+    const difference = deriveSeries({ op: 'difference', left: 'us10y', right: 'jgb', align: 'monthly' }, us10y, jgb);
+    assert.deepStrictEqual(rounded(difference).values, [2.75, 2.75]);
+});
@@ -0,0 +1,197 @@
+// Estimate rounds, bands and scoring from lib/estimates.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const rounds = require('../lib/estimates');
+
+test('classifyGrowth uses the band on both sides', () => {
+    assert.strictEqual(rounds.classifyGrowth(1.5), 'up');
+    assert.strictEqual(rounds.classifyGrowth(-0.5), 'flat');
+    assert.strictEqual(rounds.classifyGrowth(1.5, 2), 'flat');
+    assert.strictEqual(rounds.classifyGrowth(-2.5, 2), 'down');
+});
+
+test('calculateMonthGrowth compares the last values of two months', () => {
+    const dates = ['2025-09-29', '2025-09-30', '2025-10-15', '2025-10-31', '2025-11-03'];
+    const values = [99, 100, 101, 102, 103];
+    assert.deepStrictEqual(rounds.calculateMonthGrowth(dates, values, '2025-10').growth, 2);
+    assert.strictEqual(rounds.calculateMonthGrowth(dates, values, '2025-10').final, true);
+    assert.strictEqual(rounds.calculateMonthGrowth(dates.slice(0, 4), values.slice(0, 4), '2025-10').final, false);
+});
+
+test('calculateFlatBand only uses months before the round', () => {
+    const dates = [];
+    const values = [];
+    for (let i = 0; i < 14; i++) {
+        dates.push(rounds.shiftMonth('2025-01', i) + '-15');
+        values.push(i % 2 === 0 ? 100 : 104);
+    }
+    const band = rounds.calculateFlatBand(dates, values, '2026-02');
+    assert.ok(band > 1 && band < 3, `band ${band}`);
+
+    // A huge move in the round month itself does not change the band
+    dates.push('2026-02-10');
+    values.push(200);
+    assert.strictEqual(rounds.calculateFlatBand(dates, values, '2026-02'), band);
+
+    assert.strictEqual(rounds.calculateFlatBand(dates.slice(0, 3), values.slice(0, 3), '2025-04'), null);
+});
+
+test('only rounds whose month has not started take forecasts', () => {
+    const now = new Date('2026-12-31T23:00:00Z');
+    assert.deepStrictEqual(rounds.getOpenMonths(now), ['2027-01', '2027-02']);
+    assert.strictEqual(rounds.isRoundOpen('2027-01', now), true);
+    assert.strictEqual(rounds.isRoundOpen('2026-12', now), false);
+    assert.strictEqual(rounds.isRoundClosed('2026-12', now), false);
+    assert.strictEqual(rounds.isRoundOpen('2027-01', new Date('2027-01-01T00:00:00Z')), false);
+});
+
+test('a round is scored with the band set recorded when it opened', () => {
+    const now = new Date('2026-12-05T00:00:00Z');
+    const recorded = { flatBands: { sp500: 1.8, oil: 3.5 }, bandSources: { sp500: 'volatility', oil: 'volatility' }, openedAt: '2026-11-02T10:00:00Z' };
+
+    // Kept after the round has started and closed, whatever the data says by then
+    assert.deepStrictEqual(rounds.selectRoundBands('2026-12', recorded, ['sp500', 'oil'], now).flatBands, recorded.flatBands);
+    assert.deepStrictEqual(rounds.selectRoundBands('2026-11', recorded, ['sp500', 'oil'], now).flatBands, recorded.flatBands);
+
+    // An open round without a set yet still has to have it calculated and recorded
+    assert.strictEqual(rounds.selectRoundBands('2027-01', undefined, ['sp500'], now), null);
+});
+
+test('rounds that started without a recorded band set use the legacy band', () => {
+    const now = new Date('2026-12-05T00:00:00Z');
+    const legacy = { flatBands: { sp500: 1, oil: 1 }, bandSources: { sp500: 'legacy', oil: 'legacy' } };
+
+    assert.deepStrictEqual(rounds.selectRoundBands('2026-10', undefined, ['sp500', 'oil'], now), legacy);
+    assert.deepStrictEqual(rounds.selectRoundBands('2026-12', undefined, ['sp500', 'oil'], now), legacy);
+    // A set picked after the round had started (no openedAt) is not the one it was played with
+    const picked = { flatBands: { sp500: 1.8, oil: 3.5 }, bandSources: { sp500: 'volatility', oil: 'volatility' } };
+    assert.strictEqual(rounds.isRecordedBandSet(picked), false);
+    assert.deepStrictEqual(rounds.selectRoundBands('2026-10', picked, ['sp500', 'oil'], now), legacy);
+});
+
+test('scoreRound classifies with the band of each indicator', () => {
+    const estimates = [
+        { id: 1, name: 'A', targetMonth: '2026-11', estimates: { sp500: 'up', oil: 'flat' } }
+    ];
+    const growth = { sp500: 1.5, oil: 3 };
+    const [score] = rounds.scoreRound(estimates, growth, { sp500: 1.82, oil: 3.51 });
+
+    assert.strictEqual(score.results.sp500.actual, 'flat');
+    assert.strictEqual(score.results.oil.actual, 'flat');
+    assert.strictEqual(score.correctCount, 1);
+    assert.strictEqual(score.total, 2);
+});
+
+test('scoreRound keeps ±1% for estimates without a target month', () => {
+    const estimates = [
+        { id: 1, name: 'Old', timestamp: '2025-10-01T12:00:00.000Z', estimates: { sp500: 'up' } },
+        { id: 2, name: 'New', targetMonth: '2025-10', estimates: { sp500: 'up' } }
+    ];
+    const [old, current] = rounds.scoreRound(estimates, { sp500: 1.5 }, { sp500: 1.82 });
+
+    assert.strictEqual(old.results.sp500.actual, 'up');
+    assert.strictEqual(old.correctCount, 1);
+    assert.strictEqual(current.results.sp500.actual, 'flat');
+    assert.strictEqual(current.correctCount, 0);
+});
+
+test('scoreRound scores probabilities and points', () => {
+    const estimates = [{
+        id: 1,
+        name: 'A',
+        targetMonth: '2026-11',
+        estimates: { sp500: 'up' },
+        probabilities: { sp500: { up: 0.5, flat: 0.3, down: 0.2 } },
+        points: { sp500: 2 }
+    }];
+    const [score] = rounds.scoreRound(estimates, { sp500: 1.5 }, 1);
+
+    assert.ok(Math.abs(score.brier - (0.25 + 0.09 + 0.04)) < 1e-9);
+    assert.ok(Math.abs(score.logLoss - -Math.log(0.5)) < 1e-9);
+    assert.strictEqual(score.mae, 0.5);
+});
+
+test('validateForecasts normalises splits and rejects bad input', () => {
+    const result = rounds.validateForecasts({ sp500: { up: 0.6, flat: 0.3, down: 0.105 } }, { sp500: '1.5' });
+    assert.ok(Math.abs(result.probabilities.sp500.up + result.probabilities.sp500.flat + result.probabilities.sp500.down - 1) < 1e-12);
+    assert.strictEqual(result.points.sp500, 1.5);
+
+    assert.ok(rounds.validateForecasts({ sp500: { up: 0.6, flat: 0.6, down: 0 } }, {}).error);
+    assert.ok(rounds.validateForecasts({}, { sp500: 'abc' }).error);
+});
+
+test('buildLeaderboard counts the latest submission per participant and round', () => {
+    const round = (month, scores) => ({ month, scores });
+    const score = (id, name, correctCount) => ({ id, name, participantId: null, results: {}, correctCount, total: 2 });
+    const board = rounds.buildLeaderboard([
+        round('2025-10', [score(1, 'A', 0), score(2, 'A', 2), score(3, 'B', 1)]),
+        round('2025-11', [score(4, 'b', 2)])
+    ]);
+
+    const a = board.entries.find(entry => entry.name === 'A');
+    const b = board.entries.find(entry => entry.key === 'name:b');
+    assert.strictEqual(a.correct, 2);
+    assert.strictEqual(a.roundsPlayed, 1);
+    assert.ok(b, 'names are grouped case-insensitively');
+    assert.strictEqual(b.correct, 3);
+    assert.strictEqual(b.roundsPlayed, 2);
+});
+
+test('buildLeaderboard ranks names that are not strings', () => {
+    const score = (id, name) => ({ id, name, participantId: null, results: {}, correctCount: 1, total: 2 });
+    const board = rounds.buildLeaderboard([{ month: '2025-10', scores: [score(1, 123), score(2, 'A'), score(3, null)] }]);
+    assert.strictEqual(board.entries.length, 3);
+    assert.deepStrictEqual(board.entries.map(entry => entry.name), [null, 123, 'A']);
+});
+
+test('cleanName accepts trimmed text up to the maximum length', () => {
+    assert.strictEqual(rounds.cleanName('  Alice '), 'Alice');
+    assert.strictEqual(rounds.cleanName('x'.repeat(rounds.MAX_NAME_LENGTH)), 'x'.repeat(rounds.MAX_NAME_LENGTH));
+    assert.strictEqual(rounds.cleanName('x'.repeat(rounds.MAX_NAME_LENGTH + 1)), null);
+    assert.strictEqual(rounds.cleanName('   '), null);
+    assert.strictEqual(rounds.cleanName(123), null);
+    assert.strictEqual(rounds.cleanName(['Alice']), null);
+    assert.strictEqual(rounds.cleanName(undefined), null);
+});
+
+test('buildForecast derives missing directions and checks them', () => {
+    const forecast = rounds.buildForecast({
+        estimates: { sp500: 'down' },
+        probabilities: { oil: { up: 0.2, flat: 0.2, down: 0.6 } },
+        points: { gold: 2.5 }
+    }, { gold: 3 });
+    assert.deepStrictEqual(forecast.estimates, { sp500: 'down', oil: 'down', gold: 'flat' });
+
+    assert.match(rounds.buildForecast({ estimates: { sp500: 'sideways' } }).error, /sp500 must be one of/);
+    assert.ok(rounds.buildForecast({}).error);
+});
+
+test('buildForecast rejects indicators outside the given list', () => {
+    const indicators = ['sp500', 'gold'];
+    assert.strictEqual(rounds.buildForecast({ estimates: { bogus: 'up' } }, {}, indicators).error, 'Unknown indicator: bogus');
+    assert.match(rounds.buildForecast({ points: { oil: 1 } }, {}, indicators).error, /Unknown indicator: oil/);
+    assert.deepStrictEqual(rounds.buildForecast({ estimates: { gold: 'up' } }, {}, indicators).estimates, { gold: 'up' });
+});
+
+test('an edited forecast replaces probabilities and points', () => {
+    const estimate = {
+        id: 1,
+        name: 'A',
+        targetMonth: '2026-11',
+        estimates: { sp500: 'up' },
+        probabilities: { sp500: { up: 0.8, flat: 0.1, down: 0.1 } },
+        points: { sp500: 2 }
+    };
+
+    // Only the direction is sent: the old split and point no longer apply
+    rounds.setForecast(estimate, rounds.buildForecast({ estimates: { sp500: 'down' } }));
+    assert.deepStrictEqual(estimate.estimates, { sp500: 'down' });
+    assert.strictEqual(estimate.probabilities, undefined);
+    assert.strictEqual(estimate.points, undefined);
+    assert.strictEqual(rounds.scoreRound([estimate], { sp500: -2 }, 1)[0].brier, 0);
+
+    rounds.setForecast(estimate, rounds.buildForecast({ probabilities: { sp500: { up: 0.1, flat: 0.2, down: 0.7 } } }));
+    assert.deepStrictEqual(estimate.estimates, { sp500: 'down' });
+    assert.strictEqual(estimate.probabilities.sp500.down, 0.7);
+});
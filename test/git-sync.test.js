@@ -0,0 +1,100 @@
+// Git sync (lib/git-sync.js): commits changed data files to a local bare repository
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createGitSync } = require('../lib/git-sync');
+
+let dir;
+let remote;
+let dataDir;
+
+function git(cwd, ...args) {
+    return execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+}
+
+function writeData(name, data) {
+    fs.writeFileSync(path.join(dataDir, name), JSON.stringify(data));
+}
+
+function createSync(workDir) {
+    return createGitSync({
+        remote,
+        branch: 'data',
+        workDir: path.join(dir, workDir),
+        debounceMs: 60 * 1000,
+        author: { name: 'test', email: 'test@example.com' },
+        dataDir
+    });
+}
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-sync-test-'));
+    remote = path.join(dir, 'remote.git');
+    dataDir = path.join(dir, 'repo', 'data');
+    fs.mkdirSync(dataDir, { recursive: true });
+    git(dir, 'init', '-q', '--bare', remote);
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the first push creates the branch on an empty remote', async () => {
+    const sync = createSync('clone-1');
+    writeData('events.json', { events: [1] });
+    sync.recordChange(path.join(dataDir, 'events.json'), 'Add event');
+
+    const result = await sync.flush();
+    assert.strictEqual(result.status, 'pushed');
+    assert.strictEqual(result.createdBranch, true);
+    assert.strictEqual(sync.getStatus().remoteBranch, 'exists');
+    assert.strictEqual(git(remote, 'rev-parse', 'refs/heads/data'), result.commit);
+    assert.deepStrictEqual(JSON.parse(git(remote, 'show', 'data:data/events.json')), { events: [1] });
+});
+
+test('later pushes stack on the remote branch, also from a new clone', async () => {
+    const sync = createSync('clone-2');
+    const parent = git(remote, 'rev-parse', 'refs/heads/data');
+    writeData('news.json', { articles: [] });
+    sync.recordChange(path.join(dataDir, 'news.json'), 'Collect news');
+
+    const result = await sync.flush();
+    assert.strictEqual(result.status, 'pushed');
+    assert.strictEqual(result.createdBranch, false);
+    assert.strictEqual(git(remote, 'rev-parse', `${result.commit}^`), parent);
+    assert.deepStrictEqual(git(remote, 'ls-tree', '-r', '--name-only', 'data').split('\n'), ['data/events.json', 'data/news.json']);
+});
+
+test('a file deleted on the server is removed on the remote, and an unknown one is skipped', async () => {
+    const sync = createSync('clone-1');
+    fs.rmSync(path.join(dataDir, 'news.json'));
+    sync.recordChange(path.join(dataDir, 'news.json'), 'Delete news');
+    sync.recordChange(path.join(dataDir, 'missing.json'), 'Delete missing');
+
+    const result = await sync.flush();
+    assert.strictEqual(result.status, 'pushed');
+    assert.deepStrictEqual(git(remote, 'ls-tree', '-r', '--name-only', 'data').split('\n'), ['data/events.json']);
+
+    sync.recordChange(path.join(dataDir, 'missing.json'), 'Delete missing');
+    assert.strictEqual((await sync.flush()).status, 'unchanged');
+});
+
+test('drain also pushes changes recorded while a batch was being pushed', async () => {
+    const sync = createSync('clone-2');
+    writeData('events.json', { events: [1, 2] });
+    sync.recordChange(path.join(dataDir, 'events.json'), 'Add event');
+    const first = sync.flush();
+    writeData('rounds.json', { rounds: {} });
+    sync.recordChange(path.join(dataDir, 'rounds.json'), 'Freeze rounds');
+
+    const result = await sync.drain();
+    assert.notStrictEqual(result, await first);
+    assert.deepStrictEqual(sync.getStatus().pending, []);
+    assert.strictEqual(git(remote, 'rev-parse', 'refs/heads/data'), result.commit);
+    assert.deepStrictEqual(git(remote, 'ls-tree', '-r', '--name-only', 'data').split('\n'), ['data/events.json', 'data/rounds.json']);
+    assert.strictEqual(await sync.drain(), null);
+});
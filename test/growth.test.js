@@ -0,0 +1,52 @@
+// Growth rates (lib/growth.js): period-over-period and year-over-year changes
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getGrowthPeriod, calculateGrowth } = require('../lib/growth');
+
+function rounded(list) {
+    return list.map(value => Math.round(value * 1e6) / 1e6);
+}
+
+test('getGrowthPeriod names each frequency with a sortable key and a label', () => {
+    // Saturday Jan 4, 2025 belongs to the week of Friday Jan 3
+    assert.deepStrictEqual(getGrowthPeriod('2025-01-04', 'weekly'), { key: '2025-01-03', label: 'Jan 3, 2025' });
+    assert.deepStrictEqual(getGrowthPeriod('2024-12-30', 'weekly'), { key: '2025-01-03', label: 'Jan 3, 2025' });
+    assert.deepStrictEqual(getGrowthPeriod('2025-08-29', 'monthly'), { key: '2025-08', label: 'Aug 2025' });
+    assert.deepStrictEqual(getGrowthPeriod('2025-09-30', 'quarterly'), { key: '2025-Q3', label: 'Q3 2025' });
+    assert.deepStrictEqual(getGrowthPeriod('2025-10-01', 'yearly'), { key: '2025', label: '2025' });
+});
+
+test('month-over-month growth compares the last value of each month', () => {
+    const growth = calculateGrowth(
+        ['2026-01-05', '2026-01-30', '2026-02-02', '2026-02-27', '2026-03-31'],
+        [90, 100, 130, 110, 99]
+    );
+    assert.deepStrictEqual(growth.dates, ['Feb 2026', 'Mar 2026']);
+    assert.deepStrictEqual(growth.periods, ['2026-02', '2026-03']);
+    assert.deepStrictEqual(growth.asOf, ['2026-02-27', '2026-03-31']);
+    assert.deepStrictEqual(rounded(growth.values), [10, -10]);
+});
+
+test('quarterly year-over-year growth compares each quarter with the same quarter a year earlier', () => {
+    const dates = ['2024-03-28', '2024-06-28', '2024-09-30', '2025-03-31', '2025-06-30', '2025-09-30', '2025-12-31'];
+    const values = [100, 110, 120, 125, 121, 150, 160];
+
+    const yoy = calculateGrowth(dates, values, 'quarterly', 'yoy');
+    // Q4 2024 is missing, so Q4 2025 has nothing to compare with
+    assert.deepStrictEqual(yoy.periods, ['2025-Q1', '2025-Q2', '2025-Q3']);
+    assert.deepStrictEqual(yoy.dates, ['Q1 2025', 'Q2 2025', 'Q3 2025']);
+    assert.deepStrictEqual(rounded(yoy.values), [25, 10, 25]);
+
+    // Quarter-over-quarter compares with the previous quarter on file
+    const qoq = calculateGrowth(dates, values, 'quarterly', 'pop');
+    assert.deepStrictEqual(qoq.periods, ['2024-Q2', '2024-Q3', '2025-Q1', '2025-Q2', '2025-Q3', '2025-Q4']);
+    assert.deepStrictEqual(rounded(qoq.values.slice(-3)), [-3.2, 23.966942, 6.666667]);
+});
+
+test('weekly year-over-year growth looks 52 weeks back', () => {
+    const growth = calculateGrowth(['2025-01-03', '2025-06-06', '2026-01-02'], [200, 210, 230], 'weekly', 'yoy');
+    assert.deepStrictEqual(growth.periods, ['2026-01-02']);
+    assert.deepStrictEqual(rounded(growth.values), [15]);
+    assert.deepStrictEqual(calculateGrowth([], []).values, []);
+});
@@ -0,0 +1,39 @@
+// Real terms (lib/inflation.js): nominal series deflated by a monthly price index
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { interpolateIndex, deflateSeries } = require('../lib/inflation');
+
+// CPI as FRED dates it: one observation on the first of each month
+const cpi = { dates: ['2026-01-01', '2026-02-01', '2026-03-01'], values: [300, 331, 360] };
+
+test('the index is interpolated between months and carried past the last release', () => {
+    const levels = interpolateIndex(cpi.dates, cpi.values, ['2025-12-31', '2026-01-01', '2026-01-16', '2026-02-01', '2026-04-15']);
+    // Jan 16 is 15 of the 31 days from Jan 1 to Feb 1
+    assert.deepStrictEqual(levels, [null, 300, 315, 331, 360]);
+});
+
+test('missing index values are skipped', () => {
+    const levels = interpolateIndex(['2026-01-01', '2026-02-01', '2026-03-01'], [300, null, 359], ['2026-01-30']);
+    assert.deepStrictEqual(levels, [329]);
+});
+
+test('deflateSeries quotes prices in the latest month and leaves volume alone', () => {
+    const data = {
+        name: 'S&P 500 Index',
+        dates: ['2025-12-30', '2026-01-01', '2026-01-16', '2026-03-02'],
+        values: [5000, 6000, 6300, 7200],
+        high: [5010, 6012, 6310, 7210],
+        volume: [10, 20, 30, 40]
+    };
+    const real = deflateSeries(data, cpi);
+
+    // The point before the index starts is dropped
+    assert.deepStrictEqual(real.dates, ['2026-01-01', '2026-01-16', '2026-03-02']);
+    assert.deepStrictEqual(real.values, [7200, 7200, 7200]);
+    assert.deepStrictEqual(real.high.map(value => Math.round(value * 100) / 100), [7214.4, 7211.43, 7210]);
+    assert.deepStrictEqual(real.volume, [20, 30, 40]);
+    assert.strictEqual(real.name, 'S&P 500 Index');
+    assert.strictEqual(real.priceLevel, '2026-03');
+    assert.deepStrictEqual(data.values, [5000, 6000, 6300, 7200]);
+});
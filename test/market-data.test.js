@@ -0,0 +1,135 @@
+// refreshIndicatorData() against a stubbed Yahoo Finance, writing to a temp directory
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yahooFinance = require('yahoo-finance2').default;
+const { refreshIndicatorData, getQuarantinePath } = require('../lib/market-data');
+
+const CONFIG = { name: 'Test Index', type: 'yahoo', symbol: '^TEST', validation: {} };
+
+// Weekdays from start to end (inclusive), YYYY-MM-DD
+function weekdays(start, end) {
+    const dates = [];
+    for (let day = new Date(`${start}T00:00:00Z`); day <= new Date(`${end}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+        if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) {
+            dates.push(day.toISOString().split('T')[0]);
+        }
+    }
+    return dates;
+}
+
+// A smooth price path, so that no day looks like a jump
+function priceOn(date) {
+    return 100 + (new Date(`${date}T00:00:00Z`).getTime() / 86400000) * 0.01 + Math.sin(date.length + Number(date.slice(-2))) * 0.2;
+}
+
+// What yahooFinance.historical() returns for the given dates
+function yahooRows(dates, closeOf = priceOn) {
+    return dates.map(date => {
+        const close = closeOf(date);
+        return { date: new Date(`${date}T00:00:00Z`), open: close, high: close, low: close, close: close, adjClose: close, volume: 1000 };
+    });
+}
+
+let dir;
+let filePath;
+const originalHistorical = yahooFinance.historical;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'market-data-test-'));
+    filePath = path.join(dir, 'test_data.json');
+});
+
+afterEach(() => {
+    yahooFinance.historical = originalHistorical;
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeStored(dates) {
+    fs.writeFileSync(filePath, JSON.stringify({
+        lastUpdated: '2006-04-01T00:00:00.000Z',
+        indicator: 'test',
+        name: CONFIG.name,
+        source: 'yahoo',
+        sourceId: CONFIG.symbol,
+        dates: dates,
+        values: dates.map(priceOn)
+    }));
+}
+
+test('a full refresh keeps stored history from before the Yahoo window', async () => {
+    // Stored file from before bars were kept: forces a full download
+    const storedDates = weekdays('2006-01-02', '2006-03-31');
+    writeStored(storedDates);
+
+    // Yahoo only serves a window that starts after the stored history
+    const fetchedDates = weekdays('2006-02-01', '2006-04-28');
+    yahooFinance.historical = async () => yahooRows(fetchedDates);
+
+    const result = await refreshIndicatorData('test', CONFIG, filePath);
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    assert.strictEqual(result.mode, 'full');
+    assert.strictEqual(saved.dates[0], '2006-01-02');
+    assert.strictEqual(saved.dates[saved.dates.length - 1], '2006-04-28');
+    assert.strictEqual(result.added, weekdays('2006-04-01', '2006-04-28').length);
+    assert.strictEqual(saved.open.length, saved.dates.length);
+    assert.strictEqual(saved.open[0], null);
+    assert.strictEqual(fs.existsSync(getQuarantinePath(filePath)), false);
+});
+
+test('a ?full=true refresh passes validation and later refreshes stay incremental', async () => {
+    const storedDates = weekdays('2006-01-02', '2006-03-31');
+    writeStored(storedDates);
+    yahooFinance.historical = async () => yahooRows(weekdays('2006-02-01', '2006-04-28'));
+    await refreshIndicatorData('test', CONFIG, filePath, { full: true });
+
+    yahooFinance.historical = async (symbol, { period1 }) => yahooRows(weekdays(period1.toISOString().split('T')[0], '2006-05-05'));
+    const result = await refreshIndicatorData('test', CONFIG, filePath);
+
+    assert.strictEqual(result.mode, 'incremental');
+    assert.strictEqual(result.added, 5);
+});
+
+test('a full refresh is still checked after the stored data', async () => {
+    writeStored(weekdays('2006-01-02', '2006-03-31'));
+
+    // Two months missing after the stored last date
+    const fetchedDates = weekdays('2006-02-01', '2006-03-31').concat(weekdays('2006-06-01', '2006-06-30'));
+    yahooFinance.historical = async () => yahooRows(fetchedDates);
+
+    await assert.rejects(refreshIndicatorData('test', CONFIG, filePath, { full: true }), { code: 'VALIDATION_FAILED' });
+    assert.strictEqual(fs.existsSync(getQuarantinePath(filePath)), true);
+    assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).dates.length, weekdays('2006-01-02', '2006-03-31').length);
+});
+
+test('a day without a close is left out with a warning', async () => {
+    writeStored(weekdays('2006-01-02', '2006-03-31'));
+    yahooFinance.historical = async (symbol, { period1 }) => yahooRows(weekdays(period1.toISOString().split('T')[0], '2006-04-07'))
+        .map(row => (row.date.toISOString().startsWith('2006-04-05') ? { ...row, close: null } : row));
+
+    // Written in full first, so the next refresh is incremental
+    const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    stored.open = stored.values.slice();
+    fs.writeFileSync(filePath, JSON.stringify(stored));
+
+    const result = await refreshIndicatorData('test', CONFIG, filePath);
+    assert.strictEqual(result.mode, 'incremental');
+    assert.ok(!result.data.dates.includes('2006-04-05'));
+    assert.ok(result.warnings[0].includes('2006-04-05'));
+});
+
+test('a response with many missing closes is quarantined', async () => {
+    writeStored(weekdays('2006-01-02', '2006-03-31'));
+    yahooFinance.historical = async () => yahooRows(weekdays('2006-01-02', '2006-04-28'))
+        .map((row, i) => (i % 5 === 0 ? { ...row, close: null } : row));
+
+    await assert.rejects(refreshIndicatorData('test', CONFIG, filePath), error => {
+        assert.strictEqual(error.code, 'VALIDATION_FAILED');
+        assert.match(error.validation.errors[0], /fetched points have no value/);
+        return true;
+    });
+});
@@ -0,0 +1,50 @@
+// Momentum comparison (lib/momentum.js): series rebased to 100 at a baseline date
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { calculateMomentum } = require('../lib/momentum');
+const { alignSeries } = require('../lib/alignment');
+
+// Trading days around an FOMC Wednesday, with the weekend missing
+const dates = ['2026-01-26', '2026-01-27', '2026-01-28', '2026-01-29', '2026-01-30', '2026-02-02'];
+const values = [50, 48, 40, 42, 44, 46];
+
+function rounded(list) {
+    return list.map(value => Math.round(value * 1e6) / 1e6);
+}
+
+test('a baseline date rebases the series to 100 from that date on', () => {
+    const result = calculateMomentum(dates, values, '1m', '2026-01-28');
+    assert.strictEqual(result.baselineDate, '2026-01-28');
+    assert.deepStrictEqual(result.dates, dates.slice(2));
+    assert.deepStrictEqual(rounded(result.values), [100, 105, 110, 115]);
+});
+
+test('a baseline without data is taken from the last date before it', () => {
+    const result = calculateMomentum(dates, values, '1m', '2026-02-01');
+    assert.strictEqual(result.baselineDate, '2026-01-30');
+    assert.deepStrictEqual(rounded(result.values), [100, 104.545455]);
+});
+
+test('a series that starts after the baseline is rebased at its first date', () => {
+    const result = calculateMomentum(dates, values, '1m', '2025-12-31');
+    assert.strictEqual(result.baselineDate, '2026-01-26');
+    assert.strictEqual(result.values[0], 100);
+    assert.strictEqual(result.values.length, dates.length);
+    assert.deepStrictEqual(calculateMomentum([], [], '1m', '2026-01-28').dates, []);
+});
+
+test('rebased series with different calendars share one axis after alignment', () => {
+    // A market closed on Jan 29 but open on Saturday Jan 31
+    const other = calculateMomentum(
+        ['2026-01-27', '2026-01-28', '2026-01-30', '2026-01-31'],
+        [200, 210, 220, 231],
+        '1m',
+        '2026-01-28'
+    );
+    const aligned = alignSeries({ a: calculateMomentum(dates, values, '1m', '2026-01-28'), b: other }, 'union');
+    assert.deepStrictEqual(aligned.dates, ['2026-01-28', '2026-01-29', '2026-01-30', '2026-01-31', '2026-02-02']);
+    assert.deepStrictEqual(rounded(aligned.series.a.values), [100, 105, 110, 110, 115]);
+    assert.deepStrictEqual(rounded(aligned.series.b.values), [100, 100, 104.761905, 110, 110]);
+    assert.deepStrictEqual(aligned.series.b.filled, [1, 4]);
+});
@@ -0,0 +1,88 @@
+// SQLite backend (lib/sqlite-store.js): data reads back exactly as the JSON backend stores it.
+// Skipped where the optional better-sqlite3 package is not installed.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let available = true;
+try {
+    require.resolve('better-sqlite3');
+} catch (error) {
+    available = false;
+}
+
+let dir;
+let backend;
+
+before(() => {
+    if (!available) {
+        return;
+    }
+    const { createSqliteBackend } = require('../lib/sqlite-store');
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-store-test-'));
+    backend = createSqliteBackend({ dataDir: dir, dbFile: path.join(dir, 'test.db') });
+});
+
+after(() => {
+    if (backend) {
+        backend.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+const series = {
+    lastUpdated: '2026-01-02T00:00:00.000Z',
+    indicator: 'test',
+    name: 'Test',
+    source: 'yahoo',
+    sourceId: '^TEST',
+    dates: ['2026-01-02', '2026-01-05', '2026-01-06'],
+    values: [1, 2, 3],
+    open: [null, 2, 3],
+    totalReturn: [1, 2.1, 3.2],
+    dividends: [{ date: '2026-01-05', amount: 0.1 }]
+};
+
+test('a series reads back whole and by date range', { skip: !available }, async () => {
+    const filePath = path.join(dir, 'test_data.json');
+    await backend.write(filePath, series);
+
+    assert.deepStrictEqual(await backend.read(filePath), series);
+    const range = await backend.readSeries(filePath, { start: '2026-01-05', end: null });
+    assert.deepStrictEqual(range.dates, ['2026-01-05', '2026-01-06']);
+    assert.deepStrictEqual(range.open, [2, 3]);
+});
+
+test('estimates keep their order, and an empty list still exists', { skip: !available }, async () => {
+    const filePath = path.join(dir, 'estimates.json');
+    const estimates = [{ id: 2, name: 'B', targetMonth: '2026-01' }, { id: 1, name: 'A' }];
+    await backend.write(filePath, estimates);
+    assert.deepStrictEqual(await backend.read(filePath), estimates);
+
+    await backend.write(filePath, []);
+    assert.deepStrictEqual(await backend.read(filePath), []);
+});
+
+test('a duplicate estimate id fails the write and keeps the stored list', { skip: !available }, async () => {
+    const filePath = path.join(dir, 'estimates.json');
+    await backend.write(filePath, [{ id: 1, name: 'A' }]);
+
+    await assert.rejects(backend.write(filePath, [{ id: 1, name: 'A' }, { id: 1, name: 'B' }]), /UNIQUE/);
+    assert.deepStrictEqual(await backend.read(filePath), [{ id: 1, name: 'A' }]);
+});
+
+test('news and other documents round-trip; missing data is ENOENT', { skip: !available }, async () => {
+    const news = { lastUpdated: '2026-01-02', totalCost: 0.5, articles: [{ title: 'a' }, { title: 'b' }] };
+    await backend.write(path.join(dir, 'news.json'), news);
+    assert.deepStrictEqual(await backend.read(path.join(dir, 'news.json')), news);
+
+    const events = { events: [{ id: 1, label: 'x' }], recessions: {} };
+    await backend.write(path.join(dir, 'events.json'), events);
+    assert.deepStrictEqual(await backend.read(path.join(dir, 'events.json')), events);
+
+    assert.strictEqual(await backend.remove(path.join(dir, 'events.json')), true);
+    await assert.rejects(backend.read(path.join(dir, 'events.json')), { code: 'ENOENT' });
+});
@@ -0,0 +1,78 @@
+// Risk and return statistics (lib/stats.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { checkPriceSeries, calculateStats, calculateDrawdowns } = require('../lib/stats');
+
+test('calculateStats measures returns between the first and last value', () => {
+    const dates = ['2025-01-01', '2025-07-02', '2026-01-01'];
+    const result = calculateStats(dates, [100, 90, 121]);
+    assert.strictEqual(result.start, '2025-01-01');
+    assert.strictEqual(result.end, '2026-01-01');
+    assert.strictEqual(result.observations, 3);
+    assert.strictEqual(result.totalReturn, 21);
+    assert.strictEqual(result.cagr, 21.02); // 365 days is a little less than a year
+    assert.deepStrictEqual(result.worstDay, { date: '2025-07-02', value: -10 });
+    assert.deepStrictEqual(result.bestDay, { date: '2026-01-01', value: 34.44 });
+    assert.deepStrictEqual(result.maxDrawdown, {
+        value: -10, peakDate: '2025-01-01', troughDate: '2025-07-02', recoveryDate: '2026-01-01'
+    });
+});
+
+test('calculateStats counts month-end to month-end changes', () => {
+    const dates = ['2026-01-05', '2026-01-30', '2026-02-10', '2026-02-27', '2026-03-31'];
+    const result = calculateStats(dates, [100, 110, 90, 99, 108.9]);
+    assert.strictEqual(result.months, 2);
+    assert.deepStrictEqual(result.worstMonth, { month: '2026-02', value: -10 });
+    assert.deepStrictEqual(result.bestMonth, { month: '2026-03', value: 10 });
+    assert.strictEqual(result.positiveMonths, 0.5);
+});
+
+test('calculateStats skips gaps and needs two values', () => {
+    const result = calculateStats(['2026-01-01', '2026-01-02', '2026-01-03'], [100, null, 110]);
+    assert.strictEqual(result.observations, 2);
+    assert.strictEqual(result.totalReturn, 10);
+    assert.strictEqual(calculateStats(['2026-01-01', '2026-01-02'], [100, null]), null);
+});
+
+test('checkPriceSeries rejects series with zero or negative values', () => {
+    assert.strictEqual(checkPriceSeries([100, null, 101.5]), null);
+    assert.match(checkPriceSeries([18.8, -37.6, 10]), /zero or negative/);
+    assert.match(checkPriceSeries([25, 0, -12]), /zero or negative/);
+});
+
+test('calculateDrawdowns closes an episode when the peak is regained', () => {
+    const dates = ['2026-01-01', '2026-01-11', '2026-01-21', '2026-01-31', '2026-02-10'];
+    const result = calculateDrawdowns(dates, [100, 80, 90, 100, 105]);
+    assert.deepStrictEqual(result.values, [0, -20, -10, 0, 0]);
+    assert.deepStrictEqual(result.episodes, [{
+        peak: '2026-01-01',
+        trough: '2026-01-11',
+        recovery: '2026-01-31',
+        depth: -20,
+        daysToTrough: 10,
+        daysToRecover: 20,
+        days: 30
+    }]);
+});
+
+test('calculateDrawdowns runs an unrecovered episode to the last date', () => {
+    const dates = ['2026-01-01', '2026-01-02', '2026-01-03', '2026-01-04', '2026-01-05', '2026-01-06'];
+    const result = calculateDrawdowns(dates, [100, 95, 100, 110, 88, 99]);
+    assert.deepStrictEqual(result.values, [0, -5, 0, 0, -20, -10]);
+    assert.deepStrictEqual(result.episodes.map(e => [e.peak, e.trough, e.recovery, e.depth]), [
+        ['2026-01-04', '2026-01-05', null, -20],
+        ['2026-01-01', '2026-01-02', '2026-01-03', -5]
+    ]);
+    assert.strictEqual(result.episodes[0].daysToRecover, null);
+    assert.strictEqual(result.episodes[0].days, 2);
+});
+
+test('calculateDrawdowns skips gaps; non-positive series are caught by checkPriceSeries', () => {
+    const result = calculateDrawdowns(['2026-01-01', '2026-01-02', '2026-01-03'], [100, null, 50]);
+    assert.deepStrictEqual(result.dates, ['2026-01-01', '2026-01-03']);
+    assert.deepStrictEqual(result.values, [0, -50]);
+
+    // A spread falling from 20 to -10 basis points is not a 150% loss
+    assert.ok(checkPriceSeries([20, 5, -10]));
+});
@@ -0,0 +1,94 @@
+// JSON storage (lib/storage.js): queued read-modify-writes, backups and recovery
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+delete process.env.STORAGE_BACKEND;
+const storage = require('../lib/storage');
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('concurrent updates to one file all land', async () => {
+    const file = path.join(dir, 'counter.json');
+    await Promise.all(Array.from({ length: 20 }, () => storage.updateJson(file, { count: 0 }, async data => {
+        // Yield between read and write, where an unqueued update would interleave
+        await new Promise(resolve => setImmediate(resolve));
+        data.count++;
+    })));
+    assert.deepStrictEqual(await storage.readJson(file), { count: 20 });
+});
+
+test('a failed update does not block the queue, and returning false writes nothing', async () => {
+    const file = path.join(dir, 'list.json');
+    const failed = storage.updateJson(file, [], () => {
+        throw new Error('boom');
+    });
+    const skipped = storage.updateJson(file, [], () => false);
+    const added = storage.updateJson(file, [], data => {
+        data.push('a');
+    });
+
+    await assert.rejects(failed, /boom/);
+    assert.deepStrictEqual(await skipped, []);
+    assert.deepStrictEqual(await added, ['a']);
+    assert.strictEqual(fs.existsSync(`${file}.bak`), false);
+});
+
+test('writes keep the previous version as a backup that replaces a corrupt file', async () => {
+    const file = path.join(dir, 'events.json');
+    await storage.writeJson(file, { version: 1 });
+    await storage.writeJson(file, { version: 2 });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf8')), { version: 1 });
+
+    fs.writeFileSync(file, '{"version": 3');
+    assert.deepStrictEqual(await storage.readJson(file), { version: 1 });
+
+    // The corrupt file is not copied over the good backup by the next write
+    await storage.writeJson(file, { version: 4 });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf8')), { version: 1 });
+    assert.deepStrictEqual(await storage.readJson(file), { version: 4 });
+});
+
+test('missing or unreadable data returns the fallback, or throws without one', async () => {
+    const missing = path.join(dir, 'missing.json');
+    assert.deepStrictEqual(await storage.readJson(missing, []), []);
+    await assert.rejects(storage.readJson(missing), { code: 'ENOENT' });
+
+    const corrupt = path.join(dir, 'corrupt.json');
+    fs.writeFileSync(corrupt, 'not json');
+    assert.strictEqual(await storage.readJson(corrupt, null), null);
+    await assert.rejects(storage.readJson(corrupt), SyntaxError);
+});
+
+test('removeJson deletes the file and its backup', async () => {
+    const file = path.join(dir, 'removed.json');
+    await storage.writeJson(file, [1]);
+    await storage.writeJson(file, [2]);
+    assert.strictEqual(await storage.removeJson(file), true);
+    assert.strictEqual(fs.existsSync(file) || fs.existsSync(`${file}.bak`), false);
+    assert.strictEqual(await storage.removeJson(file), false);
+});
+
+test('readSeries returns only the points in the range', async () => {
+    const file = path.join(dir, 'series.json');
+    await storage.writeJson(file, {
+        indicator: 'test',
+        dates: ['2026-01-01', '2026-01-02', '2026-01-05'],
+        values: [1, 2, 3]
+    });
+    const series = await storage.readSeries(file, { start: '2026-01-02' });
+    assert.deepStrictEqual(series.dates, ['2026-01-02', '2026-01-05']);
+    assert.deepStrictEqual(series.values, [2, 3]);
+    assert.strictEqual(series.indicator, 'test');
+});
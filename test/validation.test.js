@@ -0,0 +1,100 @@
+// validateSeries() and checkFreshness() from lib/validation.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateSeries, checkFreshness, detectFrequency, dropMissingValues } = require('../lib/validation');
+
+const NOW = '2006-05-01';
+
+// Weekdays from start to end (inclusive), YYYY-MM-DD
+function weekdays(start, end) {
+    const dates = [];
+    for (let day = new Date(`${start}T00:00:00Z`); day <= new Date(`${end}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+        if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) {
+            dates.push(day.toISOString().split('T')[0]);
+        }
+    }
+    return dates;
+}
+
+// A series with small alternating moves, so the stored moves have a spread
+function series(dates, level = 100) {
+    return { dates: dates, values: dates.map((date, i) => level + (i % 2 === 0 ? 0 : 0.5) + i * 0.01) };
+}
+
+const stored = series(weekdays('2006-01-02', '2006-03-31'));
+
+test('an extension of the stored series passes', () => {
+    const report = validateSeries(series(weekdays('2006-01-02', '2006-04-28')), stored, {}, NOW);
+    assert.deepStrictEqual(report, { errors: [], warnings: [] });
+});
+
+test('a first download is accepted as it comes', () => {
+    const report = validateSeries(series(weekdays('2006-02-01', '2006-04-28')), null, {}, NOW);
+    assert.deepStrictEqual(report.errors, []);
+});
+
+test('a refresh that starts later than the stored history is rejected', () => {
+    const report = validateSeries(series(weekdays('2006-02-01', '2006-04-28')), stored, {}, NOW);
+    assert.ok(report.errors.some(error => error.includes('history now starts on 2006-02-01')));
+});
+
+test('a refresh that drops stored points is rejected', () => {
+    const dates = weekdays('2006-01-02', '2006-03-31').filter((date, i) => i % 10 !== 5);
+    const report = validateSeries(series(dates), stored, {}, NOW);
+    assert.ok(report.errors.some(error => error.startsWith('history shrank')));
+});
+
+test('a gap in the new points is rejected, a shorter one is not', () => {
+    const gap = weekdays('2006-01-02', '2006-03-31').concat(weekdays('2006-04-24', '2006-04-28'));
+    assert.ok(validateSeries(series(gap), stored, {}, NOW).errors.some(error => error.includes('-day gap')));
+
+    const holiday = weekdays('2006-01-02', '2006-03-31').concat(weekdays('2006-04-10', '2006-04-28'));
+    assert.deepStrictEqual(validateSeries(series(holiday), stored, {}, NOW).errors, []);
+    assert.deepStrictEqual(validateSeries(series(gap), stored, { gapDays: { daily: 30 } }, NOW).errors, []);
+});
+
+test('an extreme jump in the new points is rejected', () => {
+    const data = series(weekdays('2006-01-02', '2006-04-28'));
+    data.values[data.values.length - 1] *= 3;
+    const report = validateSeries(data, stored, {}, NOW);
+    assert.ok(report.errors.some(error => error.includes('standard deviations')));
+});
+
+test('non-numeric values and unordered dates are rejected', () => {
+    const data = series(weekdays('2006-01-02', '2006-04-28'));
+    data.values[3] = 'abc';
+    assert.ok(validateSeries(data, stored, {}, NOW).errors[0].includes('non-numeric values'));
+
+    const unordered = series(weekdays('2006-01-02', '2006-04-28'));
+    unordered.dates.reverse();
+    assert.ok(validateSeries(unordered, stored, {}, NOW).errors[0].startsWith('dates are not valid and ascending'));
+});
+
+test('old data is saved with a warning', () => {
+    const report = validateSeries(series(weekdays('2006-01-02', '2006-04-28')), stored, {}, '2006-06-30');
+    assert.deepStrictEqual(report.errors, []);
+    assert.ok(report.warnings[0].startsWith('last date 2006-04-28'));
+});
+
+test('checkFreshness uses the limit of the detected frequency', () => {
+    const monthly = ['2006-01-01', '2006-02-01', '2006-03-01', '2006-04-01'];
+    assert.strictEqual(detectFrequency(monthly), 'monthly');
+    assert.strictEqual(checkFreshness(monthly, undefined, NOW).stale, false);
+    assert.strictEqual(checkFreshness(weekdays('2006-01-02', '2006-04-14'), undefined, NOW).stale, true);
+});
+
+test('dropMissingValues leaves out points without a value from every column', () => {
+    const data = { name: 'x', dates: ['2006-01-02', '2006-01-03', '2006-01-04'], values: [1, null, 3], open: [1, 2, 3] };
+    const result = dropMissingValues(data);
+    assert.deepStrictEqual(result.data, { name: 'x', dates: ['2006-01-02', '2006-01-04'], values: [1, 3], open: [1, 3] });
+    assert.deepStrictEqual(result.dropped, ['2006-01-03']);
+    assert.strictEqual(result.error, null);
+});
+
+test('dropMissingValues reports an error when many points have no value', () => {
+    const data = series(weekdays('2006-01-02', '2006-03-31'));
+    [5, 15, 25, 35, 45].forEach(i => { data.values[i] = null; });
+    assert.match(dropMissingValues(data).error, /^5 of 65 fetched points have no value/);
+    assert.strictEqual(dropMissingValues(data, 0.1).error, null);
+});